@@ -0,0 +1,95 @@
+using System;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests
+{
+    public class AutoSnoozeRuleTests
+    {
+        private const string TrackId = "0f8fad5bd9cb469fa16570867728950e";
+
+        private static readonly DateTime Now = new(2025, 6, 1, 12, 0, 0, DateTimeKind.Utc);
+
+        private static AutoSnoozeRule CreateRule(int withinDays = 14, int snoozeDays = 30)
+        {
+            return new AutoSnoozeRule
+            {
+                Enabled = true,
+                PlayCountThreshold = 10,
+                WithinDays = withinDays,
+                SnoozeDays = snoozeDays
+            };
+        }
+
+        [Fact]
+        public void ShouldSnooze_OverplayedTrackInWindow_ReturnsTrue()
+        {
+            var rule = CreateRule();
+
+            Assert.True(rule.ShouldSnooze(TrackId, 11, Now.AddDays(-2), null, Now));
+        }
+
+        [Fact]
+        public void ShouldSnooze_PlayCountAtThreshold_ReturnsFalse()
+        {
+            var rule = CreateRule();
+
+            Assert.False(rule.ShouldSnooze(TrackId, 10, Now.AddDays(-2), null, Now));
+        }
+
+        [Fact]
+        public void ShouldSnooze_LastPlayedBeforeWindow_ReturnsFalse()
+        {
+            var rule = CreateRule(withinDays: 14);
+
+            Assert.False(rule.ShouldSnooze(TrackId, 50, Now.AddDays(-15), null, Now));
+        }
+
+        [Fact]
+        public void ShouldSnooze_NeverPlayed_ReturnsFalse()
+        {
+            var rule = CreateRule();
+
+            Assert.False(rule.ShouldSnooze(TrackId, 50, null, null, Now));
+        }
+
+        [Fact]
+        public void ShouldSnooze_SnoozeExpiredButNotPlayedSince_ReturnsFalse()
+        {
+            // Snoozed for 3 days right after the last play, which is still inside the 14 day window
+            var rule = CreateRule(withinDays: 14, snoozeDays: 3);
+            var lastPlayed = Now.AddDays(-5);
+            var snoozedAt = lastPlayed.AddMinutes(10);
+
+            Assert.False(rule.ShouldSnooze(TrackId, 50, lastPlayed, snoozedAt, Now));
+        }
+
+        [Fact]
+        public void ShouldSnooze_PlayedAgainAfterSnooze_ReturnsTrue()
+        {
+            var rule = CreateRule(withinDays: 14, snoozeDays: 3);
+            var snoozedAt = Now.AddDays(-6);
+            var lastPlayed = Now.AddDays(-1);
+
+            Assert.True(rule.ShouldSnooze(TrackId, 50, lastPlayed, snoozedAt, Now));
+        }
+
+        [Fact]
+        public void ShouldSnooze_DismissedAfterLastPlay_ReturnsFalse()
+        {
+            var rule = CreateRule();
+            var lastPlayed = DateTime.UtcNow.AddDays(-1);
+            rule.RecordDismissal(TrackId);
+
+            Assert.False(rule.ShouldSnooze(TrackId, 50, lastPlayed, null, DateTime.UtcNow));
+        }
+
+        [Fact]
+        public void GetWindowStart_ZeroWithinDays_UsesOneDay()
+        {
+            var rule = CreateRule(withinDays: 0);
+
+            Assert.Equal(Now.AddDays(-1), rule.GetWindowStart(Now));
+        }
+    }
+}
@@ -0,0 +1,109 @@
+using System;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests
+{
+    public class IgnoredTrackTests
+    {
+        private static readonly DateTime Now = new(2025, 6, 1, 12, 0, 0, DateTimeKind.Utc);
+
+        private static IgnoredTrack CreateIgnore(DateTime ignoredAt, int? durationDays)
+        {
+            return new IgnoredTrack
+            {
+                Id = Guid.NewGuid().ToString(),
+                TrackId = "0f8fad5bd9cb469fa16570867728950e",
+                IgnoredAt = ignoredAt,
+                DurationDays = durationDays,
+                ExpiresAt = durationDays.HasValue ? ignoredAt.AddDays(durationDays.Value) : null
+            };
+        }
+
+        [Fact]
+        public void UpdateDuration_CountsFromIgnoredAt()
+        {
+            var ignore = CreateIgnore(Now.AddDays(-20), 30);
+
+            ignore.UpdateDuration(7);
+
+            Assert.Equal(7, ignore.DurationDays);
+            Assert.Equal(Now.AddDays(-13), ignore.ExpiresAt);
+            Assert.True(ignore.ExpiresAt < Now);
+        }
+
+        [Fact]
+        public void SetExpiresInDays_OldIgnore_DoesNotExpire()
+        {
+            // Shortening a 20 day old snooze to 7 days must not expire it
+            var ignore = CreateIgnore(Now.AddDays(-20), 30);
+
+            ignore.SetExpiresInDays(7, Now);
+
+            Assert.Equal(27, ignore.DurationDays);
+            Assert.Equal(Now.AddDays(7), ignore.ExpiresAt);
+            Assert.True(ignore.ExpiresAt > Now);
+        }
+
+        [Fact]
+        public void SetExpiresInDays_PartialDayElapsed_RoundsElapsedDown()
+        {
+            var ignore = CreateIgnore(Now.AddDays(-2.5), 30);
+
+            ignore.SetExpiresInDays(7, Now);
+
+            Assert.Equal(9, ignore.DurationDays);
+            Assert.Equal(Now.AddDays(6.5), ignore.ExpiresAt);
+        }
+
+        [Fact]
+        public void SetExpiresInDays_SameDaysLeft_IsStableAcrossSaves()
+        {
+            // Saving the edit form unchanged sends back the rounded-up days left; the expiry must not drift
+            var ignore = CreateIgnore(Now.AddDays(-2.5), 10);
+            var expiresAt = ignore.ExpiresAt;
+            var daysLeft = (int)Math.Ceiling((ignore.ExpiresAt!.Value - Now).TotalDays);
+
+            ignore.SetExpiresInDays(daysLeft, Now);
+            ignore.SetExpiresInDays(daysLeft, Now);
+
+            Assert.Equal(10, ignore.DurationDays);
+            Assert.Equal(expiresAt, ignore.ExpiresAt);
+        }
+
+        [Fact]
+        public void SetExpiresInDays_IgnoredToday_CountsFromIgnoredAt()
+        {
+            var ignore = CreateIgnore(Now.AddHours(-3), 30);
+
+            ignore.SetExpiresInDays(7, Now);
+
+            Assert.Equal(7, ignore.DurationDays);
+            Assert.Equal(Now.AddHours(-3).AddDays(7), ignore.ExpiresAt);
+        }
+
+        [Theory]
+        [InlineData(null)]
+        [InlineData(0)]
+        public void SetExpiresInDays_NullOrZero_MakesPermanent(int? days)
+        {
+            var ignore = CreateIgnore(Now.AddDays(-20), 30);
+
+            ignore.SetExpiresInDays(days, Now);
+
+            Assert.Null(ignore.DurationDays);
+            Assert.Null(ignore.ExpiresAt);
+        }
+
+        [Fact]
+        public void SetExpiresInDays_ClearsLetLapse()
+        {
+            var ignore = CreateIgnore(Now.AddDays(-20), 30);
+            ignore.LetLapse = true;
+
+            ignore.SetExpiresInDays(7, Now);
+
+            Assert.False(ignore.LetLapse);
+        }
+    }
+}
@@ -0,0 +1,131 @@
+// Tests for the playlist file parsers in Configuration/user-import.js.
+// Run with: node --test Jellyfin.Plugin.SmartLists.Tests/js/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+const { parsePlaylistFile } = require(path.join(__dirname, '..', '..', 'Jellyfin.Plugin.SmartLists', 'Configuration', 'user-import.js'));
+
+test('M3U keeps absolute paths as written', () => {
+    const entries = parsePlaylistFile('mix.m3u', '/music/Artist/Album/01 - Song.flac\r\nC:\\Music\\Other.mp3\r\n');
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].Path, '/music/Artist/Album/01 - Song.flac');
+    assert.equal(entries[1].Path, 'C:\\Music\\Other.mp3');
+});
+
+test('M3U keeps relative paths for the server to match by folder', () => {
+    const entries = parsePlaylistFile('mix.m3u8', '../Artist/Album/02 Song.mp3\nSong Two.mp3\n');
+
+    assert.equal(entries[0].Path, '../Artist/Album/02 Song.mp3');
+    assert.equal(entries[1].Path, 'Song Two.mp3');
+});
+
+test('M3U decodes file:// URLs', () => {
+    const entries = parsePlaylistFile('mix.m3u', 'file:///C:/Music/My%20Song.mp3\nfile://localhost/music/A%26B.mp3\n');
+
+    assert.equal(entries[0].Path, 'C:/Music/My Song.mp3');
+    assert.equal(entries[1].Path, '/music/A&B.mp3');
+});
+
+test('M3U reads artist, title and duration from #EXTINF', () => {
+    const text = '#EXTM3U\n#EXTINF:215,Daft Punk - One More Time\n/music/track.mp3\n';
+    const entries = parsePlaylistFile('mix.m3u', text);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].Artist, 'Daft Punk');
+    assert.equal(entries[0].Title, 'One More Time');
+    assert.equal(entries[0].DurationSeconds, 215);
+    assert.equal(entries[0].Label, 'Line 3');
+});
+
+test('M3U #EXTINF applies only to the next path', () => {
+    const text = '#EXTINF:-1,Stream Title\nfirst.mp3\n07 - Artist - Second.mp3\n';
+    const entries = parsePlaylistFile('mix.m3u', text);
+
+    assert.equal(entries[0].Title, 'Stream Title');
+    assert.equal(entries[0].DurationSeconds, null);
+    assert.equal(entries[1].Artist, 'Artist');
+    assert.equal(entries[1].Title, 'Second');
+});
+
+test('M3U falls back to the file name without #EXTINF', () => {
+    const entries = parsePlaylistFile('mix.m3u', '/music/03. Some Song.mp3\n');
+
+    assert.equal(entries[0].Artist, null);
+    assert.equal(entries[0].Title, 'Some Song');
+});
+
+test('PLS skips numbers without a File entry', () => {
+    const text = [
+        '[playlist]',
+        'File1=/music/one.mp3',
+        'Title1=Artist - One',
+        'Length1=180',
+        'Title2=Orphan title',
+        'File4=/music/four.mp3',
+        'File3=/music/three.mp3',
+        'NumberOfEntries=4',
+        'Version=2'
+    ].join('\n');
+    const entries = parsePlaylistFile('radio.pls', text);
+
+    assert.deepEqual(entries.map(e => e.Label), ['File1', 'File3', 'File4']);
+    assert.equal(entries[0].Artist, 'Artist');
+    assert.equal(entries[0].Title, 'One');
+    assert.equal(entries[0].DurationSeconds, 180);
+    assert.equal(entries[1].Path, '/music/three.mp3');
+    assert.equal(entries[1].Title, 'three');
+});
+
+test('PLS is detected by its header without the extension', () => {
+    const entries = parsePlaylistFile('playlist.txt', '[playlist]\nFile1=/music/one.mp3\n');
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].Path, '/music/one.mp3');
+});
+
+test('XSPF prefers title and creator over the location file name', () => {
+    const text = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+        '  <title>Not a track</title>\n' +
+        '  <trackList>\n' +
+        '    <track>\n' +
+        '      <location>file:///music/Other%20Name.mp3</location>\n' +
+        '      <creator>Simon &amp; Garfunkel</creator>\n' +
+        '      <title>The Boxer</title>\n' +
+        '      <duration>308000</duration>\n' +
+        '    </track>\n' +
+        '  </trackList>\n' +
+        '</playlist>';
+    const entries = parsePlaylistFile('list.xspf', text);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].Path, '/music/Other Name.mp3');
+    assert.equal(entries[0].Artist, 'Simon & Garfunkel');
+    assert.equal(entries[0].Title, 'The Boxer');
+    assert.equal(entries[0].DurationSeconds, 308);
+    assert.equal(entries[0].Text, 'Simon & Garfunkel - The Boxer');
+});
+
+test('XSPF uses the location file name when title is missing', () => {
+    const text = '<playlist><trackList>' +
+        '<track><location>/music/Artist%20-%20Song.mp3</location></track>' +
+        '<track><title><![CDATA[Rock & Roll]]></title></track>' +
+        '<!-- <track><location>/music/skipped.mp3</location></track> -->' +
+        '</trackList></playlist>';
+    const entries = parsePlaylistFile('list.xspf', text);
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].Artist, 'Artist');
+    assert.equal(entries[0].Title, 'Song');
+    assert.equal(entries[1].Path, null);
+    assert.equal(entries[1].Title, 'Rock & Roll');
+    assert.equal(entries[1].Label, 'Track 2');
+});
+
+test('XSPF without a playlist element is rejected', () => {
+    assert.throws(() => parsePlaylistFile('list.xspf', '<?xml version="1.0"?><nope>'), /not valid XML/);
+});
@@ -1,11 +1,11 @@
 using System;
 using System.Collections.Generic;
-using System.ComponentModel.DataAnnotations;
 using System.IO;
 using System.IO.Compression;
 using System.Linq;
 using System.Text.Json;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
 using Jellyfin.Plugin.SmartLists.Services.Users;
@@ -30,14 +30,37 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
     [Produces("application/json")]
     public class UserSmartListController : ControllerBase
     {
+        /// <summary>
+        /// Number of snoozes after which a track is reported as a repeat offender.
+        /// </summary>
+        private const int RepeatOffenderThreshold = 3;
+
+        /// <summary>
+        /// Maximum number of entries accepted by a single import match request.
+        /// </summary>
+        private const int MaxImportEntries = 10000;
+
+        /// <summary>
+        /// Allowed difference in seconds between an entry's duration and the item's runtime.
+        /// </summary>
+        private const int ImportDurationToleranceSeconds = 3;
+
+        /// <summary>
+        /// Maximum number of preview items stored in a single wizard draft.
+        /// </summary>
+        private const int MaxDraftItems = 10000;
+
         private readonly ILogger<UserSmartListController> _logger;
         private readonly IServerApplicationPaths _applicationPaths;
         private readonly IUserManager _userManager;
         private readonly ILibraryManager _libraryManager;
         private readonly IPlaylistManager _playlistManager;
+        private readonly IUserDataManager _userDataManager;
         private readonly UserPlaylistService _userPlaylistService;
         private readonly UserPlaylistStore _userPlaylistStore;
         private readonly IgnoreStore _ignoreStore;
+        private readonly UserSettingsStore _userSettingsStore;
+        private readonly WizardDraftStore _wizardDraftStore;
         private readonly ISmartListFileSystem _fileSystem;
 
         public UserSmartListController(
@@ -46,9 +69,12 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             IUserManager userManager,
             ILibraryManager libraryManager,
             IPlaylistManager playlistManager,
+            IUserDataManager userDataManager,
             UserPlaylistService userPlaylistService,
             UserPlaylistStore userPlaylistStore,
             IgnoreStore ignoreStore,
+            UserSettingsStore userSettingsStore,
+            WizardDraftStore wizardDraftStore,
             ISmartListFileSystem fileSystem)
         {
             _logger = logger;
@@ -56,9 +82,12 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             _userManager = userManager;
             _libraryManager = libraryManager;
             _playlistManager = playlistManager;
+            _userDataManager = userDataManager;
             _userPlaylistService = userPlaylistService;
             _userPlaylistStore = userPlaylistStore;
             _ignoreStore = ignoreStore;
+            _userSettingsStore = userSettingsStore;
+            _wizardDraftStore = wizardDraftStore;
             _fileSystem = fileSystem;
         }
 
@@ -223,6 +252,12 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return BadRequest("Playlist name is required");
             }
 
+            var autoSnoozeError = ValidateAutoSnooze(playlist.AutoSnooze);
+            if (autoSnoozeError != null)
+            {
+                return BadRequest(autoSnoozeError);
+            }
+
             // Set user ID and generate new ID
             playlist.UserId = userId.ToString();
             playlist.Id = Guid.NewGuid().ToString();
@@ -253,12 +288,29 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 }
             }
 
+            // Ignores are kept in the ignore store, not on the playlist
+            var ignoredItemIds = playlist.IgnoredItemIds ?? [];
+            playlist.IgnoredItemIds = null;
+
             var store = GetUserPlaylistStore();
             var saved = await store.SaveAsync(playlist).ConfigureAwait(false);
 
             _logger.LogInformation("Created smart playlist {PlaylistId} '{Name}' for user {UserId}",
                 saved.Id, saved.Name, userId);
 
+            // Added before the first refresh, so rules can't bring the dropped items straight back
+            var newIgnores = ignoredItemIds
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .Where(itemId => !UserPlaylistService.IsPinned(saved, itemId))
+                .Select(itemId => CreateIgnoreEntry(itemId, saved.Id, saved.UserId, null, "Extra version of a duplicate", IgnoreScope.Track))
+                .OfType<IgnoredTrack>()
+                .ToList();
+            if (newIgnores.Count > 0)
+            {
+                await GetIgnoreStore().ApplyChangesAsync(saved.UserId, [], newIgnores).ConfigureAwait(false);
+                _logger.LogDebug("Ignored {Count} items in new playlist {PlaylistId}", newIgnores.Count, saved.Id);
+            }
+
             // Immediately refresh to create the Jellyfin playlist and populate items
             var (success, message, jellyfinPlaylistId) = await _userPlaylistService.RefreshAsync(saved).ConfigureAwait(false);
             if (success)
@@ -306,11 +358,30 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return NotFound($"Playlist {id} not found");
             }
 
+            var autoSnoozeError = ValidateAutoSnooze(playlist.AutoSnooze);
+            if (autoSnoozeError != null)
+            {
+                return BadRequest(autoSnoozeError);
+            }
+
             // Preserve ID and user ID
             playlist.Id = id;
             playlist.UserId = userId.ToString();
             playlist.DateCreated = existing.DateCreated;
 
+            // Auto-snooze dismissals are tracked by the server, not sent by clients
+            if (playlist.AutoSnooze != null)
+            {
+                playlist.AutoSnooze.Dismissed = existing.AutoSnooze?.Dismissed;
+            }
+
+            // The manual order and pins are saved from the track table, so keep them when the edit form leaves them out
+            playlist.ManualOrder ??= existing.ManualOrder;
+            playlist.PinnedItemIds ??= existing.PinnedItemIds;
+
+            // Only read on create
+            playlist.IgnoredItemIds = null;
+
             var saved = await store.SaveAsync(playlist).ConfigureAwait(false);
 
             _logger.LogInformation("Updated smart playlist {PlaylistId} '{Name}' for user {UserId}",
@@ -540,16 +611,24 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             var ignoreStore = GetIgnoreStore();
             var ignores = await ignoreStore.GetForPlaylistAsync(userId.ToString(), playlistId, includeExpired: false).ConfigureAwait(false);
 
-            // Build a map of TrackId -> IgnoredTrack, normalizing Guid format for reliable lookup
+            // Build a map of TrackId -> IgnoredTrack, normalizing Guid format for reliable lookup.
+            // Artist and album ignores are matched per item against its metadata instead.
             var ignoredTrackMap = new Dictionary<Guid, IgnoredTrack>();
+            var scopedIgnores = ignores.Where(i => i.Scope != IgnoreScope.Track).ToList();
             foreach (var ignore in ignores)
             {
-                if (Guid.TryParse(ignore.TrackId, out var trackGuid))
+                if (ignore.Scope == IgnoreScope.Track && Guid.TryParse(ignore.TrackId, out var trackGuid))
                 {
                     ignoredTrackMap[trackGuid] = ignore;
                 }
             }
 
+            // Count every snooze of each track, past and present, across all of the user's playlists
+            var snoozeCounts = await ignoreStore.GetSnoozeCountsAsync(userId.ToString()).ConfigureAwait(false);
+
+            // Listening data is per user
+            var user = _userManager.GetUserById(userId);
+
             // Get source item IDs - this is the ORIGINAL list before ignore filtering
             var sourceItemGuids = new List<Guid>();
 
@@ -613,9 +692,18 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     sourceItemGuids.Count, playlistId);
             }
 
+            // Pinned items are always in the playlist, even if their source no longer lists them
+            var pinnedGuids = UserPlaylistService.GetPinnedItemIds(smartPlaylist);
+            sourceItemGuids.AddRange(pinnedGuids);
+
             // Remove duplicates while preserving order
             sourceItemGuids = sourceItemGuids.Distinct().ToList();
 
+            if (UserPlaylistService.UsesManualOrder(smartPlaylist))
+            {
+                sourceItemGuids = UserPlaylistService.ApplyManualOrder(sourceItemGuids, smartPlaylist.ManualOrder);
+            }
+
             // Build the items list with ignore status
             var items = new List<PlaylistItemInfo>();
             foreach (var itemGuid in sourceItemGuids)
@@ -646,7 +734,10 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
 
                 // Check if this item is ignored (use Guid comparison for reliability)
                 IgnoredTrack? ignoreInfo = null;
-                ignoredTrackMap.TryGetValue(itemGuid, out ignoreInfo);
+                if (!ignoredTrackMap.TryGetValue(itemGuid, out ignoreInfo))
+                {
+                    ignoreInfo = UserPlaylistService.FindScopedIgnore(item, scopedIgnores);
+                }
 
                 var playlistItem = new PlaylistItemInfo
                 {
@@ -656,9 +747,20 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     IsIgnored = ignoreInfo != null,
                     IgnoreExpiresAt = ignoreInfo?.ExpiresAt,
                     IgnoreId = ignoreInfo?.Id,
-                    IsPermanentIgnore = ignoreInfo != null && !ignoreInfo.ExpiresAt.HasValue
+                    IgnoreScope = ignoreInfo?.Scope,
+                    IsGlobalIgnore = ignoreInfo?.IsGlobal == true,
+                    IsPermanentIgnore = ignoreInfo != null && !ignoreInfo.ExpiresAt.HasValue,
+                    IsPinned = pinnedGuids.Contains(itemGuid),
+                    SnoozeCount = snoozeCounts.TryGetValue(itemGuid.ToString("N"), out var snoozeCount) ? snoozeCount : 0
                 };
 
+                if (user != null && _userDataManager.GetUserData(user, item) is { } userData)
+                {
+                    playlistItem.PlayCount = userData.PlayCount;
+                    playlistItem.LastPlayedDate = userData.LastPlayedDate;
+                    playlistItem.IsFavorite = userData.IsFavorite;
+                }
+
                 // Add audio-specific metadata
                 if (item is MediaBrowser.Controller.Entities.Audio.Audio audioItem)
                 {
@@ -877,6 +979,140 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             });
         }
 
+        /// <summary>
+        /// Saves the order the user arranged the playlist's items in and makes Manual the playlist's primary sort,
+        /// keeping its previous sorts for items added later.
+        /// Refreshes the playlist unless AutoRefresh is false.
+        /// </summary>
+        [HttpPut("{playlistId}/order")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<UserSmartPlaylistDto>> SaveManualOrder(string playlistId, [FromBody] ManualOrderRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (!Guid.TryParse(playlistId, out _))
+            {
+                return BadRequest("Invalid playlist ID format");
+            }
+
+            if (request.ItemIds == null || request.ItemIds.Count == 0)
+            {
+                return BadRequest("No item IDs provided");
+            }
+
+            var playlistStore = GetUserPlaylistStore();
+            var playlist = await playlistStore.GetByIdAsync(userId.ToString(), playlistId).ConfigureAwait(false);
+            if (playlist == null)
+            {
+                return NotFound($"Playlist {playlistId} not found");
+            }
+
+            playlist.ManualOrder = request.ItemIds
+                .Where(id => Guid.TryParse(id, out _))
+                .Select(NormalizeTrackKey)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            // Keep the previous sorts after Manual, so items missing from the manual order still follow them.
+            // The sort editor holds at most 3 sorts, so only the first 2 previous ones fit.
+            var sortOptions = new List<SortOption> { new() { SortBy = UserPlaylistService.ManualSortBy, SortOrder = SortOrder.Ascending } };
+            sortOptions.AddRange((playlist.Order?.SortOptions ?? [])
+                .Where(so => !string.Equals(so.SortBy, UserPlaylistService.ManualSortBy, StringComparison.OrdinalIgnoreCase))
+                .Take(2));
+            playlist.Order = new OrderDto { SortOptions = sortOptions };
+
+            await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
+
+            _logger.LogInformation("Saved manual order of {Count} items for playlist {PlaylistId} for user {UserId}",
+                playlist.ManualOrder.Count, playlistId, userId);
+
+            if (request.AutoRefresh != false)
+            {
+                var (success, _, _) = await _userPlaylistService.RefreshAsync(playlist).ConfigureAwait(false);
+                if (success)
+                {
+                    await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
+                }
+            }
+
+            return Ok(playlist);
+        }
+
+        /// <summary>
+        /// Pins or unpins items in a playlist. Pinned items are always included and cannot be ignored.
+        /// Refreshes the playlist unless AutoRefresh is false.
+        /// </summary>
+        [HttpPut("{playlistId}/pins")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<UserSmartPlaylistDto>> UpdatePins(string playlistId, [FromBody] UpdatePinsRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (!Guid.TryParse(playlistId, out _))
+            {
+                return BadRequest("Invalid playlist ID format");
+            }
+
+            // The binder leaves explicit nulls in place, so treat them as empty lists
+            request.PinIds ??= [];
+            request.UnpinIds ??= [];
+            if (request.PinIds.Count == 0 && request.UnpinIds.Count == 0)
+            {
+                return BadRequest("No item IDs provided");
+            }
+
+            var playlistStore = GetUserPlaylistStore();
+            var playlist = await playlistStore.GetByIdAsync(userId.ToString(), playlistId).ConfigureAwait(false);
+            if (playlist == null)
+            {
+                return NotFound($"Playlist {playlistId} not found");
+            }
+
+            var unpinKeys = request.UnpinIds.Select(NormalizeTrackKey).ToHashSet(StringComparer.OrdinalIgnoreCase);
+            var pinned = (playlist.PinnedItemIds ?? [])
+                .Select(NormalizeTrackKey)
+                .Where(id => !unpinKeys.Contains(id))
+                .ToList();
+            foreach (var itemId in request.PinIds.Where(id => Guid.TryParse(id, out _)).Select(NormalizeTrackKey))
+            {
+                if (!pinned.Contains(itemId, StringComparer.OrdinalIgnoreCase))
+                {
+                    pinned.Add(itemId);
+                }
+            }
+
+            playlist.PinnedItemIds = pinned;
+            await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
+
+            _logger.LogInformation("Pinned {PinCount} and unpinned {UnpinCount} items in playlist {PlaylistId} for user {UserId}",
+                request.PinIds.Count, request.UnpinIds.Count, playlistId, userId);
+
+            if (request.AutoRefresh != false)
+            {
+                var (success, _, _) = await _userPlaylistService.RefreshAsync(playlist).ConfigureAwait(false);
+                if (success)
+                {
+                    await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
+                }
+            }
+
+            return Ok(playlist);
+        }
+
         /// <summary>
         /// Bulk ignore multiple tracks. Automatically refreshes the playlist to apply changes.
         /// </summary>
@@ -912,6 +1148,8 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
 
             var ignoreStore = GetIgnoreStore();
             var added = 0;
+            var savedIds = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            var ignoreIds = new List<string>();
             var errors = new List<string>();
 
             // Use default duration from playlist if not specified
@@ -921,41 +1159,39 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 durationDays = null; // Treat 0 as permanent
             }
 
+            var scope = request.Scope ?? IgnoreScope.Track;
+            var isGlobal = request.Global == true;
             foreach (var trackId in request.TrackIds)
             {
+                if (scope == IgnoreScope.Track && UserPlaylistService.IsPinned(playlist, trackId))
+                {
+                    errors.Add($"{trackId} is pinned and cannot be ignored");
+                    continue;
+                }
+
                 try
                 {
-                    // Get track metadata if available
-                    string? trackName = null;
-                    string? artistName = null;
-                    string? albumName = null;
+                    // For artist and album scopes the track only identifies which artist or album to ignore
+                    var ignoredTrack = CreateIgnoreEntry(
+                        trackId, isGlobal ? string.Empty : playlistId, userId.ToString(), durationDays, request.Reason, scope);
+                    if (ignoredTrack == null)
+                    {
+                        errors.Add($"Could not determine {scope.ToString().ToLowerInvariant()} for {trackId}");
+                        continue;
+                    }
 
-                    if (Guid.TryParse(trackId, out var trackGuid))
+                    // Several selected tracks can share an artist or album, so only count each entry once
+                    var saved = await ignoreStore.AddAsync(ignoredTrack).ConfigureAwait(false);
+                    if (savedIds.Add(saved.Id))
                     {
-                        var item = _libraryManager.GetItemById(trackGuid);
-                        if (item != null)
+                        added++;
+
+                        // An ignore the user already had keeps its own ID when updated; undo must not delete it
+                        if (string.Equals(saved.Id, ignoredTrack.Id, StringComparison.OrdinalIgnoreCase))
                         {
-                            trackName = item.Name;
-                            if (item is MediaBrowser.Controller.Entities.Audio.Audio audio)
-                            {
-                                artistName = string.Join(", ", audio.Artists);
-                                albumName = audio.Album;
-                            }
+                            ignoreIds.Add(saved.Id);
                         }
                     }
-
-                    var ignoredTrack = IgnoredTrack.Create(
-                        trackId,
-                        playlistId,
-                        userId.ToString(),
-                        durationDays,
-                        trackName,
-                        artistName,
-                        albumName,
-                        request.Reason);
-
-                    await ignoreStore.AddAsync(ignoredTrack).ConfigureAwait(false);
-                    added++;
                 }
                 catch (Exception ex)
                 {
@@ -963,12 +1199,18 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 }
             }
 
-            _logger.LogInformation("Bulk ignored {Count} tracks in playlist {PlaylistId} for user {UserId}",
-                added, playlistId, userId);
+            _logger.LogInformation("Bulk ignored {Count} {Scope} entries {Where} playlist {PlaylistId} for user {UserId}",
+                added, scope, isGlobal ? "globally from" : "in", playlistId, userId);
 
-            // Auto-refresh the playlist to apply ignore changes to the Jellyfin playlist
+            // Auto-refresh the playlist to apply ignore changes to the Jellyfin playlist.
+            // Global ignores affect every playlist, so all of them are refreshed.
             var refreshed = false;
-            if (added > 0 && request.AutoRefresh != false)
+            if (added > 0 && request.AutoRefresh != false && isGlobal)
+            {
+                refreshed = await RefreshEnabledPlaylistsAsync(userId.ToString()).ConfigureAwait(false) > 0;
+                playlist = await playlistStore.GetByIdAsync(userId.ToString(), playlistId).ConfigureAwait(false) ?? playlist;
+            }
+            else if (added > 0 && request.AutoRefresh != false)
             {
                 var (success, _, _) = await _userPlaylistService.RefreshAsync(playlist).ConfigureAwait(false);
                 if (success)
@@ -982,6 +1224,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             return Ok(new BulkIgnoreResult
             {
                 Added = added,
+                IgnoreIds = ignoreIds,
                 Errors = errors,
                 Refreshed = refreshed,
                 ItemCount = playlist.ItemCount
@@ -1013,29 +1256,27 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             var removed = 0;
             var errors = new List<string>();
 
-            // Get all ignores to find the track IDs we're un-ignoring
+            // Get all ignores to find what we're un-ignoring
             var allIgnores = await ignoreStore.GetForPlaylistAsync(userIdStr, playlistId, includeExpired: true).ConfigureAwait(false);
-            var ignoreIdToTrackId = allIgnores.ToDictionary(i => i.Id, i => i.TrackId, StringComparer.OrdinalIgnoreCase);
+            var ignoresById = allIgnores.ToDictionary(i => i.Id, StringComparer.OrdinalIgnoreCase);
+            var removedIgnores = new List<IgnoredTrack>();
 
             // Get the playlist so we can add un-ignored tracks to IncludedItemIds
             var playlistStore = GetUserPlaylistStore();
             var playlist = await playlistStore.GetByIdAsync(userIdStr, playlistId).ConfigureAwait(false);
-            var tracksToAdd = new List<string>();
 
             foreach (var ignoreId in request.IgnoreIds)
             {
                 try
                 {
-                    // Track the track ID before removing
-                    if (ignoreIdToTrackId.TryGetValue(ignoreId, out var trackId))
-                    {
-                        tracksToAdd.Add(trackId);
-                    }
-
                     var success = await ignoreStore.RemoveAsync(userIdStr, ignoreId).ConfigureAwait(false);
                     if (success)
                     {
                         removed++;
+                        if (ignoresById.TryGetValue(ignoreId, out var ignore))
+                        {
+                            removedIgnores.Add(ignore);
+                        }
                     }
                     else
                     {
@@ -1048,24 +1289,10 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 }
             }
 
-            // Add un-ignored tracks to IncludedItemIds to ensure they persist
-            if (playlist != null && tracksToAdd.Count > 0)
+            var removedGlobal = removedIgnores.Any(i => i.IsGlobal);
+            if (playlist != null && RecordRemovedIgnores(playlist, removedIgnores))
             {
-                playlist.IncludedItemIds ??= [];
-                var added = 0;
-                foreach (var trackId in tracksToAdd)
-                {
-                    if (!playlist.IncludedItemIds.Contains(trackId, StringComparer.OrdinalIgnoreCase))
-                    {
-                        playlist.IncludedItemIds.Add(trackId);
-                        added++;
-                    }
-                }
-                if (added > 0)
-                {
-                    await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
-                    _logger.LogDebug("Added {Count} tracks to IncludedItemIds for playlist {PlaylistId}", added, playlistId);
-                }
+                await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
             }
 
             _logger.LogInformation("Bulk removed {Count} ignores in playlist {PlaylistId} for user {UserId}",
@@ -1073,7 +1300,12 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
 
             // Auto-refresh the playlist to apply changes to the Jellyfin playlist
             var refreshed = false;
-            if (removed > 0 && playlist != null && request.AutoRefresh != false)
+            if (removed > 0 && removedGlobal && request.AutoRefresh != false)
+            {
+                refreshed = await RefreshEnabledPlaylistsAsync(userIdStr).ConfigureAwait(false) > 0;
+                playlist = await playlistStore.GetByIdAsync(userIdStr, playlistId).ConfigureAwait(false);
+            }
+            else if (removed > 0 && playlist != null && request.AutoRefresh != false)
             {
                 var (success, _, _) = await _userPlaylistService.RefreshAsync(playlist).ConfigureAwait(false);
                 if (success)
@@ -1093,8 +1325,133 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             });
         }
 
+        /// <summary>
+        /// Applies staged ignore changes for a playlist in one store write: removes the given ignores
+        /// and snoozes tracks for their chosen durations. The playlist is not refreshed.
+        /// </summary>
+        [HttpPost("{playlistId}/ignores/changes")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<IgnoreChangesResult>> ApplyIgnoreChanges(string playlistId, [FromBody] IgnoreChangesRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (!Guid.TryParse(playlistId, out _))
+            {
+                return BadRequest("Invalid playlist ID format");
+            }
+
+            if (request.RemoveIgnoreIds == null || request.Snoozes == null || request.Snoozes.Any(s => s.TrackIds == null))
+            {
+                return BadRequest("Invalid ignore changes");
+            }
+
+            if (request.Snoozes.Any(s => s.DurationDays is < 0 or > 3650))
+            {
+                return BadRequest("Duration must be between 0 and 3650 days");
+            }
+
+            var userIdStr = userId.ToString();
+            var playlistStore = GetUserPlaylistStore();
+            var playlist = await playlistStore.GetByIdAsync(userIdStr, playlistId).ConfigureAwait(false);
+            if (playlist == null)
+            {
+                return NotFound($"Playlist {playlistId} not found");
+            }
+
+            var errors = new List<string>();
+            var ignoredTracks = new List<IgnoredTrack>();
+            foreach (var snooze in request.Snoozes)
+            {
+                // Treat 0 as permanent
+                int? durationDays = snooze.DurationDays == 0 ? null : snooze.DurationDays;
+                foreach (var trackId in snooze.TrackIds)
+                {
+                    if (UserPlaylistService.IsPinned(playlist, trackId))
+                    {
+                        errors.Add($"{trackId} is pinned and cannot be ignored");
+                        continue;
+                    }
+
+                    var ignoredTrack = CreateIgnoreEntry(trackId, playlistId, userIdStr, durationDays, null, IgnoreScope.Track);
+                    if (ignoredTrack == null)
+                    {
+                        errors.Add($"Could not determine track for {trackId}");
+                        continue;
+                    }
+
+                    ignoredTracks.Add(ignoredTrack);
+                }
+            }
+
+            // Only this playlist's ignores (and global ones shown in it) can be removed from here
+            var playlistIgnoreIds = (await GetIgnoreStore().GetForPlaylistAsync(userIdStr, playlistId, includeExpired: true).ConfigureAwait(false))
+                .Select(i => i.Id)
+                .ToHashSet(StringComparer.OrdinalIgnoreCase);
+            var removeIgnoreIds = request.RemoveIgnoreIds.Where(playlistIgnoreIds.Contains).ToList();
+            errors.AddRange(request.RemoveIgnoreIds.Except(removeIgnoreIds, StringComparer.OrdinalIgnoreCase)
+                .Select(id => $"Ignore {id} not found"));
+
+            var (removed, saved) = await GetIgnoreStore().ApplyChangesAsync(userIdStr, removeIgnoreIds, ignoredTracks).ConfigureAwait(false);
+
+            if (RecordRemovedIgnores(playlist, removed))
+            {
+                await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
+            }
+
+            _logger.LogInformation("Applied ignore changes in playlist {PlaylistId} for user {UserId}: {Removed} removed, {Added} added",
+                playlistId, userId, removed.Count, saved.Count);
+
+            return Ok(new IgnoreChangesResult
+            {
+                Added = saved.Count,
+                Removed = removed.Count,
+                Errors = errors
+            });
+        }
+
         // ==================== Ignore List CRUD ====================
 
+        /// <summary>
+        /// Changes the duration of several ignores at once. Works for playlist and global ignores alike.
+        /// The new duration counts from now, so no ignore expires and the playlists need no refresh.
+        /// </summary>
+        [HttpPut("ignores/bulk")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<int>> BulkUpdateIgnores([FromBody] BulkUpdateIgnoreRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (request.IgnoreIds == null || request.IgnoreIds.Count == 0)
+            {
+                return BadRequest("No ignore IDs provided");
+            }
+
+            if (request.DurationDays is < 0 or > 3650)
+            {
+                return BadRequest("Duration must be between 0 and 3650 days");
+            }
+
+            var updated = await GetIgnoreStore().UpdateDurationRangeAsync(userId.ToString(), request.IgnoreIds, request.DurationDays).ConfigureAwait(false);
+
+            _logger.LogInformation("Updated duration of {Count} ignores to {Duration} days for user {UserId}",
+                updated, request.DurationDays, userId);
+
+            return Ok(updated);
+        }
+
         /// <summary>
         /// Gets all ignored tracks for a smart playlist.
         /// </summary>
@@ -1150,9 +1507,15 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return BadRequest("Invalid playlist ID format");
             }
 
-            if (string.IsNullOrWhiteSpace(request.TrackId))
+            var scope = request.Scope ?? IgnoreScope.Track;
+            if (string.IsNullOrWhiteSpace(request.TrackId) &&
+                (scope == IgnoreScope.Track ||
+                 (scope == IgnoreScope.Artist && string.IsNullOrWhiteSpace(request.ArtistName)) ||
+                 (scope == IgnoreScope.Album && string.IsNullOrWhiteSpace(request.AlbumName))))
             {
-                return BadRequest("Track ID is required");
+                return BadRequest(scope == IgnoreScope.Track
+                    ? "Track ID is required"
+                    : $"Track ID or {scope.ToString().ToLowerInvariant()} name is required");
             }
 
             // Verify playlist exists and belongs to user
@@ -1163,23 +1526,10 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return NotFound($"Playlist {playlistId} not found");
             }
 
-            // Get track metadata if available
-            string? trackName = null;
-            string? artistName = null;
-            string? albumName = null;
-
-            if (Guid.TryParse(request.TrackId, out var trackGuid))
+            if (scope == IgnoreScope.Track && !string.IsNullOrEmpty(request.TrackId) &&
+                UserPlaylistService.IsPinned(playlist, request.TrackId))
             {
-                var item = _libraryManager.GetItemById(trackGuid);
-                if (item != null)
-                {
-                    trackName = item.Name;
-                    if (item is MediaBrowser.Controller.Entities.Audio.Audio audio)
-                    {
-                        artistName = string.Join(", ", audio.Artists);
-                        albumName = audio.Album;
-                    }
-                }
+                return BadRequest("Pinned items cannot be ignored. Unpin the item first.");
             }
 
             // Use default duration from playlist if not specified
@@ -1189,30 +1539,36 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 durationDays = null; // Treat 0 as permanent
             }
 
-            var ignoredTrack = IgnoredTrack.Create(
+            var ignoredTrack = CreateIgnoreEntry(
                 request.TrackId,
-                playlistId,
+                request.Global == true ? string.Empty : playlistId,
                 userId.ToString(),
                 durationDays,
-                trackName,
-                artistName,
-                albumName,
-                request.Reason);
+                request.Reason,
+                scope,
+                request.ArtistName?.Trim(),
+                request.AlbumName?.Trim());
+
+            if (ignoredTrack == null)
+            {
+                return BadRequest($"Could not determine {scope.ToString().ToLowerInvariant()} for track {request.TrackId}");
+            }
 
             var ignoreStore = GetIgnoreStore();
             var saved = await ignoreStore.AddAsync(ignoredTrack).ConfigureAwait(false);
 
-            _logger.LogInformation("Added ignore for track {TrackId} in playlist {PlaylistId} for user {UserId}, duration: {Duration} days",
-                request.TrackId, playlistId, userId, durationDays);
+            _logger.LogInformation("Added {Scope} ignore {Target} in playlist {PlaylistId} for user {UserId}, duration: {Duration} days",
+                scope, saved.GetTargetKey(), playlistId, userId, durationDays);
 
             return CreatedAtAction(nameof(GetIgnores), new { playlistId }, saved);
         }
 
         /// <summary>
-        /// Updates an ignore entry's duration.
+        /// Updates an ignore entry's duration and reason.
         /// </summary>
         [HttpPut("{playlistId}/ignores/{ignoreId}")]
         [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
         [ProducesResponseType(StatusCodes.Status401Unauthorized)]
         [ProducesResponseType(StatusCodes.Status404NotFound)]
         public async Task<ActionResult<IgnoredTrack>> UpdateIgnore(string playlistId, string ignoreId, [FromBody] UpdateIgnoreRequest request)
@@ -1223,8 +1579,13 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return Unauthorized("User not authenticated");
             }
 
+            if (request.DurationDays is < 0 or > 3650 || request.ExpiresInDays is < 0 or > 3650)
+            {
+                return BadRequest("Duration must be between 0 and 3650 days");
+            }
+
             var ignoreStore = GetIgnoreStore();
-            var updated = await ignoreStore.UpdateDurationAsync(userId.ToString(), ignoreId, request.DurationDays).ConfigureAwait(false);
+            var updated = await ignoreStore.UpdateAsync(userId.ToString(), ignoreId, request.ExpiresInDays ?? request.DurationDays, request.Reason, countFromNow: request.ExpiresInDays.HasValue).ConfigureAwait(false);
 
             if (updated == null)
             {
@@ -1232,7 +1593,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
 
             _logger.LogInformation("Updated ignore {IgnoreId} duration to {Duration} days for user {UserId}",
-                ignoreId, request.DurationDays, userId);
+                ignoreId, updated.DurationDays, userId);
 
             return Ok(updated);
         }
@@ -1243,6 +1604,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         /// </summary>
         [HttpDelete("{playlistId}/ignores/{ignoreId}")]
         [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
         [ProducesResponseType(StatusCodes.Status401Unauthorized)]
         [ProducesResponseType(StatusCodes.Status404NotFound)]
         public async Task<ActionResult> RemoveIgnore(string playlistId, string ignoreId)
@@ -1265,19 +1627,38 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return NotFound($"Ignore entry {ignoreId} not found");
             }
 
+            // Global ignores cover every playlist, so they are removed through the global endpoint, which refreshes them all
+            if (ignoreEntry.IsGlobal)
+            {
+                return BadRequest("Global ignores must be removed from the global ignore list");
+            }
+
             // Add the track to IncludedItemIds to ensure it persists after un-ignoring
             var playlistStore = GetUserPlaylistStore();
             var playlist = await playlistStore.GetByIdAsync(userIdStr, playlistId).ConfigureAwait(false);
-            if (playlist != null)
+            if (playlist != null && ignoreEntry.Scope == IgnoreScope.Track)
             {
                 playlist.IncludedItemIds ??= [];
+                var changed = false;
                 if (!playlist.IncludedItemIds.Contains(ignoreEntry.TrackId, StringComparer.OrdinalIgnoreCase))
                 {
                     playlist.IncludedItemIds.Add(ignoreEntry.TrackId);
-                    await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
+                    changed = true;
                     _logger.LogDebug("Added track {TrackId} to IncludedItemIds for playlist {PlaylistId}",
                         ignoreEntry.TrackId, playlistId);
                 }
+
+                // Don't let the auto-snooze rule put the track straight back
+                if (ignoreEntry.IsAutomatic && playlist.AutoSnooze != null)
+                {
+                    playlist.AutoSnooze.RecordDismissal(ignoreEntry.TrackId);
+                    changed = true;
+                }
+
+                if (changed)
+                {
+                    await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
+                }
             }
 
             // Now remove the ignore entry
@@ -1288,46 +1669,680 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return NotFound($"Ignore entry {ignoreId} not found");
             }
 
-            _logger.LogInformation("Removed ignore {IgnoreId} for user {UserId}", ignoreId, userId);
-
-            return NoContent();
+            _logger.LogInformation("Removed ignore {IgnoreId} for user {UserId}", ignoreId, userId);
+
+            return NoContent();
+        }
+
+        /// <summary>
+        /// Clears all ignores for a playlist.
+        /// </summary>
+        [HttpDelete("{playlistId}/ignores")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<int>> ClearIgnores(string playlistId)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (!Guid.TryParse(playlistId, out _))
+            {
+                return BadRequest("Invalid playlist ID format");
+            }
+
+            // Verify playlist exists
+            var playlistStore = GetUserPlaylistStore();
+            var playlist = await playlistStore.GetByIdAsync(userId.ToString(), playlistId).ConfigureAwait(false);
+            if (playlist == null)
+            {
+                return NotFound($"Playlist {playlistId} not found");
+            }
+
+            var ignoreStore = GetIgnoreStore();
+
+            // Don't let the auto-snooze rule put cleared tracks straight back
+            if (playlist.AutoSnooze != null)
+            {
+                var ignores = await ignoreStore.GetForPlaylistAsync(userId.ToString(), playlistId, includeExpired: true).ConfigureAwait(false);
+                var automatic = ignores.Where(i => i.IsAutomatic && !i.IsGlobal).ToList();
+                if (automatic.Count > 0)
+                {
+                    foreach (var ignore in automatic)
+                    {
+                        playlist.AutoSnooze.RecordDismissal(ignore.TrackId);
+                    }
+
+                    await playlistStore.SaveAsync(playlist).ConfigureAwait(false);
+                }
+            }
+
+            var count = await ignoreStore.RemoveAllForPlaylistAsync(userId.ToString(), playlistId).ConfigureAwait(false);
+
+            _logger.LogInformation("Cleared {Count} ignores for playlist {PlaylistId} for user {UserId}",
+                count, playlistId, userId);
+
+            return Ok(count);
+        }
+
+        // ==================== Global Ignores ====================
+
+        /// <summary>
+        /// Gets the user's global ignores, which apply to all of their smart playlists.
+        /// </summary>
+        [HttpGet("ignores/global")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<IEnumerable<IgnoredTrack>>> GetGlobalIgnores([FromQuery] bool includeExpired = false)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var ignores = await GetIgnoreStore().GetGlobalAsync(userId.ToString(), includeExpired).ConfigureAwait(false);
+            return Ok(ignores);
+        }
+
+        /// <summary>
+        /// Adds a global ignore. Without a duration, the user's default ignore period is used.
+        /// </summary>
+        [HttpPost("ignores/global")]
+        [ProducesResponseType(StatusCodes.Status201Created)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<IgnoredTrack>> AddGlobalIgnore([FromBody] AddIgnoreRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var scope = request.Scope ?? IgnoreScope.Track;
+            int? durationDays = request.DurationDays;
+            if (!durationDays.HasValue)
+            {
+                var settings = await _userSettingsStore.GetAsync(userId.ToString()).ConfigureAwait(false);
+                durationDays = settings.DefaultIgnoreDays;
+            }
+            if (durationDays == 0)
+            {
+                durationDays = null; // Treat 0 as permanent
+            }
+
+            var ignoredTrack = CreateIgnoreEntry(
+                request.TrackId,
+                string.Empty,
+                userId.ToString(),
+                durationDays,
+                request.Reason,
+                scope,
+                request.ArtistName?.Trim(),
+                request.AlbumName?.Trim());
+
+            if (ignoredTrack == null)
+            {
+                return BadRequest(scope == IgnoreScope.Track
+                    ? "Track ID is required"
+                    : $"Track ID or {scope.ToString().ToLowerInvariant()} name is required");
+            }
+
+            var saved = await GetIgnoreStore().AddAsync(ignoredTrack).ConfigureAwait(false);
+
+            _logger.LogInformation("Added global {Scope} ignore {Target} for user {UserId}, duration: {Duration} days",
+                scope, saved.GetTargetKey(), userId, durationDays);
+
+            return CreatedAtAction(nameof(GetGlobalIgnores), null, saved);
+        }
+
+        /// <summary>
+        /// Removes a global ignore. Refreshes all enabled playlists so the track can return to them.
+        /// </summary>
+        [HttpDelete("ignores/global/{ignoreId}")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<BulkRemoveIgnoreResult>> RemoveGlobalIgnore(string ignoreId)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var ignoreStore = GetIgnoreStore();
+            var ignores = await ignoreStore.GetGlobalAsync(userId.ToString(), includeExpired: true).ConfigureAwait(false);
+            if (!ignores.Any(i => string.Equals(i.Id, ignoreId, StringComparison.OrdinalIgnoreCase)))
+            {
+                return NotFound($"Global ignore {ignoreId} not found");
+            }
+
+            await ignoreStore.RemoveAsync(userId.ToString(), ignoreId).ConfigureAwait(false);
+
+            _logger.LogInformation("Removed global ignore {IgnoreId} for user {UserId}", ignoreId, userId);
+
+            var refreshed = await RefreshEnabledPlaylistsAsync(userId.ToString()).ConfigureAwait(false) > 0;
+
+            return Ok(new BulkRemoveIgnoreResult
+            {
+                Removed = 1,
+                Refreshed = refreshed
+            });
+        }
+
+        /// <summary>
+        /// Updates the duration and reason of a global ignore.
+        /// </summary>
+        [HttpPut("ignores/global/{ignoreId}")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<IgnoredTrack>> UpdateGlobalIgnore(string ignoreId, [FromBody] UpdateIgnoreRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (request.DurationDays is < 0 or > 3650 || request.ExpiresInDays is < 0 or > 3650)
+            {
+                return BadRequest("Duration must be between 0 and 3650 days");
+            }
+
+            var ignoreStore = GetIgnoreStore();
+            var existing = (await ignoreStore.GetGlobalAsync(userId.ToString(), includeExpired: true).ConfigureAwait(false))
+                .FirstOrDefault(i => string.Equals(i.Id, ignoreId, StringComparison.OrdinalIgnoreCase));
+            if (existing == null)
+            {
+                return NotFound($"Global ignore {ignoreId} not found");
+            }
+
+            var updated = await ignoreStore.UpdateAsync(userId.ToString(), ignoreId, request.ExpiresInDays ?? request.DurationDays, request.Reason, countFromNow: request.ExpiresInDays.HasValue).ConfigureAwait(false);
+            if (updated == null)
+            {
+                return NotFound($"Global ignore {ignoreId} not found");
+            }
+
+            _logger.LogInformation("Updated global ignore {IgnoreId} duration to {Duration} days for user {UserId}",
+                ignoreId, updated.DurationDays, userId);
+
+            return Ok(updated);
+        }
+
+        /// <summary>
+        /// Bulk remove global ignores. Refreshes all enabled playlists so the tracks return.
+        /// </summary>
+        [HttpDelete("ignores/global/bulk")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<BulkRemoveIgnoreResult>> BulkRemoveGlobalIgnores([FromBody] BulkRemoveIgnoreRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (request.IgnoreIds == null || request.IgnoreIds.Count == 0)
+            {
+                return BadRequest("No ignore IDs provided");
+            }
+
+            var ignoreStore = GetIgnoreStore();
+            var userIdStr = userId.ToString();
+            var globalIgnoreIds = (await ignoreStore.GetGlobalAsync(userIdStr, includeExpired: true).ConfigureAwait(false))
+                .Select(i => i.Id)
+                .ToHashSet(StringComparer.OrdinalIgnoreCase);
+            var removed = 0;
+            var errors = new List<string>();
+
+            foreach (var ignoreId in request.IgnoreIds)
+            {
+                // Only global entries can be removed here; playlist ignores go through the playlist endpoint
+                if (!globalIgnoreIds.Contains(ignoreId))
+                {
+                    errors.Add($"Global ignore {ignoreId} not found");
+                    continue;
+                }
+
+                try
+                {
+                    if (await ignoreStore.RemoveAsync(userIdStr, ignoreId).ConfigureAwait(false))
+                    {
+                        removed++;
+                    }
+                    else
+                    {
+                        errors.Add($"Global ignore {ignoreId} not found");
+                    }
+                }
+                catch (Exception ex)
+                {
+                    errors.Add($"Failed to remove global ignore {ignoreId}: {ex.Message}");
+                }
+            }
+
+            _logger.LogInformation("Bulk removed {Count} global ignores for user {UserId}", removed, userId);
+
+            var refreshed = false;
+            if (removed > 0 && request.AutoRefresh != false)
+            {
+                refreshed = await RefreshEnabledPlaylistsAsync(userIdStr).ConfigureAwait(false) > 0;
+            }
+
+            return Ok(new BulkRemoveIgnoreResult
+            {
+                Removed = removed,
+                Errors = errors,
+                Refreshed = refreshed
+            });
+        }
+
+        /// <summary>
+        /// Clears all of the user's global ignores. Refreshes all enabled playlists so the tracks return,
+        /// unless <paramref name="autoRefresh"/> is false.
+        /// </summary>
+        [HttpDelete("ignores/global")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<BulkRemoveIgnoreResult>> ClearGlobalIgnores([FromQuery] bool autoRefresh = true)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var userIdStr = userId.ToString();
+            var count = await GetIgnoreStore().RemoveAllGlobalAsync(userIdStr).ConfigureAwait(false);
+
+            _logger.LogInformation("Cleared {Count} global ignores for user {UserId}", count, userId);
+
+            var refreshed = false;
+            if (count > 0 && autoRefresh)
+            {
+                refreshed = await RefreshEnabledPlaylistsAsync(userIdStr).ConfigureAwait(false) > 0;
+            }
+
+            return Ok(new BulkRemoveIgnoreResult
+            {
+                Removed = count,
+                Refreshed = refreshed
+            });
+        }
+
+        /// <summary>
+        /// Returns which of the given items are covered by one of the user's active ignores,
+        /// in any playlist or globally. Used to leave ignored tracks out of generated mixes.
+        /// </summary>
+        [HttpPost("ignores/check")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<List<string>>> CheckIgnoredItems([FromBody] CheckIgnoredRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var activeIgnores = (await GetIgnoreStore().GetAllAsync(userId.ToString()).ConfigureAwait(false))
+                .Where(i => i.IsActive())
+                .ToList();
+            if (activeIgnores.Count == 0 || request.ItemIds == null)
+            {
+                return Ok(new List<string>());
+            }
+
+            var ignoredIds = new List<string>();
+            foreach (var itemId in request.ItemIds)
+            {
+                if (!Guid.TryParse(itemId, out var itemGuid))
+                {
+                    continue;
+                }
+
+                // Artist and album ignores need the item's metadata; track ignores only need its ID
+                var artists = new List<string>();
+                string? albumName = null;
+                if (_libraryManager.GetItemById(itemGuid) is MediaBrowser.Controller.Entities.Audio.Audio audio)
+                {
+                    artists.AddRange(audio.Artists);
+                    artists.AddRange(audio.AlbumArtists);
+                    albumName = audio.Album;
+                }
+
+                if (activeIgnores.Any(i => i.Matches(itemId, artists, albumName)))
+                {
+                    ignoredIds.Add(itemId);
+                }
+            }
+
+            return Ok(ignoredIds);
+        }
+
+        // ==================== Snooze History ====================
+
+        /// <summary>
+        /// Gets the user's ignores that expire within the given number of days, across all playlists,
+        /// so they can be extended before the tracks return.
+        /// </summary>
+        [HttpGet("ignores/expiring")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<List<ExpiringIgnoreInfo>>> GetExpiringIgnores([FromQuery] int days = 7)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            days = Math.Clamp(days, 1, 365);
+
+            var expiring = await GetIgnoreStore().GetExpiringAsync(userId.ToString(), TimeSpan.FromDays(days)).ConfigureAwait(false);
+            var playlists = await GetUserPlaylistStore().GetAllAsync(userId.ToString()).ConfigureAwait(false);
+            var playlistNames = playlists.ToDictionary(p => p.Id, p => p.Name, StringComparer.OrdinalIgnoreCase);
+
+            var result = expiring
+                .Where(i => i.IsGlobal || playlistNames.ContainsKey(i.SmartPlaylistId))
+                .Select(i => new ExpiringIgnoreInfo
+                {
+                    Ignore = i,
+                    PlaylistName = i.IsGlobal ? null : playlistNames[i.SmartPlaylistId],
+                })
+                .ToList();
+
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Lets an expiring ignore lapse: it stays active until it expires but is no longer listed as returning soon.
+        /// </summary>
+        [HttpPost("ignores/{ignoreId}/lapse")]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult> LetIgnoreLapse(string ignoreId)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (!await GetIgnoreStore().SetLetLapseAsync(userId.ToString(), ignoreId).ConfigureAwait(false))
+            {
+                return NotFound($"Ignore entry {ignoreId} not found");
+            }
+
+            return NoContent();
+        }
+
+        /// <summary>
+        /// Gets snooze analytics over the user's expired ignores and current ignores:
+        /// most-snoozed tracks and artists, snoozes per week and tracks snoozed repeatedly.
+        /// </summary>
+        [HttpGet("ignores/history")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<SnoozeHistoryResult>> GetSnoozeHistory([FromQuery] int weeks = 12)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            weeks = Math.Clamp(weeks, 1, 104);
+
+            var store = GetIgnoreStore();
+            var active = await store.GetAllAsync(userId.ToString()).ConfigureAwait(false);
+            var history = await store.GetHistoryAsync(userId.ToString()).ConfigureAwait(false);
+
+            // Every entry, archived or current, counts as one snooze
+            var snoozes = history.Concat(active).ToList();
+
+            var permanentTrackKeys = active
+                .Where(i => i.Scope == IgnoreScope.Track && i.IsGlobal && i.IsActive() && !i.ExpiresAt.HasValue)
+                .Select(i => NormalizeTrackKey(i.TrackId))
+                .ToHashSet();
+
+            var trackStats = snoozes
+                .Where(i => i.Scope == IgnoreScope.Track && !string.IsNullOrEmpty(i.TrackId))
+                .GroupBy(i => NormalizeTrackKey(i.TrackId))
+                .Select(g =>
+                {
+                    var latest = g.OrderByDescending(i => i.IgnoredAt).First();
+                    return new SnoozeHistoryTrack
+                    {
+                        TrackId = latest.TrackId,
+                        TrackName = latest.TrackName,
+                        ArtistName = latest.ArtistName,
+                        Count = g.Count(),
+                        LastSnoozedAt = latest.IgnoredAt,
+                        IsPermanentlyIgnored = permanentTrackKeys.Contains(g.Key),
+                    };
+                })
+                .OrderByDescending(t => t.Count)
+                .ThenByDescending(t => t.LastSnoozedAt)
+                .ToList();
+
+            var topArtists = snoozes
+                .Where(i => i.Scope != IgnoreScope.Album && !string.IsNullOrWhiteSpace(i.ArtistName))
+                .GroupBy(i => i.ArtistName!.Trim(), StringComparer.OrdinalIgnoreCase)
+                .Select(g => new SnoozeHistoryArtist { ArtistName = g.First().ArtistName!.Trim(), Count = g.Count() })
+                .OrderByDescending(a => a.Count)
+                .Take(20)
+                .ToList();
+
+            // Weeks start on Monday; include empty weeks so the chart has no gaps
+            var currentWeekStart = GetWeekStart(DateTime.UtcNow);
+            var countsByWeek = snoozes
+                .GroupBy(i => GetWeekStart(i.IgnoredAt))
+                .ToDictionary(g => g.Key, g => g.Count());
+            var perWeek = Enumerable.Range(0, weeks)
+                .Select(offset => currentWeekStart.AddDays(-7 * (weeks - 1 - offset)))
+                .Select(weekStart => new SnoozeHistoryWeek
+                {
+                    WeekStart = weekStart,
+                    Count = countsByWeek.TryGetValue(weekStart, out var count) ? count : 0,
+                })
+                .ToList();
+
+            return Ok(new SnoozeHistoryResult
+            {
+                TotalSnoozes = snoozes.Count,
+                TopTracks = trackStats.Take(20).ToList(),
+                TopArtists = topArtists,
+                PerWeek = perWeek,
+                RepeatOffenders = trackStats.Where(t => t.Count >= RepeatOffenderThreshold).ToList(),
+                RepeatOffenderThreshold = RepeatOffenderThreshold,
+            });
+        }
+
+        /// <summary>
+        /// Normalizes a track ID so the same track matches regardless of GUID formatting.
+        /// </summary>
+        private static string NormalizeTrackKey(string trackId)
+        {
+            return Guid.TryParse(trackId, out var guid) ? guid.ToString("N") : trackId;
+        }
+
+        /// <summary>
+        /// Gets the Monday that starts the week containing the given date.
+        /// </summary>
+        private static DateTime GetWeekStart(DateTime date)
+        {
+            var daysSinceMonday = ((int)date.DayOfWeek + 6) % 7;
+            return date.Date.AddDays(-daysSinceMonday);
+        }
+
+        /// <summary>
+        /// Validates an auto-snooze rule.
+        /// </summary>
+        /// <returns>An error message, or null if the rule is valid.</returns>
+        private static string? ValidateAutoSnooze(AutoSnoozeRule? rule)
+        {
+            if (rule == null)
+            {
+                return null;
+            }
+
+            if (rule.PlayCountThreshold < 0)
+            {
+                return "Auto-snooze play count must be 0 or more";
+            }
+
+            if (rule.WithinDays < 1 || rule.WithinDays > 3650)
+            {
+                return "Auto-snooze period must be between 1 and 3650 days";
+            }
+
+            if (rule.SnoozeDays < 0 || rule.SnoozeDays > 3650)
+            {
+                return "Auto-snooze duration must be between 0 and 3650 days";
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Refreshes all of the user's enabled smart playlists, e.g. after a global ignore changes.
+        /// </summary>
+        /// <returns>The number of playlists refreshed successfully.</returns>
+        private async Task<int> RefreshEnabledPlaylistsAsync(string userId)
+        {
+            var store = GetUserPlaylistStore();
+            var playlists = await store.GetAllAsync(userId).ConfigureAwait(false);
+            var refreshedCount = 0;
+
+            foreach (var playlist in playlists.Where(p => p.Enabled))
+            {
+                var (success, _, _) = await _userPlaylistService.RefreshAsync(playlist).ConfigureAwait(false);
+                if (success)
+                {
+                    await store.SaveAsync(playlist).ConfigureAwait(false);
+                    refreshedCount++;
+                }
+            }
+
+            _logger.LogDebug("Refreshed {Count} playlists for user {UserId} after global ignore change", refreshedCount, userId);
+
+            return refreshedCount;
+        }
+
+        /// <summary>
+        /// Updates a playlist after ignores were removed from it: un-ignored tracks are added to IncludedItemIds
+        /// so they persist, and removed automatic snoozes are recorded as dismissals so the auto-snooze rule
+        /// doesn't put the track straight back. Artist, album and global ignores have no track of their own here;
+        /// their tracks return through the playlist's own sources.
+        /// </summary>
+        /// <returns>True if the playlist changed and needs saving.</returns>
+        private static bool RecordRemovedIgnores(UserSmartPlaylistDto playlist, IEnumerable<IgnoredTrack> removedIgnores)
+        {
+            var changed = false;
+            foreach (var ignore in removedIgnores)
+            {
+                if (ignore.Scope == IgnoreScope.Track && !ignore.IsGlobal)
+                {
+                    playlist.IncludedItemIds ??= [];
+                    if (!playlist.IncludedItemIds.Contains(ignore.TrackId, StringComparer.OrdinalIgnoreCase))
+                    {
+                        playlist.IncludedItemIds.Add(ignore.TrackId);
+                        changed = true;
+                    }
+                }
+
+                if (ignore.IsAutomatic && playlist.AutoSnooze is { } autoSnooze)
+                {
+                    autoSnooze.RecordDismissal(ignore.TrackId);
+                    changed = true;
+                }
+            }
+
+            return changed;
         }
 
         /// <summary>
-        /// Clears all ignores for a playlist.
+        /// Builds an ignore entry for the given scope. For artist and album scopes the track,
+        /// if given, is used to look up which artist or album to ignore; explicit names take precedence.
+        /// An empty playlist ID creates a global ignore.
         /// </summary>
-        [HttpDelete("{playlistId}/ignores")]
-        [ProducesResponseType(StatusCodes.Status200OK)]
-        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
-        [ProducesResponseType(StatusCodes.Status404NotFound)]
-        public async Task<ActionResult<int>> ClearIgnores(string playlistId)
+        /// <returns>The ignore entry, or null if the scope target could not be determined.</returns>
+        private IgnoredTrack? CreateIgnoreEntry(
+            string? trackId,
+            string playlistId,
+            string userId,
+            int? durationDays,
+            string? reason,
+            IgnoreScope scope,
+            string? artistName = null,
+            string? albumName = null)
         {
-            var userId = GetCurrentUserId();
-            if (userId == Guid.Empty)
-            {
-                return Unauthorized("User not authenticated");
-            }
+            // Get track metadata if available
+            string? trackName = null;
+            string? trackArtists = null;
+            string? trackAlbum = null;
+            string? primaryArtist = null;
+            string? albumArtist = null;
 
-            if (!Guid.TryParse(playlistId, out _))
+            if (Guid.TryParse(trackId, out var trackGuid))
             {
-                return BadRequest("Invalid playlist ID format");
+                var item = _libraryManager.GetItemById(trackGuid);
+                if (item != null)
+                {
+                    trackName = item.Name;
+                    if (item is MediaBrowser.Controller.Entities.Audio.Audio audio)
+                    {
+                        trackArtists = string.Join(", ", audio.Artists);
+                        trackAlbum = audio.Album;
+                        primaryArtist = audio.Artists.FirstOrDefault() ?? audio.AlbumArtists.FirstOrDefault();
+                        albumArtist = audio.AlbumArtists.FirstOrDefault() ?? primaryArtist;
+                    }
+                }
             }
 
-            // Verify playlist exists
-            var playlistStore = GetUserPlaylistStore();
-            var playlist = await playlistStore.GetByIdAsync(userId.ToString(), playlistId).ConfigureAwait(false);
-            if (playlist == null)
+            switch (scope)
             {
-                return NotFound($"Playlist {playlistId} not found");
-            }
+                case IgnoreScope.Artist:
+                    var artist = string.IsNullOrWhiteSpace(artistName) ? primaryArtist : artistName;
+                    if (string.IsNullOrWhiteSpace(artist))
+                    {
+                        return null;
+                    }
 
-            var ignoreStore = GetIgnoreStore();
-            var count = await ignoreStore.RemoveAllForPlaylistAsync(userId.ToString(), playlistId).ConfigureAwait(false);
+                    return IgnoredTrack.Create(string.Empty, playlistId, userId, durationDays,
+                        artistName: artist, reason: reason, scope: IgnoreScope.Artist);
 
-            _logger.LogInformation("Cleared {Count} ignores for playlist {PlaylistId} for user {UserId}",
-                count, playlistId, userId);
+                case IgnoreScope.Album:
+                    var useNames = !string.IsNullOrWhiteSpace(albumName);
+                    var album = useNames ? albumName : trackAlbum;
+                    if (string.IsNullOrWhiteSpace(album))
+                    {
+                        return null;
+                    }
 
-            return Ok(count);
+                    return IgnoredTrack.Create(string.Empty, playlistId, userId, durationDays,
+                        artistName: useNames ? artistName : albumArtist, albumName: album, reason: reason, scope: IgnoreScope.Album);
+
+                default:
+                    if (string.IsNullOrWhiteSpace(trackId))
+                    {
+                        return null;
+                    }
+
+                    return IgnoredTrack.Create(trackId, playlistId, userId, durationDays,
+                        trackName, trackArtists, trackAlbum, reason);
+            }
         }
 
         // ==================== Utility Endpoints ====================
@@ -1400,6 +2415,12 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 _logger,
                 null).ToList();
 
+            // Runtime of every match, not just the returned ones, so the wizard can compare it to MaxPlayTimeMinutes
+            var matchingIds = filteredIdsList.ToHashSet();
+            var totalRuntimeTicks = allUserMedia
+                .Where(i => matchingIds.Contains(i.Id))
+                .Sum(i => i.RunTimeTicks ?? 0);
+
             // Apply limit for preview (don't return thousands of items)
             var limitedIds = filteredIdsList.Take(request.Limit ?? 200).ToList();
 
@@ -1433,10 +2454,284 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             {
                 Items = items,
                 TotalMatching = filteredIdsList.Count,
+                TotalRuntimeTicks = totalRuntimeTicks,
                 LimitApplied = filteredIdsList.Count > (request.Limit ?? 200)
             });
         }
 
+        /// <summary>
+        /// Matches entries parsed from an imported playlist file (M3U, XSPF, PLS) to library audio items.
+        /// Entries are matched by file path first, then by artist, title and duration.
+        /// </summary>
+        [HttpPost("import/match")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public ActionResult<List<ImportMatchItem>> MatchImportEntries([FromBody] MatchImportRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (request.Entries == null || request.Entries.Count == 0)
+            {
+                return BadRequest("No entries specified");
+            }
+
+            if (request.Entries.Count > MaxImportEntries)
+            {
+                return BadRequest($"Too many entries (maximum is {MaxImportEntries})");
+            }
+
+            var user = _userManager.GetUserById(userId);
+            if (user == null)
+            {
+                return Unauthorized("User not found");
+            }
+
+            var results = new List<ImportMatchItem>();
+            var unmatched = new List<int>();
+
+            // Entries whose path exists on this server are looked up directly
+            for (var i = 0; i < request.Entries.Count; i++)
+            {
+                var match = FindImportItemByPath(request.Entries[i].Path, user);
+                if (match == null)
+                {
+                    unmatched.Add(i);
+                    continue;
+                }
+
+                results.Add(CreateImportMatchItem(i, match, "path"));
+            }
+
+            // Only the remaining entries need the whole library, indexed once by path, file name and title
+            if (unmatched.Count > 0)
+            {
+                var (byPath, byFileName, byTitle) = BuildImportIndex(user);
+                foreach (var i in unmatched)
+                {
+                    var entry = request.Entries[i];
+                    var matchedBy = "path";
+                    var match = MatchImportPath(entry.Path, byPath, byFileName);
+                    if (match == null)
+                    {
+                        matchedBy = "metadata";
+                        match = MatchImportMetadata(entry, byTitle);
+                    }
+
+                    if (match != null)
+                    {
+                        results.Add(CreateImportMatchItem(i, match, matchedBy));
+                    }
+                }
+
+                results.Sort((a, b) => a.Index.CompareTo(b.Index));
+            }
+
+            _logger.LogDebug("Import matched {Matched} of {Total} entries for user {UserId} ({Indexed} needed the library index)",
+                results.Count, request.Entries.Count, userId, unmatched.Count);
+
+            return Ok(results);
+        }
+
+        /// <summary>
+        /// Looks up an audio item the user can see by its exact path on this server.
+        /// </summary>
+        private MediaBrowser.Controller.Entities.Audio.Audio? FindImportItemByPath(
+            string? entryPath,
+            Jellyfin.Database.Implementations.Entities.User user)
+        {
+            if (string.IsNullOrWhiteSpace(entryPath) || !Path.IsPathFullyQualified(entryPath.Trim()))
+            {
+                return null;
+            }
+
+            return _libraryManager.FindByPath(entryPath.Trim(), false) is MediaBrowser.Controller.Entities.Audio.Audio audio && audio.IsVisible(user)
+                ? audio
+                : null;
+        }
+
+        /// <summary>
+        /// Indexes the user's audio items by normalized path, file name and title.
+        /// </summary>
+        private (Dictionary<string, MediaBrowser.Controller.Entities.Audio.Audio> ByPath,
+            Dictionary<string, List<MediaBrowser.Controller.Entities.Audio.Audio>> ByFileName,
+            Dictionary<string, List<MediaBrowser.Controller.Entities.Audio.Audio>> ByTitle) BuildImportIndex(
+            Jellyfin.Database.Implementations.Entities.User user)
+        {
+            var query = new InternalItemsQuery(user)
+            {
+                IncludeItemTypes = [Jellyfin.Data.Enums.BaseItemKind.Audio],
+                Recursive = true
+            };
+            var audioItems = _libraryManager.GetItemsResult(query).Items
+                .OfType<MediaBrowser.Controller.Entities.Audio.Audio>();
+
+            var byPath = new Dictionary<string, MediaBrowser.Controller.Entities.Audio.Audio>(StringComparer.OrdinalIgnoreCase);
+            var byFileName = new Dictionary<string, List<MediaBrowser.Controller.Entities.Audio.Audio>>(StringComparer.OrdinalIgnoreCase);
+            var byTitle = new Dictionary<string, List<MediaBrowser.Controller.Entities.Audio.Audio>>(StringComparer.OrdinalIgnoreCase);
+            foreach (var audio in audioItems)
+            {
+                if (!string.IsNullOrEmpty(audio.Path))
+                {
+                    var path = NormalizeImportPath(audio.Path);
+                    byPath.TryAdd(path, audio);
+
+                    var fileName = path[(path.LastIndexOf('/') + 1)..];
+                    if (!byFileName.TryGetValue(fileName, out var sameName))
+                    {
+                        sameName = [];
+                        byFileName[fileName] = sameName;
+                    }
+
+                    sameName.Add(audio);
+                }
+
+                var title = NormalizeImportText(audio.Name);
+                if (title.Length > 0)
+                {
+                    if (!byTitle.TryGetValue(title, out var sameTitle))
+                    {
+                        sameTitle = [];
+                        byTitle[title] = sameTitle;
+                    }
+
+                    sameTitle.Add(audio);
+                }
+            }
+
+            return (byPath, byFileName, byTitle);
+        }
+
+        private static ImportMatchItem CreateImportMatchItem(int index, MediaBrowser.Controller.Entities.Audio.Audio match, string matchedBy)
+        {
+            return new ImportMatchItem
+            {
+                Index = index,
+                Id = match.Id.ToString("N"),
+                Name = match.Name ?? "Unknown",
+                Artist = match.AlbumArtists.FirstOrDefault() ?? match.Artists.FirstOrDefault(),
+                Album = match.Album,
+                RuntimeTicks = match.RunTimeTicks,
+                MatchedBy = matchedBy
+            };
+        }
+
+        private static string NormalizeImportPath(string path)
+        {
+            return path.Trim().Replace('\\', '/');
+        }
+
+        private static string NormalizeImportText(string? value)
+        {
+            return string.IsNullOrWhiteSpace(value)
+                ? string.Empty
+                : string.Join(' ', value.Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries));
+        }
+
+        /// <summary>
+        /// Finds an item by exact path, falling back to the item with the same file name whose
+        /// parent folders best match the entry's path (the library may be mounted elsewhere).
+        /// </summary>
+        private static MediaBrowser.Controller.Entities.Audio.Audio? MatchImportPath(
+            string? entryPath,
+            Dictionary<string, MediaBrowser.Controller.Entities.Audio.Audio> byPath,
+            Dictionary<string, List<MediaBrowser.Controller.Entities.Audio.Audio>> byFileName)
+        {
+            if (string.IsNullOrWhiteSpace(entryPath))
+            {
+                return null;
+            }
+
+            var path = NormalizeImportPath(entryPath);
+            if (byPath.TryGetValue(path, out var exact))
+            {
+                return exact;
+            }
+
+            var entrySegments = path.Split('/', StringSplitOptions.RemoveEmptyEntries);
+            if (entrySegments.Length == 0 || !byFileName.TryGetValue(entrySegments[^1], out var candidates))
+            {
+                return null;
+            }
+
+            MediaBrowser.Controller.Entities.Audio.Audio? best = null;
+            var bestScore = 0;
+            var tied = false;
+            foreach (var candidate in candidates)
+            {
+                var candidateSegments = NormalizeImportPath(candidate.Path).Split('/', StringSplitOptions.RemoveEmptyEntries);
+                var score = 0;
+                while (score < entrySegments.Length && score < candidateSegments.Length &&
+                    string.Equals(entrySegments[^(score + 1)], candidateSegments[^(score + 1)], StringComparison.OrdinalIgnoreCase))
+                {
+                    score++;
+                }
+
+                if (score > bestScore)
+                {
+                    best = candidate;
+                    bestScore = score;
+                    tied = false;
+                }
+                else if (score == bestScore)
+                {
+                    tied = true;
+                }
+            }
+
+            // A bare file name is only trusted when it is unique in the library
+            if (best == null || tied || (bestScore < 2 && candidates.Count > 1))
+            {
+                return null;
+            }
+
+            return best;
+        }
+
+        /// <summary>
+        /// Finds an item by title, narrowed down by artist and duration when the entry has them.
+        /// Without an artist only an unambiguous title match is accepted.
+        /// </summary>
+        private static MediaBrowser.Controller.Entities.Audio.Audio? MatchImportMetadata(
+            ImportEntry entry,
+            Dictionary<string, List<MediaBrowser.Controller.Entities.Audio.Audio>> byTitle)
+        {
+            var title = NormalizeImportText(entry.Title);
+            if (title.Length == 0 || !byTitle.TryGetValue(title, out var candidates))
+            {
+                return null;
+            }
+
+            IEnumerable<MediaBrowser.Controller.Entities.Audio.Audio> matches = candidates;
+            var artist = NormalizeImportText(entry.Artist);
+            if (artist.Length > 0)
+            {
+                matches = matches.Where(a => a.Artists.Concat(a.AlbumArtists)
+                    .Any(name => string.Equals(NormalizeImportText(name), artist, StringComparison.OrdinalIgnoreCase)));
+            }
+
+            if (entry.DurationSeconds is > 0)
+            {
+                var durationTicks = TimeSpan.FromSeconds(entry.DurationSeconds.Value).Ticks;
+                var toleranceTicks = TimeSpan.FromSeconds(ImportDurationToleranceSeconds).Ticks;
+                matches = matches
+                    .Where(a => a.RunTimeTicks is { } ticks && Math.Abs(ticks - durationTicks) <= toleranceTicks)
+                    .OrderBy(a => Math.Abs(a.RunTimeTicks!.Value - durationTicks));
+            }
+
+            var list = matches.ToList();
+            if (list.Count == 0 || (artist.Length == 0 && list.Count > 1))
+            {
+                return null;
+            }
+
+            return list[0];
+        }
+
         /// <summary>
         /// Gets available Jellyfin playlists for the current user (for cloning).
         /// </summary>
@@ -1478,6 +2773,46 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             return Ok(result);
         }
 
+        /// <summary>
+        /// Gets the libraries the current user can access, sorted by name, as a list of
+        /// <c>{ "Id", "Name", "CollectionType" }</c>. Same shape as the admin libraries endpoint, but it
+        /// needs no admin rights and leaves out libraries hidden from the user.
+        /// Used as the root of the wizard's folder tree; folder contents then come from Jellyfin's
+        /// <c>Items</c> API, read 1000 items at a time until <c>TotalRecordCount</c> is reached.
+        /// </summary>
+        [HttpGet("libraries")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public ActionResult<IEnumerable<LibraryInfo>> GetLibraries()
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var user = _userManager.GetUserById(userId);
+            if (user == null)
+            {
+                return Unauthorized("User not found");
+            }
+
+            var libraries = _libraryManager.GetVirtualFolders()
+                .Where(vf => Guid.TryParse(vf.ItemId, out var folderId)
+                    && _libraryManager.GetItemById(folderId) is Folder folder
+                    && folder.IsVisible(user))
+                .Select(vf => new LibraryInfo
+                {
+                    Id = vf.ItemId,
+                    Name = vf.Name,
+                    CollectionType = vf.CollectionType?.ToString()
+                })
+                .OrderBy(l => l.Name)
+                .ToList();
+
+            return Ok(libraries);
+        }
+
         /// <summary>
         /// Gets the item count for a playlist.
         /// </summary>
@@ -1610,17 +2945,202 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 FieldOperators = Core.Constants.Operators.GetFieldOperatorsDictionary(),
             };
 
-            return Ok(fields);
+            return Ok(fields);
+        }
+
+        /// <summary>
+        /// Gets available operators (same as admin).
+        /// </summary>
+        [HttpGet("operators")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        public ActionResult<object> GetOperators()
+        {
+            return Ok(Core.Constants.Operators.AllOperators);
+        }
+
+        // ==================== Wizard Drafts ====================
+
+        /// <summary>
+        /// Gets the current user's saved wizard drafts, most recently saved first.
+        /// </summary>
+        [HttpGet("drafts")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<IEnumerable<WizardDraftSummary>>> GetDrafts()
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var drafts = await _wizardDraftStore.GetAllAsync(userId.ToString()).ConfigureAwait(false);
+            return Ok(drafts.Select(d => new WizardDraftSummary
+            {
+                Id = d.Id,
+                Name = d.Name,
+                CurrentStep = d.CurrentStep,
+                IsConvert = d.IsConvert,
+                SourcePlaylistId = d.SourcePlaylistId,
+                EditPlaylistId = d.EditPlaylistId,
+                ItemCount = d.Items.Count,
+                HasRules = d.ExpressionSets is { Count: > 0 },
+                LastModified = d.LastModified
+            }).ToList());
+        }
+
+        /// <summary>
+        /// Gets a single wizard draft with its preview items.
+        /// </summary>
+        [HttpGet("drafts/{draftId}")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<WizardDraft>> GetDraft(string draftId)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var draft = await _wizardDraftStore.GetByIdAsync(userId.ToString(), draftId).ConfigureAwait(false);
+            if (draft == null)
+            {
+                return NotFound("Draft not found");
+            }
+
+            return Ok(draft);
+        }
+
+        /// <summary>
+        /// Saves a wizard draft. A draft without a known ID is stored as a new draft.
+        /// </summary>
+        [HttpPut("drafts")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<WizardDraft>> SaveDraft([FromBody] WizardDraft draft)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (string.IsNullOrWhiteSpace(draft.Name))
+            {
+                return BadRequest("Draft name is required");
+            }
+
+            if (draft.Items == null || draft.Items.Count > MaxDraftItems)
+            {
+                return BadRequest($"A draft can hold at most {MaxDraftItems} items");
+            }
+
+            draft.Name = draft.Name.Trim();
+            draft.MediaTypes ??= [];
+
+            var saved = await _wizardDraftStore.SaveAsync(userId.ToString(), draft).ConfigureAwait(false);
+            return Ok(saved);
         }
 
         /// <summary>
-        /// Gets available operators (same as admin).
+        /// Discards a wizard draft.
         /// </summary>
-        [HttpGet("operators")]
+        [HttpDelete("drafts/{draftId}")]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult> DeleteDraft(string draftId)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var deleted = await _wizardDraftStore.DeleteAsync(userId.ToString(), draftId).ConfigureAwait(false);
+            if (!deleted)
+            {
+                return NotFound("Draft not found");
+            }
+
+            return NoContent();
+        }
+
+        // ==================== User Settings ====================
+
+        /// <summary>
+        /// Gets the current user's settings. Returns defaults if none have been saved.
+        /// </summary>
+        [HttpGet("settings")]
         [ProducesResponseType(StatusCodes.Status200OK)]
-        public ActionResult<object> GetOperators()
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<UserSettings>> GetSettings()
         {
-            return Ok(Core.Constants.Operators.AllOperators);
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            var settings = await _userSettingsStore.GetAsync(userId.ToString()).ConfigureAwait(false);
+            return Ok(settings);
+        }
+
+        /// <summary>
+        /// Updates the current user's settings. Only the provided fields are changed.
+        /// </summary>
+        [HttpPut("settings")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<ActionResult<UserSettings>> UpdateSettings([FromBody] UpdateUserSettingsRequest request)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (request.DefaultIgnoreDays.HasValue && (request.DefaultIgnoreDays < 0 || request.DefaultIgnoreDays > 3650))
+            {
+                return BadRequest("DefaultIgnoreDays must be between 0 (permanent) and 3650");
+            }
+
+            if (request.IgnoreShortcut != null && request.IgnoreShortcut.Length > 50)
+            {
+                return BadRequest("IgnoreShortcut is too long");
+            }
+
+            if (request.TrackColumns != null && (request.TrackColumns.Count > 20 || request.TrackColumns.Any(c => c == null || c.Length > 50)))
+            {
+                return BadRequest("TrackColumns is invalid");
+            }
+
+            var settings = await _userSettingsStore.GetAsync(userId.ToString()).ConfigureAwait(false);
+
+            if (request.DefaultIgnoreDays.HasValue)
+            {
+                settings.DefaultIgnoreDays = request.DefaultIgnoreDays.Value;
+            }
+
+            if (request.IgnoreShortcut != null)
+            {
+                settings.IgnoreShortcut = request.IgnoreShortcut.Trim();
+            }
+
+            if (request.TrackColumns != null)
+            {
+                settings.TrackColumns = request.TrackColumns.Distinct(StringComparer.Ordinal).ToList();
+            }
+
+            var saved = await _userSettingsStore.SaveAsync(userId.ToString(), settings).ConfigureAwait(false);
+
+            _logger.LogInformation("Updated settings for user {UserId}", userId);
+
+            return Ok(saved);
         }
 
         // ==================== Export/Import ====================
@@ -1754,10 +3274,20 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         /// </summary>
         public class AddIgnoreRequest
         {
-            [Required]
-            public string TrackId { get; set; } = string.Empty;
+            public string? TrackId { get; set; }
             public int? DurationDays { get; set; }
             public string? Reason { get; set; }
+            /// <summary>
+            /// What to ignore. Defaults to Track. For Artist and Album the track identifies the
+            /// artist or album, or ArtistName/AlbumName can be given directly.
+            /// </summary>
+            public IgnoreScope? Scope { get; set; }
+            public string? ArtistName { get; set; }
+            public string? AlbumName { get; set; }
+            /// <summary>
+            /// Whether the ignore applies to all of the user's smart playlists instead of just this one.
+            /// </summary>
+            public bool? Global { get; set; }
         }
 
         /// <summary>
@@ -1765,7 +3295,30 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         /// </summary>
         public class UpdateIgnoreRequest
         {
+            /// <summary>
+            /// Gets or sets the new duration in days, counted from when the ignore was added.
+            /// </summary>
             public int? DurationDays { get; set; }
+
+            /// <summary>
+            /// Gets or sets the number of days from now until the ignore expires. Takes precedence over DurationDays.
+            /// </summary>
+            public int? ExpiresInDays { get; set; }
+
+            /// <summary>
+            /// Gets or sets the new reason. Null leaves the reason unchanged; an empty string clears it.
+            /// </summary>
+            public string? Reason { get; set; }
+        }
+
+        /// <summary>
+        /// Request model for updating user settings. Null fields are left unchanged.
+        /// </summary>
+        public class UpdateUserSettingsRequest
+        {
+            public int? DefaultIgnoreDays { get; set; }
+            public string? IgnoreShortcut { get; set; }
+            public List<string>? TrackColumns { get; set; }
         }
 
         /// <summary>
@@ -1778,6 +3331,16 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             public int ItemCount { get; set; }
         }
 
+        /// <summary>
+        /// Info about a library the user can browse.
+        /// </summary>
+        public class LibraryInfo
+        {
+            public string Id { get; set; } = string.Empty;
+            public string Name { get; set; } = string.Empty;
+            public string? CollectionType { get; set; }
+        }
+
         /// <summary>
         /// Info about a filter field.
         /// </summary>
@@ -1810,7 +3373,22 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             public bool IsIgnored { get; set; }
             public DateTime? IgnoreExpiresAt { get; set; }
             public string? IgnoreId { get; set; }
+            public IgnoreScope? IgnoreScope { get; set; }
+            public bool IsGlobalIgnore { get; set; }
             public bool IsPermanentIgnore { get; set; }
+            public int PlayCount { get; set; }
+            public DateTime? LastPlayedDate { get; set; }
+            public bool IsFavorite { get; set; }
+
+            /// <summary>
+            /// Gets or sets how many times the user has snoozed this track, including expired snoozes.
+            /// </summary>
+            public int SnoozeCount { get; set; }
+
+            /// <summary>
+            /// Gets or sets whether the item is pinned, so it is always included and cannot be ignored.
+            /// </summary>
+            public bool IsPinned { get; set; }
         }
 
         /// <summary>
@@ -1833,6 +3411,14 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             public int? DurationDays { get; set; }
             public string? Reason { get; set; }
             /// <summary>
+            /// What to ignore for each track: the track itself, its artist or its album. Defaults to Track.
+            /// </summary>
+            public IgnoreScope? Scope { get; set; }
+            /// <summary>
+            /// Whether the ignores apply to all of the user's smart playlists instead of just this one.
+            /// </summary>
+            public bool? Global { get; set; }
+            /// <summary>
             /// Whether to automatically refresh the playlist after adding ignores.
             /// Defaults to true if not specified.
             /// </summary>
@@ -1845,6 +3431,11 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         public class BulkIgnoreResult
         {
             public int Added { get; set; }
+            /// <summary>
+            /// IDs of the ignore entries this request created, so the client can undo them.
+            /// Entries that already existed and were only updated are left out.
+            /// </summary>
+            public List<string> IgnoreIds { get; set; } = [];
             public List<string> Errors { get; set; } = [];
             /// <summary>
             /// Whether the playlist was refreshed after the operation.
@@ -1869,6 +3460,58 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             public bool? AutoRefresh { get; set; }
         }
 
+        /// <summary>
+        /// Request for changing the duration of multiple ignores.
+        /// </summary>
+        public class BulkUpdateIgnoreRequest
+        {
+            public List<string> IgnoreIds { get; set; } = [];
+
+            /// <summary>
+            /// Gets or sets the number of days from now until the ignores expire. Null or 0 makes them permanent.
+            /// </summary>
+            public int? DurationDays { get; set; }
+        }
+
+        /// <summary>
+        /// Staged ignore changes for a playlist, applied together.
+        /// </summary>
+        public class IgnoreChangesRequest
+        {
+            /// <summary>
+            /// Gets or sets the IDs of the ignores to remove.
+            /// </summary>
+            public List<string> RemoveIgnoreIds { get; set; } = [];
+
+            /// <summary>
+            /// Gets or sets the tracks to snooze, grouped by duration.
+            /// </summary>
+            public List<SnoozeGroup> Snoozes { get; set; } = [];
+        }
+
+        /// <summary>
+        /// Tracks to snooze for the same duration.
+        /// </summary>
+        public class SnoozeGroup
+        {
+            public List<string> TrackIds { get; set; } = [];
+
+            /// <summary>
+            /// Gets or sets the duration in days. Null or 0 for permanent.
+            /// </summary>
+            public int? DurationDays { get; set; }
+        }
+
+        /// <summary>
+        /// Result of applying staged ignore changes.
+        /// </summary>
+        public class IgnoreChangesResult
+        {
+            public int Added { get; set; }
+            public int Removed { get; set; }
+            public List<string> Errors { get; set; } = [];
+        }
+
         /// <summary>
         /// Result of bulk remove ignore operation.
         /// </summary>
@@ -1911,6 +3554,33 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             public List<string> ItemIds { get; set; } = [];
         }
 
+        /// <summary>
+        /// Request for saving a playlist's manual item order.
+        /// </summary>
+        public class ManualOrderRequest
+        {
+            public List<string> ItemIds { get; set; } = [];
+            /// <summary>
+            /// Whether to refresh the playlist after saving the order.
+            /// Defaults to true if not specified.
+            /// </summary>
+            public bool? AutoRefresh { get; set; }
+        }
+
+        /// <summary>
+        /// Request for pinning and unpinning playlist items.
+        /// </summary>
+        public class UpdatePinsRequest
+        {
+            public List<string> PinIds { get; set; } = [];
+            public List<string> UnpinIds { get; set; } = [];
+            /// <summary>
+            /// Whether to refresh the playlist after updating the pins.
+            /// Defaults to true if not specified.
+            /// </summary>
+            public bool? AutoRefresh { get; set; }
+        }
+
         /// <summary>
         /// Result of adding items to a playlist.
         /// </summary>
@@ -1937,6 +3607,12 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         {
             public List<PreviewRulesItem> Items { get; set; } = [];
             public int TotalMatching { get; set; }
+
+            /// <summary>
+            /// Gets or sets the combined runtime of all matching items, including those not returned.
+            /// </summary>
+            public long TotalRuntimeTicks { get; set; }
+
             public bool LimitApplied { get; set; }
         }
 
@@ -1951,5 +3627,135 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             public string? Album { get; set; }
             public long? RuntimeTicks { get; set; }
         }
+
+        /// <summary>
+        /// A wizard draft as listed on the landing page, without its preview items.
+        /// </summary>
+        public class WizardDraftSummary
+        {
+            public string Id { get; set; } = string.Empty;
+            public string Name { get; set; } = string.Empty;
+            public int CurrentStep { get; set; }
+            public bool IsConvert { get; set; }
+            public string? SourcePlaylistId { get; set; }
+            public string? EditPlaylistId { get; set; }
+            public int ItemCount { get; set; }
+            public bool HasRules { get; set; }
+            public DateTime LastModified { get; set; }
+        }
+
+        /// <summary>
+        /// Request for matching entries of an imported playlist file.
+        /// </summary>
+        public class MatchImportRequest
+        {
+            public List<ImportEntry> Entries { get; set; } = [];
+        }
+
+        /// <summary>
+        /// A single entry parsed from an imported playlist file.
+        /// </summary>
+        public class ImportEntry
+        {
+            public string? Path { get; set; }
+            public string? Artist { get; set; }
+            public string? Title { get; set; }
+            public int? DurationSeconds { get; set; }
+        }
+
+        /// <summary>
+        /// A library item matched to an imported entry.
+        /// </summary>
+        public class ImportMatchItem
+        {
+            /// <summary>
+            /// Gets or sets the position of the entry in the request.
+            /// </summary>
+            public int Index { get; set; }
+
+            public string Id { get; set; } = string.Empty;
+            public string Name { get; set; } = string.Empty;
+            public string? Artist { get; set; }
+            public string? Album { get; set; }
+            public long? RuntimeTicks { get; set; }
+
+            /// <summary>
+            /// Gets or sets how the entry was matched: "path" or "metadata".
+            /// </summary>
+            public string MatchedBy { get; set; } = string.Empty;
+        }
+
+        /// <summary>
+        /// Request for checking which items are ignored.
+        /// </summary>
+        public class CheckIgnoredRequest
+        {
+            public List<string> ItemIds { get; set; } = [];
+        }
+
+        /// <summary>
+        /// An ignore that expires soon, with the name of the playlist it belongs to.
+        /// </summary>
+        public class ExpiringIgnoreInfo
+        {
+            public IgnoredTrack Ignore { get; set; } = new();
+
+            /// <summary>
+            /// Gets or sets the playlist name, or null for a global ignore.
+            /// </summary>
+            public string? PlaylistName { get; set; }
+        }
+
+        /// <summary>
+        /// Snooze analytics for a user.
+        /// </summary>
+        public class SnoozeHistoryResult
+        {
+            public int TotalSnoozes { get; set; }
+            public List<SnoozeHistoryTrack> TopTracks { get; set; } = [];
+            public List<SnoozeHistoryArtist> TopArtists { get; set; } = [];
+            public List<SnoozeHistoryWeek> PerWeek { get; set; } = [];
+
+            /// <summary>
+            /// Gets or sets tracks snoozed at least <see cref="RepeatOffenderThreshold"/> times.
+            /// </summary>
+            public List<SnoozeHistoryTrack> RepeatOffenders { get; set; } = [];
+            public int RepeatOffenderThreshold { get; set; }
+        }
+
+        /// <summary>
+        /// Snooze count for a single track.
+        /// </summary>
+        public class SnoozeHistoryTrack
+        {
+            public string TrackId { get; set; } = string.Empty;
+            public string? TrackName { get; set; }
+            public string? ArtistName { get; set; }
+            public int Count { get; set; }
+            public DateTime LastSnoozedAt { get; set; }
+
+            /// <summary>
+            /// Gets or sets a value indicating whether the track already has a permanent global ignore.
+            /// </summary>
+            public bool IsPermanentlyIgnored { get; set; }
+        }
+
+        /// <summary>
+        /// Snooze count for a single artist.
+        /// </summary>
+        public class SnoozeHistoryArtist
+        {
+            public string ArtistName { get; set; } = string.Empty;
+            public int Count { get; set; }
+        }
+
+        /// <summary>
+        /// Number of snoozes in a week.
+        /// </summary>
+        public class SnoozeHistoryWeek
+        {
+            public DateTime WeekStart { get; set; }
+            public int Count { get; set; }
+        }
     }
 }
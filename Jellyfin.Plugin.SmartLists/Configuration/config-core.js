@@ -56,7 +56,9 @@
         { value: 'TrackNumber', label: 'Track Number' },
         { value: 'Resolution', label: 'Resolution' },
         { value: 'Random', label: 'Random' },
-        { value: 'NoOrder', label: 'No Order' }
+        { value: 'NoOrder', label: 'No Order' },
+        // Only offered on pages that set page._supportsManualOrder (user playlists)
+        { value: 'Manual', label: 'Manual (drag to reorder)' }
     ];
 
     SmartLists.SORT_ORDER_OPTIONS = [
@@ -903,6 +905,169 @@
         activeNotifications = [];
     };
 
+    // ===== DUPLICATE DETECTION =====
+    // The same song on the original album, a compilation and a remaster is grouped by
+    // normalized title + artist, with runtimes no further apart than this
+    SmartLists.DUPLICATE_DURATION_TOLERANCE_SECONDS = 5;
+
+    SmartLists.DUPLICATE_PREFERENCES = [
+        { value: 'original', label: 'Original album' },
+        { value: 'bitrate', label: 'Highest bitrate' },
+        { value: 'played', label: 'Most played' }
+    ];
+
+    // Edition words that mark a version of a song rather than a different song
+    var EDITION_PATTERN = /\b(remaster(ed)?|version|edition|mono|stereo|deluxe|explicit|clean|bonus|anniversary|single|album)\b/;
+
+    SmartLists.normalizeTrackTitle = function (title) {
+        return (title || '')
+            .toLowerCase()
+            // "(2011 Remaster)", "[Deluxe Edition]"
+            .replace(/\s*[([][^)\]]*[)\]]/g, function (part) {
+                return EDITION_PATTERN.test(part) ? '' : part;
+            })
+            // "Song - 2011 Remastered Version"
+            .replace(/\s+-\s+(.*)$/, function (part, suffix) {
+                return EDITION_PATTERN.test(suffix) ? '' : part;
+            })
+            .replace(/[^a-z0-9\u00c0-\uffff]+/g, ' ')
+            .trim();
+    };
+
+    SmartLists.normalizeArtistName = function (artist) {
+        // Only the first of several artists, so "A, B" and "A feat. B" still match "A"
+        var first = (artist || '').split(/,|;| feat\.? | ft\.? | & /i)[0];
+        return first.toLowerCase().replace(/^the\s+/, '').replace(/[^a-z0-9\u00c0-\uffff]+/g, ' ').trim();
+    };
+
+    // Returns groups (arrays of 2 or more items) of likely duplicates, in the order they first appear.
+    // Items need Id, Name, Artist and RuntimeTicks.
+    SmartLists.findDuplicateGroups = function (items) {
+        var toleranceTicks = SmartLists.DUPLICATE_DURATION_TOLERANCE_SECONDS * 10000000;
+        var byKey = {};
+        var keys = [];
+
+        items.forEach(function (item, index) {
+            var title = SmartLists.normalizeTrackTitle(item.Name);
+            if (!title) return;
+            var key = title + '|' + SmartLists.normalizeArtistName(item.Artist);
+            if (!byKey[key]) {
+                byKey[key] = [];
+                keys.push(key);
+            }
+            byKey[key].push({ item: item, index: index });
+        });
+
+        var groups = [];
+        keys.forEach(function (key) {
+            var entries = byKey[key];
+            if (entries.length < 2) return;
+
+            // Split by runtime: each item joins the first cluster it's close enough to
+            var clusters = [];
+            entries.forEach(function (entry) {
+                var ticks = entry.item.RuntimeTicks || 0;
+                var cluster = clusters.find(function (c) {
+                    var first = c[0].item.RuntimeTicks || 0;
+                    return !ticks || !first || Math.abs(first - ticks) <= toleranceTicks;
+                });
+                if (cluster) {
+                    cluster.push(entry);
+                } else {
+                    clusters.push([entry]);
+                }
+            });
+
+            clusters.forEach(function (cluster) {
+                if (cluster.length > 1) {
+                    groups.push(cluster);
+                }
+            });
+        });
+
+        return groups
+            .sort(function (a, b) { return a[0].index - b[0].index; })
+            .map(function (cluster) {
+                return cluster.map(function (entry) { return entry.item; });
+            });
+    };
+
+    // Fetches what the keep preferences compare: album artist, year, bitrate and play count
+    SmartLists.fetchDuplicateDetails = function (apiClient, itemIds) {
+        var batches = [];
+        for (var i = 0; i < itemIds.length; i += 100) {
+            batches.push(itemIds.slice(i, i + 100));
+        }
+
+        return Promise.all(batches.map(function (ids) {
+            var params = new URLSearchParams();
+            params.set('UserId', apiClient.getCurrentUserId());
+            params.set('Ids', ids.join(','));
+            params.set('Fields', 'MediaSources');
+            params.set('EnableUserData', 'true');
+            return apiClient.ajax({
+                type: 'GET',
+                url: apiClient.getUrl('Items') + '?' + params.toString(),
+                contentType: 'application/json'
+            }).then(function (response) {
+                return response && typeof response.json === 'function' ? response.json() : response;
+            });
+        })).then(function (results) {
+            var details = {};
+            results.forEach(function (result) {
+                (result.Items || []).forEach(function (item) {
+                    var source = item.MediaSources && item.MediaSources[0];
+                    details[item.Id.replace(/-/g, '').toLowerCase()] = {
+                        AlbumArtist: item.AlbumArtist || '',
+                        Year: item.ProductionYear || null,
+                        Bitrate: (source && source.Bitrate) || 0,
+                        PlayCount: (item.UserData && item.UserData.PlayCount) || 0
+                    };
+                });
+            });
+            return details;
+        });
+    };
+
+    // Picks the item to keep from a duplicate group. Ties go to the item listed first.
+    SmartLists.pickDuplicateToKeep = function (group, details, preference) {
+        function detailsFor(item) {
+            return details[String(item.Id).replace(/-/g, '').toLowerCase()] || {};
+        }
+
+        function score(item) {
+            var d = detailsFor(item);
+            if (preference === 'bitrate') return [d.Bitrate || 0];
+            if (preference === 'played') return [d.PlayCount || 0];
+            // Original album: not a compilation, then the earliest release
+            var isCompilation = /^various( artists)?$/i.test(d.AlbumArtist || '');
+            return [isCompilation ? 0 : 1, d.Year ? -d.Year : -9999];
+        }
+
+        var best = group[0];
+        var bestScore = score(best);
+        group.slice(1).forEach(function (item) {
+            var itemScore = score(item);
+            for (var i = 0; i < itemScore.length; i++) {
+                if (itemScore[i] !== bestScore[i]) {
+                    if (itemScore[i] > bestScore[i]) {
+                        best = item;
+                        bestScore = itemScore;
+                    }
+                    return;
+                }
+            }
+        });
+        return best;
+    };
+
+    SmartLists.generateDuplicatePreferenceOptions = function (defaultValue) {
+        return SmartLists.DUPLICATE_PREFERENCES.map(function (option) {
+            return '<option value="' + option.value + '"' + (option.value === defaultValue ? ' selected' : '') + '>' +
+                SmartLists.escapeHtml(option.label) + '</option>';
+        }).join('');
+    };
+
     SmartLists.cleanupModalListeners = function (modal) {
         // Remove any existing backdrop listener to prevent accumulation
         if (modal._modalBackdropHandler) {
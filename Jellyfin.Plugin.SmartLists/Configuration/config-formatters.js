@@ -407,9 +407,9 @@
                 } else if (displaySortBy === 'SeriesName (Ignore Articles)') {
                     displaySortBy = 'Series Name (Ignore Article \'The\')';
                 }
-                // Random and NoOrder don't have meaningful order, so don't show "Ascending"
+                // Random, NoOrder and Manual don't have meaningful order, so don't show "Ascending"
                 // Normalize "NoOrder" to "No Order" for display consistency
-                if (displaySortBy === 'Random' || displaySortBy === 'NoOrder' || displaySortBy === 'No Order') {
+                if (displaySortBy === 'Random' || displaySortBy === 'NoOrder' || displaySortBy === 'No Order' || displaySortBy === 'Manual') {
                     return displaySortBy === 'NoOrder' ? 'No Order' : displaySortBy;
                 }
                 return displaySortBy + ' ' + opt.SortOrder;
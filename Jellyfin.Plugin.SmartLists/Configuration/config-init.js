@@ -158,7 +158,10 @@
         }
 
         // Populate sort options (legacy format for backward compatibility)
-        const SORT_OPTIONS_LEGACY = SmartLists.SORT_OPTIONS.map(function (opt) { return { Value: opt.value, Label: opt.label }; });
+        // Manual ordering is only available for user playlists
+        const SORT_OPTIONS_LEGACY = SmartLists.SORT_OPTIONS
+            .filter(function (opt) { return opt.value !== 'Manual'; })
+            .map(function (opt) { return { Value: opt.value, Label: opt.label }; });
         const SORT_ORDER_OPTIONS_LEGACY = SmartLists.SORT_ORDER_OPTIONS.map(function (opt) { return { Value: opt.value, Label: opt.label }; });
 
         const defaultSortBySetting = page.querySelector('#defaultSortBy');
@@ -7,8 +7,9 @@
         SmartLists = window.SmartLists;
     }
     
-    SmartLists.initializeSortSystem = function(page) {
-        const sortsContainer = page.querySelector('#sorts-container');
+    // The sort helpers default to the config page's #sorts-container; the wizard passes its own selector
+    SmartLists.initializeSortSystem = function(page, containerSelector) {
+        const sortsContainer = page.querySelector(containerSelector || '#sorts-container');
         if (!sortsContainer) return;
         
         // Clear any existing content
@@ -21,7 +22,7 @@
         addBtn.className = 'emby-button raised add-sort-btn';
         addBtn.textContent = '+ Add Sort';
         addBtn.addEventListener('click', function() {
-            SmartLists.addSortBox(page, null);
+            SmartLists.addSortBox(page, null, containerSelector);
         });
         sortsContainer.appendChild(addBtn);
     };
@@ -118,8 +119,8 @@
     SmartLists.syncSortOrderUI = function(sortByValue, sortOrderContainer, sortOrderSelect) {
         if (!sortOrderContainer || !sortOrderSelect) return;
         
-        // Hide Sort Order for Random and NoOrder (they don't use ordering)
-        if (sortByValue === 'Random' || sortByValue === 'NoOrder') {
+        // Hide Sort Order for Random, NoOrder and Manual (they don't use ordering)
+        if (sortByValue === 'Random' || sortByValue === 'NoOrder' || sortByValue === 'Manual') {
             sortOrderContainer.style.display = 'none';
         } else {
             sortOrderContainer.style.display = '';
@@ -131,7 +132,12 @@
         }
     };
     
-    SmartLists.shouldShowSortOption = function(sortValue, selectedMediaTypes, hasSimilarToRule) {
+    SmartLists.shouldShowSortOption = function(sortValue, selectedMediaTypes, hasSimilarToRule, supportsManualOrder) {
+        // Manual - only on pages where items can be dragged into order
+        if (sortValue === 'Manual') {
+            return supportsManualOrder === true;
+        }
+        
         // If no media types selected, show all options
         if (!selectedMediaTypes || selectedMediaTypes.length === 0) {
             return true;
@@ -183,9 +189,10 @@
     SmartLists.getFilteredSortOptions = function(page) {
         const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
         const hasSimilarTo = SmartLists.hasSimilarToRuleInForm(page);
+        const supportsManualOrder = page._supportsManualOrder === true;
         
         return SmartLists.SORT_OPTIONS.filter(function(opt) {
-            return SmartLists.shouldShowSortOption(opt.value, selectedMediaTypes, hasSimilarTo);
+            return SmartLists.shouldShowSortOption(opt.value, selectedMediaTypes, hasSimilarTo, supportsManualOrder);
         });
     };
     
@@ -277,8 +284,8 @@
         return box;
     };
     
-    SmartLists.addSortBox = function(page, sortData) {
-        const sortsContainer = page.querySelector('#sorts-container');
+    SmartLists.addSortBox = function(page, sortData, containerSelector) {
+        const sortsContainer = page.querySelector(containerSelector || '#sorts-container');
         if (!sortsContainer) return;
         
         // Check if we already have 3 sort boxes (max limit)
@@ -329,7 +336,7 @@
     };
     
     SmartLists.removeSortBox = function(page, box) {
-        const sortsContainer = page.querySelector('#sorts-container');
+        const sortsContainer = box.parentElement;
         if (!sortsContainer) return;
         
         const boxes = sortsContainer.querySelectorAll('.sort-box');
@@ -364,8 +371,8 @@
         }
     };
     
-    SmartLists.collectSortsFromForm = function(page) {
-        const sortsContainer = page.querySelector('#sorts-container');
+    SmartLists.collectSortsFromForm = function(page, containerSelector) {
+        const sortsContainer = page.querySelector(containerSelector || '#sorts-container');
         if (!sortsContainer) return [];
         
         const boxes = sortsContainer.querySelectorAll('.sort-box');
@@ -379,7 +386,7 @@
             if (!sortBySelect || !sortBySelect.value) return; // Skip if no sort by selected
             
             let sortBy = sortBySelect.value;
-            const sortOrder = (sortBy === 'Random' || sortBy === 'NoOrder') ? 'Ascending' : (sortOrderSelect ? sortOrderSelect.value : 'Ascending');
+            const sortOrder = (sortBy === 'Random' || sortBy === 'NoOrder' || sortBy === 'Manual') ? 'Ascending' : (sortOrderSelect ? sortOrderSelect.value : 'Ascending');
             
             // Handle "Ignore Articles" checkbox - convert to "(Ignore Articles)" for backwards compatibility
             if ((sortBy === 'Name' || sortBy === 'SeriesName') && ignoreArticlesCheckbox && ignoreArticlesCheckbox.checked) {
@@ -501,8 +508,8 @@
     };
     
     // Helper function to load sort options into the UI
-    SmartLists.loadSortOptionsIntoUI = function(page, playlist) {
-        const sortsContainer = page.querySelector('#sorts-container');
+    SmartLists.loadSortOptionsIntoUI = function(page, playlist, containerSelector) {
+        const sortsContainer = page.querySelector(containerSelector || '#sorts-container');
         if (!sortsContainer) return;
         
         // Clear existing sort boxes and separators
@@ -557,7 +564,7 @@
             addBtn.type = 'button';
             addBtn.className = 'emby-button raised add-sort-btn';
             addBtn.addEventListener('click', function() {
-                SmartLists.addSortBox(page, null);
+                SmartLists.addSortBox(page, null, containerSelector);
             });
             sortsContainer.appendChild(addBtn);
         }
@@ -16,7 +16,13 @@
         fields: 'Plugins/SmartLists/User/fields',
         refresh: 'Plugins/SmartLists/User/refresh',
         export: 'Plugins/SmartLists/User/export',
-        import: 'Plugins/SmartLists/User/import'
+        import: 'Plugins/SmartLists/User/import',
+        settings: 'Plugins/SmartLists/User/settings',
+        globalIgnores: 'Plugins/SmartLists/User/ignores/global',
+        ignoreHistory: 'Plugins/SmartLists/User/ignores/history',
+        expiringIgnores: 'Plugins/SmartLists/User/ignores/expiring',
+        bulkUpdateIgnores: 'Plugins/SmartLists/User/ignores/bulk',
+        drafts: 'Plugins/SmartLists/User/drafts'
     };
 
     // ===== STANDALONE API CLIENT =====
@@ -186,6 +192,99 @@
         });
     }
 
+    // ===== USER SETTINGS =====
+    // Server-side user settings (default ignore period etc.), loaded on page init
+    var userSettings = null;
+
+    function loadUserSettings() {
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) {
+            return Promise.resolve(null);
+        }
+
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(USER_ENDPOINTS.settings),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (settings) {
+            userSettings = settings;
+            migrateLegacyTrackColumns();
+            return settings;
+        }).catch(function (err) {
+            console.error('[SmartLists] Error loading user settings:', err);
+            // Don't fail initialization - defaults are used instead
+            return null;
+        });
+    }
+
+    // User's global default, used as the starting value for new playlists
+    function getDefaultIgnoreDays() {
+        if (userSettings && typeof userSettings.DefaultIgnoreDays === 'number') {
+            return userSettings.DefaultIgnoreDays;
+        }
+        return 30;
+    }
+
+    // Playlist's own default ignore duration (0 = permanent)
+    function getPlaylistIgnoreDays(playlist) {
+        if (playlist && typeof playlist.DefaultIgnoreDurationDays === 'number') {
+            return playlist.DefaultIgnoreDurationDays;
+        }
+        return getDefaultIgnoreDays();
+    }
+
+    // Parse an ignore duration input, keeping 0 (permanent) but falling back on invalid values
+    function parseIgnoreDays(value) {
+        var days = parseInt(value, 10);
+        return isNaN(days) || days < 0 ? getDefaultIgnoreDays() : days;
+    }
+
+    // ===== AUTO-SNOOZE =====
+    var AUTO_SNOOZE_DEFAULTS = { PlayCountThreshold: 10, WithinDays: 14, SnoozeDays: 30 };
+
+    function setAutoSnoozeForm(page, rule) {
+        var enabled = page.querySelector('#autoSnoozeEnabled');
+        if (!enabled) return;
+
+        rule = rule || {};
+        enabled.checked = !!rule.Enabled;
+        page.querySelector('#autoSnoozePlayCount').value = typeof rule.PlayCountThreshold === 'number' ? rule.PlayCountThreshold : AUTO_SNOOZE_DEFAULTS.PlayCountThreshold;
+        page.querySelector('#autoSnoozeWithinDays').value = rule.WithinDays || AUTO_SNOOZE_DEFAULTS.WithinDays;
+        page.querySelector('#autoSnoozeDays').value = typeof rule.SnoozeDays === 'number' ? rule.SnoozeDays : AUTO_SNOOZE_DEFAULTS.SnoozeDays;
+        updateAutoSnoozeFields(page);
+    }
+
+    function updateAutoSnoozeFields(page) {
+        var enabled = page.querySelector('#autoSnoozeEnabled');
+        var fields = page.querySelector('#autoSnoozeFields');
+        if (enabled && fields) {
+            fields.style.display = enabled.checked ? 'flex' : 'none';
+        }
+    }
+
+    // Returns null when the rule is off so playlists without auto-snooze stay unchanged
+    function collectAutoSnoozeFromForm(page) {
+        var enabled = page.querySelector('#autoSnoozeEnabled');
+        if (!enabled || !enabled.checked) return null;
+
+        function readInt(selector, fallback, min) {
+            var value = parseInt(page.querySelector(selector).value, 10);
+            return isNaN(value) || value < min ? fallback : value;
+        }
+
+        return {
+            Enabled: true,
+            PlayCountThreshold: readInt('#autoSnoozePlayCount', AUTO_SNOOZE_DEFAULTS.PlayCountThreshold, 0),
+            WithinDays: readInt('#autoSnoozeWithinDays', AUTO_SNOOZE_DEFAULTS.WithinDays, 1),
+            SnoozeDays: readInt('#autoSnoozeDays', AUTO_SNOOZE_DEFAULTS.SnoozeDays, 0)
+        };
+    }
+
+    function formatIgnoreDays(days) {
+        if (days === 0) return 'permanent';
+        return days + (days === 1 ? ' day' : ' days');
+    }
+
     // ===== PAGE INITIALIZATION =====
     SmartLists.initUserPage = function (page) {
         if (DEBUG_MODE) {
@@ -200,6 +299,9 @@
         }
         page._pageInitialized = true;
 
+        // User playlists can be arranged by hand, so offer the "Manual" sort
+        page._supportsManualOrder = true;
+
         // Apply custom styles if available
         if (typeof SmartLists.applyCustomStyles === 'function') {
             SmartLists.applyCustomStyles(page);
@@ -214,7 +316,7 @@
 
         // Initialize all async operations
         // Use our user-specific loadUserFields instead of the admin loadAndPopulateFields
-        var initPromises = [loadAvailablePlaylists(page), loadUserFields()];
+        var initPromises = [loadAvailablePlaylists(page), loadUserFields(), loadUserSettings()];
 
         Promise.all(initPromises).then(function () {
             // Initialize media types (for edit form)
@@ -293,6 +395,107 @@
                 startWizard(page);
             });
         }
+
+        // Draft resume/discard buttons
+        var draftsList = page.querySelector('#wizardDraftsList');
+        if (draftsList) {
+            draftsList.addEventListener('click', function (e) {
+                var resumeBtn = e.target.closest('.resume-draft-btn');
+                if (resumeBtn) {
+                    resumeWizardDraft(page, resumeBtn.getAttribute('data-draft-id'));
+                    return;
+                }
+                var discardBtn = e.target.closest('.discard-draft-btn');
+                if (discardBtn) {
+                    discardWizardDraft(page, discardBtn.getAttribute('data-draft-id'));
+                }
+            });
+        }
+    }
+
+    // ===== WIZARD DRAFTS =====
+    function loadWizardDrafts(page) {
+        var apiClient = SmartLists.getApiClient();
+        var section = page.querySelector('#wizardDraftsSection');
+        if (!apiClient || !section) return;
+
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(USER_ENDPOINTS.drafts),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (drafts) {
+            page._wizardDrafts = drafts || [];
+            renderWizardDrafts(page);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error loading wizard drafts:', err);
+            section.style.display = 'none';
+        });
+    }
+
+    function renderWizardDrafts(page) {
+        var section = page.querySelector('#wizardDraftsSection');
+        var list = page.querySelector('#wizardDraftsList');
+        var drafts = page._wizardDrafts || [];
+
+        section.style.display = drafts.length > 0 ? '' : 'none';
+
+        var html = '';
+        drafts.forEach(function (draft) {
+            var details = [draft.ItemCount + (draft.ItemCount === 1 ? ' item' : ' items')];
+            if (draft.HasRules) details.push('rules');
+            if (draft.EditPlaylistId) details.push('adding to existing playlist');
+            else if (draft.IsConvert) details.push('converted playlist');
+            details.push('step ' + draft.CurrentStep + ' of 3');
+            details.push('saved ' + new Date(draft.LastModified).toLocaleString());
+
+            html += '<div style="display: flex; align-items: center; gap: 1em; padding: 0.75em 1em; border-bottom: 1px solid #333;">';
+            html += '<div style="flex: 1; min-width: 0;">';
+            html += '<div style="font-weight: 500;">' + SmartLists.escapeHtml(draft.Name) + '</div>';
+            html += '<div style="color: #888; font-size: 0.9em;">' + SmartLists.escapeHtml(details.join(' · ')) + '</div>';
+            html += '</div>';
+            html += '<button type="button" class="emby-button raised button-submit resume-draft-btn" data-draft-id="' + SmartLists.escapeHtmlAttribute(draft.Id) + '">Resume</button>';
+            html += '<button type="button" class="emby-button raised button-delete discard-draft-btn" data-draft-id="' + SmartLists.escapeHtmlAttribute(draft.Id) + '">Discard</button>';
+            html += '</div>';
+        });
+        list.innerHTML = html;
+    }
+
+    function resumeWizardDraft(page, draftId) {
+        var draft = (page._wizardDrafts || []).find(function (d) { return d.Id === draftId; });
+        if (!draft) return;
+
+        var wizardUrl = 'configurationpage?name=user-wizard.html';
+        wizardUrl += '#?name=' + encodeURIComponent(draft.Name);
+        wizardUrl += '&draftId=' + encodeURIComponent(draft.Id);
+        if (draft.EditPlaylistId) {
+            wizardUrl += '&editId=' + encodeURIComponent(draft.EditPlaylistId);
+        } else if (draft.IsConvert && draft.SourcePlaylistId) {
+            wizardUrl += '&convert=true&sourceId=' + encodeURIComponent(draft.SourcePlaylistId);
+        }
+
+        window.location.href = wizardUrl;
+    }
+
+    function discardWizardDraft(page, draftId) {
+        var draft = (page._wizardDrafts || []).find(function (d) { return d.Id === draftId; });
+        if (!draft || !confirm('Discard the draft "' + draft.Name + '"? This cannot be undone.')) {
+            return;
+        }
+
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        apiClient.ajax({
+            type: 'DELETE',
+            url: apiClient.getUrl(USER_ENDPOINTS.drafts + '/' + encodeURIComponent(draftId))
+        }).then(function () {
+            page._wizardDrafts = page._wizardDrafts.filter(function (d) { return d.Id !== draftId; });
+            renderWizardDrafts(page);
+            SmartLists.showNotification('Draft discarded.', 'success');
+        }).catch(function (err) {
+            console.error('[SmartLists] Error discarding draft:', err);
+            SmartLists.showNotification('Failed to discard draft: ' + err.message, 'error');
+        });
     }
 
     function startWizard(page) {
@@ -457,6 +660,11 @@
             });
         }
 
+        // The manage tab loads this itself; otherwise load it here so the tab badge is shown
+        if (initialTab !== 'manage') {
+            loadReturningSoon(page);
+        }
+
         // Handle browser back/forward
         window.addEventListener('hashchange', function () {
             var currentTab = getUserCurrentTab();
@@ -515,6 +723,17 @@
                 page._initialRefreshDone = true;
             }
             loadUserPlaylistList(page, shouldAutoRefresh);
+            loadReturningSoon(page);
+        }
+
+        // Snooze history is always reloaded so it reflects the latest ignores
+        if (tabId === 'history') {
+            loadSnoozeHistory(page);
+        }
+
+        // Drafts may have been saved from the wizard on another device
+        if (tabId === 'create') {
+            loadWizardDrafts(page);
         }
 
         updateUserUrl(tabId);
@@ -619,6 +838,16 @@
                 showRefreshConfirmModal(page);
             }
 
+            // Global ignores button
+            if (target.closest('#globalIgnoresBtn')) {
+                showIgnoreListModal(page, null, null);
+            }
+
+            // Snooze history reload button
+            if (target.closest('#refreshHistoryBtn')) {
+                loadSnoozeHistory(page);
+            }
+
             // Toggle all playlists expand/collapse
             if (target.closest('#toggleAllPlaylistsBtn')) {
                 toggleAllPlaylists(page);
@@ -660,7 +889,26 @@
             // Only handle dynamically generated buttons here
             if (target.closest('.remove-ignore-btn')) {
                 var btn = target.closest('.remove-ignore-btn');
-                removeIgnore(page, btn.getAttribute('data-ignore-id'));
+                removeIgnore(page, btn.getAttribute('data-ignore-id'), btn.getAttribute('data-global') === 'true');
+            }
+            if (target.closest('.edit-ignore-btn')) {
+                editIgnore(target.closest('.edit-ignore-btn').getAttribute('data-ignore-id'));
+            }
+            if (target.closest('.cancel-ignore-edit-btn')) {
+                cancelIgnoreEdit();
+            }
+            if (target.closest('.save-ignore-edit-btn')) {
+                saveIgnoreEdit(page, target.closest('.save-ignore-edit-btn'));
+            }
+            if (target.closest('.extend-snooze-btn')) {
+                extendSnooze(page, target.closest('.extend-snooze-btn'));
+            }
+            if (target.closest('.lapse-snooze-btn')) {
+                letSnoozeLapse(page, target.closest('.lapse-snooze-btn').getAttribute('data-ignore-id'));
+            }
+            if (target.closest('.ignore-permanently-btn')) {
+                var permanentBtn = target.closest('.ignore-permanently-btn');
+                ignoreTrackPermanently(page, permanentBtn);
             }
         }, pageSignal ? { signal: pageSignal } : {});
 
@@ -670,6 +918,8 @@
         var deleteConfirmBtn = document.querySelector('#delete-confirm-btn');
         var ignoreClearAllBtn = document.querySelector('#ignore-clear-all-btn');
         var ignoreCloseBtn = document.querySelector('#ignore-close-btn');
+        var ignoreAddBtn = document.querySelector('#ignore-add-btn');
+        var ignoreAddScope = document.querySelector('#ignore-add-scope');
         var refreshCancelBtn = document.querySelector('.modal-cancel-btn');
         var refreshConfirmBtn = document.querySelector('.modal-confirm-btn');
 
@@ -701,6 +951,19 @@
                 hideIgnoreListModal(page);
             });
         }
+        if (ignoreAddBtn) {
+            ignoreAddBtn.addEventListener('click', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                addScopedIgnore(page);
+            });
+        }
+        if (ignoreAddScope) {
+            ignoreAddScope.addEventListener('change', function () {
+                updateIgnoreAddForm();
+            });
+        }
+        setupIgnoreListControls(page);
         if (refreshCancelBtn) {
             refreshCancelBtn.addEventListener('click', function (e) {
                 e.preventDefault();
@@ -753,6 +1016,13 @@
                 }
             });
         }
+
+        var autoSnoozeEnabled = page.querySelector('#autoSnoozeEnabled');
+        if (autoSnoozeEnabled) {
+            autoSnoozeEnabled.addEventListener('change', function () {
+                updateAutoSnoozeFields(page);
+            }, pageSignal ? { signal: pageSignal } : {});
+        }
     }
 
     // ===== PLAYLIST LIST =====
@@ -826,6 +1096,7 @@
             // Action buttons in header
             html += '<div class="playlist-actions" style="display: flex; gap: 0.5em; flex-wrap: wrap;">';
             html += '<button type="button" class="emby-button raised edit-playlist-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '" style="font-size: 0.8em; padding: 0.3em 0.6em;">Edit</button>';
+            html += '<button type="button" class="emby-button raised ignores-playlist-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name) + '" style="font-size: 0.8em; padding: 0.3em 0.6em;">Ignores' + (ignoreCount > 0 ? ' (' + ignoreCount + ')' : '') + '</button>';
             html += '<button type="button" class="emby-button raised refresh-playlist-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name) + '" style="font-size: 0.8em; padding: 0.3em 0.6em;">Refresh</button>';
             html += '<button type="button" class="emby-button raised delete-playlist-btn button-delete" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name) + '" style="font-size: 0.8em; padding: 0.3em 0.6em;">Delete</button>';
             html += '</div>';
@@ -843,7 +1114,7 @@
             html += '</div>';
 
             // Tracks management section
-            html += '<div class="playlist-tracks-section" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '" style="margin-top: 1.5em;">';
+            html += '<div class="playlist-tracks-section" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '" data-manual-order="' + (isManualSortPlaylist(playlist) ? 'true' : 'false') + '" style="margin-top: 1.5em;">';
             // Search and bulk actions bar
             html += '<div style="display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap; margin-bottom: 0.75em; padding: 0.5em; background: #1a1a1a; border-radius: 4px;">';
             // Left side: All, selected count, Ignore, Unignore
@@ -864,7 +1135,7 @@
             // Right side: Filter, Duration, Apply
             html += '<input type="text" class="tracks-search emby-input" placeholder="Filter tracks..." style="width: 150px; padding: 0.3em 0.5em; font-size: 0.85em;">';
             html += '<select class="tracks-ignore-duration emby-select" style="width: auto; min-width: 100px; padding: 0.3em; font-size: 0.85em;">';
-            html += '<option value="default">Default</option>';
+            html += '<option value="default">Default (' + SmartLists.escapeHtml(formatIgnoreDays(getPlaylistIgnoreDays(playlist))) + ')</option>';
             html += '<option value="7">7 days</option>';
             html += '<option value="14">14 days</option>';
             html += '<option value="30">30 days</option>';
@@ -875,21 +1146,32 @@
             html += '<button type="button" class="emby-button raised button-submit tracks-apply-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name) + '" style="font-size: 0.8em; padding: 0.3em 0.5em;">Apply</button>';
             html += '</div>';
 
+            // Duplicate versions bar, shown when the playlist has the same song more than once
+            html += '<div class="tracks-duplicates" style="display: none; align-items: center; gap: 0.5em; margin-bottom: 0.75em; padding: 0.5em; background: rgba(245, 124, 0, 0.12); border: 1px solid #f57c00; border-radius: 4px; color: #ffb74d; font-size: 0.85em;">';
+            html += '<span class="tracks-duplicates-summary" style="flex: 1;"></span>';
+            html += '<span style="color: #aaa;">Keep</span>';
+            html += '<select class="tracks-duplicate-preference emby-select" style="width: auto; padding: 0.3em; font-size: 0.95em;">' + SmartLists.generateDuplicatePreferenceOptions('original') + '</select>';
+            html += '<button type="button" class="emby-button raised tracks-keep-one-btn" style="font-size: 0.9em; padding: 0.3em 0.5em;">Keep One Per Group</button>';
+            html += '</div>';
+
             // Tracks table container
             html += '<div class="tracks-table-container" style="border: 1px solid #333; border-radius: 4px;">';
             html += '<table style="width: 100%; border-collapse: collapse;">';
             html += '<thead style="background: #252525;">';
             html += '<tr style="border-bottom: 1px solid #444;">';
-            html += '<th style="width: 35px; padding: 0.5em 0.3em; text-align: center;"></th>';
-            html += '<th class="sortable-header" data-sort-key="ignored" style="width: 50px; padding: 0.5em 0.3em; text-align: center; font-size: 0.85em; cursor: pointer; user-select: none;">Ignored <span class="sort-indicator"></span></th>';
+            html += '<th class="sortable-header" data-sort-key="manual" title="Playlist order - sort by this column to drag tracks into a new order" style="width: 50px; padding: 0.5em 0.3em; text-align: center; font-size: 0.85em; cursor: pointer; user-select: none;">&#8597; <span class="sort-indicator"></span></th>';
+            html += '<th class="sortable-header" data-sort-key="ignored" style="width: 110px; padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;">Snooze <span class="sort-indicator"></span></th>';
             html += '<th class="sortable-header" data-sort-key="name" style="padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;">Name <span class="sort-indicator">▼</span></th>';
             html += '<th class="sortable-header" data-sort-key="artist" style="padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;">Artist <span class="sort-indicator"></span></th>';
             html += '<th class="sortable-header" data-sort-key="duration" style="width: 70px; padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;">Duration <span class="sort-indicator"></span></th>';
             html += '<th class="sortable-header" data-sort-key="expires" style="width: 90px; padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;">Expires <span class="sort-indicator"></span></th>';
+            INLINE_OPTIONAL_COLUMNS.forEach(function (column) {
+                html += '<th class="sortable-header" data-sort-key="' + column.key + '" data-column="' + column.key + '" style="width: ' + column.width + '; padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;' + (isTrackColumnVisible(column.key) ? '' : ' display: none;') + '">' + column.label + ' <span class="sort-indicator"></span></th>';
+            });
             html += '</tr>';
             html += '</thead>';
             html += '<tbody class="tracks-tbody">';
-            html += '<tr><td colspan="6" style="padding: 1.5em; text-align: center; color: #888;">Loading tracks...</td></tr>';
+            html += '<tr><td colspan="10" style="padding: 1.5em; text-align: center; color: #888;">Loading tracks...</td></tr>';
             html += '</tbody>';
             html += '</table>';
             html += '</div>';
@@ -903,6 +1185,15 @@
             html += '<option value="100">100</option>';
             html += '</select>';
             html += '</div>';
+            // Optional listening-data columns
+            html += '<div style="display: flex; align-items: center; gap: 0.75em; flex-wrap: wrap; font-size: 0.85em; color: #888;">';
+            html += '<span>Columns:</span>';
+            INLINE_OPTIONAL_COLUMNS.forEach(function (column) {
+                html += '<label style="display: flex; align-items: center; gap: 0.3em; cursor: pointer;">';
+                html += '<input type="checkbox" class="tracks-column-toggle" data-column="' + column.key + '"' + (isTrackColumnVisible(column.key) ? ' checked' : '') + '>';
+                html += column.title + '</label>';
+            });
+            html += '</div>';
             html += '<span style="flex: 1;"></span>';
             html += '<span class="tracks-page-info" style="font-size: 0.85em; color: #888;"></span>';
             html += '<button type="button" class="emby-button raised tracks-prev-btn" style="font-size: 0.8em; padding: 0.3em 0.6em;">← Prev</button>';
@@ -931,6 +1222,104 @@
     }
 
     // ===== INLINE TRACKS MANAGEMENT =====
+    // Optional columns with the user's listening data; the chosen columns are kept in the user settings
+    var INLINE_OPTIONAL_COLUMNS = [
+        { key: 'playCount', label: 'Plays', title: 'Play count', width: '55px' },
+        { key: 'lastPlayed', label: 'Last Played', title: 'Last played', width: '95px' },
+        { key: 'favorite', label: 'Fav', title: 'Favorite', width: '40px' },
+        { key: 'snoozeCount', label: 'Snoozed', title: 'Times snoozed', width: '70px' }
+    ];
+    // Column choices used to be kept per browser
+    var LEGACY_TRACK_COLUMNS_KEY = 'smartListsTrackColumns';
+
+    function getVisibleTrackColumns() {
+        return userSettings && userSettings.TrackColumns ? userSettings.TrackColumns.slice() : [];
+    }
+
+    function saveTrackColumns(columns) {
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) {
+            return Promise.resolve();
+        }
+
+        if (userSettings) {
+            userSettings.TrackColumns = columns;
+        }
+
+        return apiClient.ajax({
+            type: 'PUT',
+            url: apiClient.getUrl(USER_ENDPOINTS.settings),
+            data: JSON.stringify({ TrackColumns: columns }),
+            contentType: 'application/json'
+        }).then(parseApiResponse).catch(function (err) {
+            console.warn('[SmartLists] Failed to save track column preferences:', err);
+        });
+    }
+
+    // One-time move of the columns chosen in this browser into the user settings
+    function migrateLegacyTrackColumns() {
+        var legacyColumns;
+        try {
+            var saved = localStorage.getItem(LEGACY_TRACK_COLUMNS_KEY);
+            if (!saved) return;
+            legacyColumns = JSON.parse(saved);
+            localStorage.removeItem(LEGACY_TRACK_COLUMNS_KEY);
+        } catch (err) {
+            console.warn('[SmartLists] Failed to read track column preferences:', err);
+            return;
+        }
+
+        if (Array.isArray(legacyColumns) && legacyColumns.length > 0 && getVisibleTrackColumns().length === 0) {
+            saveTrackColumns(legacyColumns);
+        }
+    }
+
+    function isTrackColumnVisible(columnKey) {
+        return getVisibleTrackColumns().indexOf(columnKey) !== -1;
+    }
+
+    // Shows or hides a column in every playlist's track table
+    function setTrackColumnVisible(columnKey, visible) {
+        var columns = getVisibleTrackColumns().filter(function (key) { return key !== columnKey; });
+        if (visible) {
+            columns.push(columnKey);
+        }
+        saveTrackColumns(columns);
+
+        document.querySelectorAll('.playlist-tracks-section').forEach(function (section) {
+            section.querySelectorAll('th[data-column="' + columnKey + '"]').forEach(function (header) {
+                header.style.display = visible ? '' : 'none';
+            });
+            section.querySelectorAll('.tracks-column-toggle[data-column="' + columnKey + '"]').forEach(function (toggle) {
+                toggle.checked = visible;
+            });
+            if (section._tracksData) {
+                renderInlineTracksWithPagination(section, section.getAttribute('data-playlist-id'));
+            }
+        });
+    }
+
+    function renderInlineOptionalCell(item, columnKey) {
+        var value;
+        switch (columnKey) {
+            case 'playCount':
+                value = item.PlayCount || 0;
+                break;
+            case 'lastPlayed':
+                value = item.LastPlayedDate ? new Date(item.LastPlayedDate).toLocaleDateString() : '--';
+                break;
+            case 'favorite':
+                value = item.IsFavorite ? '\u2665' : '';
+                break;
+            case 'snoozeCount':
+                value = item.SnoozeCount || 0;
+                break;
+            default:
+                value = '';
+        }
+        return '<td style="padding: 0.4em 0.3em; font-size: 0.9em; color: ' + (columnKey === 'favorite' ? '#e91e63' : '#888') + ';">' + value + '</td>';
+    }
+
     // Load tracks for inline display in playlist card
     function loadInlineTracks(playlistId) {
         var section = document.querySelector('.playlist-tracks-section[data-playlist-id="' + playlistId + '"]');
@@ -944,7 +1333,7 @@
             return;
         }
 
-        tbody.innerHTML = '<tr><td colspan="6" style="padding: 1.5em; text-align: center; color: #888;">Loading tracks...</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="10" style="padding: 1.5em; text-align: center; color: #888;">Loading tracks...</td></tr>';
 
         var apiClient = SmartLists.getApiClient();
         var url = apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/items');
@@ -958,11 +1347,16 @@
             // Store raw items for filtering/sorting
             section._tracksData = items;
             section.setAttribute('data-tracks-loaded', 'true');
+            // Snooze and order changes made in the table are kept here until "Apply" is clicked
+            section._pendingSnoozes = {};
+            section._pendingPins = {};
+            section._orderChanged = false;
+            updateInlineApplyButton(section);
             // Initialize pagination state
             section._paginationState = {
                 currentPage: 1,
                 pageSize: 20,
-                sortKey: 'name',
+                sortKey: section.getAttribute('data-manual-order') === 'true' ? 'manual' : 'name',
                 sortDirection: 'asc',
                 filterTerm: ''
             };
@@ -970,13 +1364,17 @@
             updateInlineSelectionCount(section);
         }).catch(function (err) {
             console.error('[SmartLists] Error loading inline tracks:', err);
-            tbody.innerHTML = '<tr><td colspan="6" style="padding: 1.5em; text-align: center; color: #f44336;">Error loading tracks.</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="10" style="padding: 1.5em; text-align: center; color: #f44336;">Error loading tracks.</td></tr>';
         });
     }
 
     // Sort items based on sort key and direction
     function sortTracksData(items, sortKey, sortDirection) {
         var sorted = items.slice(); // Clone array
+        // Playlist order is the order the items were loaded (or dragged) in
+        if (sortKey === 'manual') {
+            return sortDirection === 'asc' ? sorted : sorted.reverse();
+        }
         sorted.sort(function (a, b) {
             var valA, valB;
             switch (sortKey) {
@@ -996,6 +1394,22 @@
                     valA = a.IsIgnored ? 1 : 0;
                     valB = b.IsIgnored ? 1 : 0;
                     break;
+                case 'playCount':
+                    valA = a.PlayCount || 0;
+                    valB = b.PlayCount || 0;
+                    break;
+                case 'lastPlayed':
+                    valA = a.LastPlayedDate ? new Date(a.LastPlayedDate).getTime() : 0;
+                    valB = b.LastPlayedDate ? new Date(b.LastPlayedDate).getTime() : 0;
+                    break;
+                case 'favorite':
+                    valA = a.IsFavorite ? 1 : 0;
+                    valB = b.IsFavorite ? 1 : 0;
+                    break;
+                case 'snoozeCount':
+                    valA = a.SnoozeCount || 0;
+                    valB = b.SnoozeCount || 0;
+                    break;
                 case 'expires':
                     // Sort by expiry date, permanent at end, non-ignored at start
                     if (!a.IsIgnored && !b.IsIgnored) return 0;
@@ -1040,6 +1454,9 @@
         // Store filtered count for pagination
         section._filteredCount = items.length;
 
+        // Duplicates are found across the whole playlist, not just the filtered rows
+        renderInlineDuplicates(section);
+
         // Apply sorting
         items = sortTracksData(items, state.sortKey, state.sortDirection);
 
@@ -1109,22 +1526,34 @@
         if (!tbody) return;
 
         if (!items || items.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="6" style="padding: 1.5em; text-align: center; color: #888;">No tracks found.</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="10" style="padding: 1.5em; text-align: center; color: #888;">No tracks found.</td></tr>';
             return;
         }
 
+        var section = tbody.closest('.playlist-tracks-section');
+        var pendingSnoozes = (section && section._pendingSnoozes) || {};
+        var visibleColumns = getVisibleTrackColumns();
+        var canDrag = isInlineDragEnabled(section);
+        var duplicateCounts = (section && section._duplicateCounts) || {};
+
         var html = '';
         items.forEach(function (item) {
             var duration = item.RuntimeTicks ? formatDuration(item.RuntimeTicks) : '--:--';
-            var isIgnored = item.IsIgnored;
-            var expires = '';
-
-            if (isIgnored) {
-                if (item.IsPermanentIgnore) {
-                    expires = 'Never';
-                } else if (item.IgnoreExpiresAt) {
-                    expires = new Date(item.IgnoreExpiresAt).toLocaleDateString();
-                }
+            // Artist/album and global ignores cover more than this row, so they are managed from the ignore list instead
+            var isScopedIgnore = item.IsIgnored && item.IgnoreScope && item.IgnoreScope !== 'Track';
+            var isManagedElsewhere = isScopedIgnore || (item.IsIgnored && item.IsGlobalIgnore);
+            var isPinned = isInlinePinned(section, item);
+            var isPending = Object.prototype.hasOwnProperty.call(pendingSnoozes, item.Id);
+            var snoozeValue = isPending ? pendingSnoozes[item.Id] : getInlineSnoozeInitialValue(item);
+            // Pinned items stay in the playlist even if an ignore still covers them
+            var isIgnored = snoozeValue !== 'none' && !isPinned;
+            var expires = isPinned ? '--' : getInlineSnoozeExpiresText(item, snoozeValue);
+
+            if (isScopedIgnore && !isPinned) {
+                expires += ' (' + item.IgnoreScope.toLowerCase() + ')';
+            }
+            if (isManagedElsewhere && item.IsGlobalIgnore && !isPinned) {
+                expires += ' (all playlists)';
             }
 
             var rowStyle = isIgnored ? 'border-bottom: 1px solid #333; color: #d32f2f;' : 'border-bottom: 1px solid #333;';
@@ -1134,27 +1563,42 @@
             html += 'data-is-ignored="' + (isIgnored ? 'true' : 'false') + '" ';
             html += 'data-item-name="' + SmartLists.escapeHtmlAttribute(item.Name || '') + '" ';
             html += 'data-item-artist="' + SmartLists.escapeHtmlAttribute(item.Artist || '') + '" ';
+            html += (canDrag ? 'draggable="true" ' : '');
             html += 'style="' + rowStyle + '">';
-            // Selection checkbox
-            html += '<td style="padding: 0.4em 0.3em; text-align: center;">';
+            // Drag handle and selection checkbox
+            html += '<td style="padding: 0.4em 0.3em; text-align: center; white-space: nowrap;' + (isPinned ? ' border-left: 3px solid #00897b;' : '') + '">';
+            if (canDrag) {
+                html += '<span class="track-drag-handle" title="Drag to reorder" style="cursor: grab; color: #888; margin-right: 0.3em;">&#8942;&#8942;</span>';
+            }
             html += '<input type="checkbox" class="inline-item-checkbox" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '">';
             html += '</td>';
-            // Ignored checkbox
-            html += '<td style="padding: 0.4em 0.3em; text-align: center;">';
-            html += '<input type="checkbox" class="inline-ignore-checkbox" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '" ';
-            html += 'data-ignore-id="' + SmartLists.escapeHtmlAttribute(item.IgnoreId || '') + '" ';
-            html += 'data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlistId) + '" ';
-            html += isIgnored ? 'checked' : '';
-            html += '>';
+            // Snooze duration
+            html += '<td style="padding: 0.4em 0.3em;">';
+            html += renderInlineSnoozeSelect(item, snoozeValue, isManagedElsewhere, isScopedIgnore, isPinned);
+            html += '</td>';
+            // Pin toggle and name
+            html += '<td style="padding: 0.4em 0.3em; font-size: 0.9em;">';
+            html += renderInlinePinButton(section, item, isPinned);
+            html += SmartLists.escapeHtml(item.Name);
+            if (isPinned) {
+                html += '<span style="font-size: 0.75em; padding: 0.1em 0.4em; margin-left: 0.5em; border-radius: 3px; background: #00897b; color: #fff;">PINNED</span>';
+            }
+            if (duplicateCounts[item.Id]) {
+                html += '<span title="' + duplicateCounts[item.Id] + ' versions of this song are in the playlist" style="font-size: 0.75em; padding: 0.1em 0.4em; margin-left: 0.5em; border-radius: 3px; background: #f57c00; color: #fff;">DUPLICATE</span>';
+            }
             html += '</td>';
-            // Name
-            html += '<td style="padding: 0.4em 0.3em; font-size: 0.9em;">' + SmartLists.escapeHtml(item.Name) + '</td>';
             // Artist
             html += '<td style="padding: 0.4em 0.3em; font-size: 0.9em; color: ' + (isIgnored ? '#d32f2f' : '#aaa') + ';">' + SmartLists.escapeHtml(item.Artist || '--') + '</td>';
             // Duration
             html += '<td style="padding: 0.4em 0.3em; font-size: 0.9em; color: ' + (isIgnored ? '#d32f2f' : '#888') + ';">' + duration + '</td>';
             // Expires
-            html += '<td style="padding: 0.4em 0.3em; font-size: 0.9em; color: ' + (isIgnored ? '#ff9800' : '#666') + ';">' + (expires || '--') + '</td>';
+            html += '<td style="padding: 0.4em 0.3em; font-size: 0.9em; color: ' + getInlineExpiresColor(isIgnored, isPending) + ';"' + (isPending ? ' title="Not saved yet - click Apply"' : '') + '>' + expires + '</td>';
+            // Optional columns
+            INLINE_OPTIONAL_COLUMNS.forEach(function (column) {
+                if (visibleColumns.indexOf(column.key) !== -1) {
+                    html += renderInlineOptionalCell(item, column.key);
+                }
+            });
             html += '</tr>';
         });
 
@@ -1205,7 +1649,8 @@
             var checkbox = row.querySelector('.inline-item-checkbox');
             if (checkbox && checkbox.checked) {
                 var ignoreId = row.getAttribute('data-ignore-id');
-                if (ignoreId) {
+                // Tracks covered by the same artist/album ignore share an ignore ID
+                if (ignoreId && ids.indexOf(ignoreId) === -1) {
                     ids.push(ignoreId);
                 }
             }
@@ -1213,217 +1658,414 @@
         return ids;
     }
 
-    // Handle inline ignore checkbox change
-    function handleInlineIgnoreCheckboxChange(checkbox) {
-        var itemId = checkbox.getAttribute('data-item-id');
-        var ignoreId = checkbox.getAttribute('data-ignore-id');
-        var playlistId = checkbox.getAttribute('data-playlist-id');
-        var isChecked = checkbox.checked;
-        var section = checkbox.closest('.playlist-tracks-section');
+    // Snooze choices for a row: 'none', 'current' (keep the existing expiry), '0' (permanent) or a number of days
+    var INLINE_SNOOZE_DAYS = [1, 7, 30, 90];
 
-        if (isChecked && !ignoreId) {
-            // Add to ignore list
-            addInlineSingleIgnore(playlistId, itemId, checkbox, section);
-        } else if (!isChecked && ignoreId) {
-            // Remove from ignore list
-            removeInlineSingleIgnore(playlistId, ignoreId, checkbox, section);
-        }
+    function getInlineSnoozeInitialValue(item) {
+        if (!item.IsIgnored) return 'none';
+        return item.IsPermanentIgnore ? '0' : 'current';
     }
 
-    // Add single ignore from inline tracks
-    function addInlineSingleIgnore(playlistId, itemId, checkbox, section) {
-        var apiClient = SmartLists.getApiClient();
-        var durationSelect = section ? section.querySelector('.tracks-ignore-duration') : null;
-        var durationValue = durationSelect ? durationSelect.value : 'default';
-        var durationDays;
+    function renderInlineSnoozeSelect(item, value, isManagedElsewhere, isScopedIgnore, isPinned) {
+        var html = '<select class="inline-snooze-select emby-select" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '" style="width: 100%; padding: 0.2em; font-size: 0.85em;"';
+        if (isPinned) {
+            html += ' disabled title="Pinned items can\'t be snoozed - unpin it first"';
+        } else if (isManagedElsewhere) {
+            html += ' disabled title="' + (isScopedIgnore ? 'Ignored by ' + item.IgnoreScope.toLowerCase() : 'Ignored in all playlists') + ' - manage from the Ignores list"';
+        }
+        html += '>';
 
-        if (durationValue === 'default') {
-            // Read from user's global settings in localStorage
-            try {
-                var stored = localStorage.getItem('smartlists_user_settings');
-                if (stored) {
-                    var settings = JSON.parse(stored);
-                    if (typeof settings.defaultIgnoreDays === 'number') {
-                        durationDays = settings.defaultIgnoreDays;
-                    }
-                }
-            } catch (e) {
-                console.error('[SmartLists] Error reading user settings:', e);
-            }
-            // Fall back to 30 if no user setting found
-            if (durationDays === undefined) {
-                durationDays = 30;
-            }
-        } else {
-            durationDays = parseInt(durationValue, 10);
+        var options = [{ value: 'none', label: 'None' }];
+        if (item.IsIgnored && !item.IsPermanentIgnore) {
+            options.push({ value: 'current', label: 'Keep' });
         }
+        INLINE_SNOOZE_DAYS.forEach(function (days) {
+            options.push({ value: String(days), label: days + (days === 1 ? ' day' : ' days') });
+        });
+        options.push({ value: '0', label: 'Permanent' });
 
-        apiClient.ajax({
-            type: 'POST',
-            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/ignores'),
-            contentType: 'application/json',
-            data: JSON.stringify({
-                TrackId: itemId,
-                DurationDays: durationDays
-            })
-        }).then(parseApiResponse).then(function (result) {
-            // Update checkbox with new ignore ID
-            checkbox.setAttribute('data-ignore-id', result.Id);
-            // Update row styling and cells
-            var row = checkbox.closest('tr');
-            if (row) {
-                row.setAttribute('data-is-ignored', 'true');
-                row.setAttribute('data-ignore-id', result.Id);
-                row.style.color = '#d32f2f';
-                // Update Artist and Duration cell colors
-                var cells = row.querySelectorAll('td');
-                if (cells[3]) cells[3].style.color = '#d32f2f'; // Artist
-                if (cells[4]) cells[4].style.color = '#d32f2f'; // Duration
-                // Update Expires cell
-                if (cells[5]) {
-                    cells[5].style.color = '#ff9800';
-                    if (result.ExpiresAt) {
-                        cells[5].textContent = new Date(result.ExpiresAt).toLocaleDateString();
-                    } else {
-                        cells[5].textContent = 'Never';
-                    }
-                }
-            }
-            // Update cached data
-            if (section && section._tracksData) {
-                var item = section._tracksData.find(function (i) { return i.Id === itemId; });
-                if (item) {
-                    item.IsIgnored = true;
-                    item.IgnoreId = result.Id;
-                    item.IgnoreExpiresAt = result.ExpiresAt;
-                    item.IsPermanentIgnore = !result.ExpiresAt;
-                }
-            }
-            SmartLists.showNotification('Track ignored. Click "Apply" to update playlist.', 'success');
-        }).catch(function (err) {
-            console.error('Error adding ignore:', err);
-            checkbox.checked = false; // Revert on error
-            SmartLists.showNotification('Failed to ignore item', 'error');
+        options.forEach(function (option) {
+            html += '<option value="' + option.value + '"' + (option.value === value ? ' selected' : '') + '>' + option.label + '</option>';
         });
+        html += '</select>';
+        return html;
     }
 
-    // Remove single ignore from inline tracks
-    function removeInlineSingleIgnore(playlistId, ignoreId, checkbox, section) {
-        var apiClient = SmartLists.getApiClient();
-        var itemId = checkbox.getAttribute('data-item-id');
+    // ===== PINNED ITEMS =====
+    // Pin changes are staged like snoozes and saved when "Apply" is clicked
+    function isInlinePinned(section, item) {
+        var pendingPins = (section && section._pendingPins) || {};
+        return Object.prototype.hasOwnProperty.call(pendingPins, item.Id) ? pendingPins[item.Id] : item.IsPinned === true;
+    }
 
-        apiClient.ajax({
-            type: 'DELETE',
-            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/ignores/' + ignoreId),
-            contentType: 'application/json'
-        }).then(function (response) {
-            // Handle fetch Response (check for ok) or direct response (assume success)
-            if (response && typeof response.ok !== 'undefined' && !response.ok && response.status !== 204) {
-                throw new Error('Failed to remove ignore');
-            }
-            // Clear ignore ID from checkbox
-            checkbox.setAttribute('data-ignore-id', '');
-            // Update row styling and cells
-            var row = checkbox.closest('tr');
-            if (row) {
-                row.setAttribute('data-is-ignored', 'false');
-                row.setAttribute('data-ignore-id', '');
-                row.style.color = '';
-                // Update Artist and Duration cell colors
-                var cells = row.querySelectorAll('td');
-                if (cells[3]) cells[3].style.color = '#aaa'; // Artist
-                if (cells[4]) cells[4].style.color = '#888'; // Duration
-                // Clear Expires cell
-                if (cells[5]) {
-                    cells[5].style.color = '#666';
-                    cells[5].textContent = '--';
-                }
-            }
-            // Update cached data
-            if (section && section._tracksData) {
-                var item = section._tracksData.find(function (i) { return i.Id === itemId; });
-                if (item) {
-                    item.IsIgnored = false;
-                    item.IgnoreId = null;
-                    item.IgnoreExpiresAt = null;
-                    item.IsPermanentIgnore = false;
-                }
-            }
-            SmartLists.showNotification('Ignore removed. Click "Apply" to update playlist.', 'success');
-        }).catch(function (err) {
-            console.error('Error removing ignore:', err);
-            checkbox.checked = true; // Revert on error
-            SmartLists.showNotification('Failed to remove ignore', 'error');
-        });
+    function renderInlinePinButton(section, item, isPinned) {
+        var isPending = !!section && !!section._pendingPins && Object.prototype.hasOwnProperty.call(section._pendingPins, item.Id);
+        var title = (isPinned ? 'Unpin' : 'Pin - always include this item') + (isPending ? ' (not saved yet - click Apply)' : '');
+        return '<button type="button" class="inline-pin-btn" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '" title="' + SmartLists.escapeHtmlAttribute(title) + '" ' +
+            'style="background: none; border: none; padding: 0; margin-right: 0.4em; cursor: pointer; font-size: 0.9em; opacity: ' + (isPinned ? '1' : '0.3') + ';' + (isPending ? ' outline: 1px dashed #00a4dc;' : '') + '">&#128204;</button>';
     }
 
-    // Bulk ignore for inline tracks
-    function bulkInlineIgnore(section) {
-        var playlistId = section.getAttribute('data-playlist-id');
-        var selectedIds = getInlineSelectedItemIds(section);
-        if (selectedIds.length === 0) {
-            SmartLists.showNotification('Please select items to ignore.', 'warning');
-            return;
-        }
+    function toggleInlinePin(button) {
+        var section = button.closest('.playlist-tracks-section');
+        if (!section || !section._tracksData) return;
 
-        var durationSelect = section.querySelector('.tracks-ignore-duration');
-        var durationValue = durationSelect ? durationSelect.value : 'default';
-        var durationDays;
+        var itemId = button.getAttribute('data-item-id');
+        var item = section._tracksData.find(function (i) { return i.Id === itemId; });
+        if (!item) return;
 
-        if (durationValue === 'default') {
-            try {
-                var stored = localStorage.getItem('smartlists_user_settings');
-                if (stored) {
-                    var settings = JSON.parse(stored);
-                    if (typeof settings.defaultIgnoreDays === 'number') {
-                        durationDays = settings.defaultIgnoreDays;
-                    }
-                }
-            } catch (e) {
-                console.error('[SmartLists] Error reading user settings:', e);
-            }
-            if (durationDays === undefined) {
-                durationDays = 30;
-            }
+        section._pendingPins = section._pendingPins || {};
+        var pinned = !isInlinePinned(section, item);
+        if (pinned === (item.IsPinned === true)) {
+            delete section._pendingPins[itemId];
         } else {
-            durationDays = parseInt(durationValue, 10);
+            section._pendingPins[itemId] = pinned;
+        }
+        // A pinned item can't be snoozed, so drop any snooze staged for it
+        if (pinned && section._pendingSnoozes) {
+            delete section._pendingSnoozes[itemId];
         }
 
-        SmartLists.showNotification('Ignoring ' + selectedIds.length + ' items...', 'info');
+        updateInlineApplyButton(section);
+        renderInlineTracksWithPagination(section, section.getAttribute('data-playlist-id'));
+    }
+
+    function saveInlinePins(section, playlistId) {
+        var pending = (section && section._pendingPins) || {};
+        var itemIds = Object.keys(pending);
+        if (itemIds.length === 0) {
+            return Promise.resolve();
+        }
 
         var apiClient = SmartLists.getApiClient();
-        apiClient.ajax({
-            type: 'POST',
-            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/ignores/bulk'),
+        return apiClient.ajax({
+            type: 'PUT',
+            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/pins'),
             data: JSON.stringify({
-                TrackIds: selectedIds,
-                DurationDays: durationDays,
+                PinIds: itemIds.filter(function (id) { return pending[id]; }),
+                UnpinIds: itemIds.filter(function (id) { return !pending[id]; }),
                 AutoRefresh: false
             }),
             contentType: 'application/json'
-        }).then(parseApiResponse).then(function (result) {
-            SmartLists.showNotification('Ignored ' + result.Added + ' items.', 'success');
-            // Reload tracks for this playlist
-            section.setAttribute('data-tracks-loaded', 'false');
-            loadInlineTracks(playlistId);
-            // Uncheck select all
-            var selectAll = section.querySelector('.tracks-select-all');
-            if (selectAll) selectAll.checked = false;
-        }).catch(function (err) {
-            console.error('[SmartLists] Error bulk ignoring items:', err);
-            SmartLists.showNotification('Failed to ignore items: ' + err.message, 'error');
+        }).then(parseApiResponse).then(function () {
+            section._pendingPins = {};
+            updateInlineApplyButton(section);
         });
     }
 
-    // Apply changes - refresh the playlist
-    function applyInlineChanges(playlistId, playlistName) {
-        SmartLists.showNotification('Applying changes and refreshing "' + playlistName + '"...', 'info');
+    // Expiry shown for a row; pending choices are counted from today, matching how the server applies them
+    function getInlineSnoozeExpiresText(item, value) {
+        if (value === 'none') return '--';
+        if (value === '0') return 'Never';
+        if (value === 'current') {
+            return item.IgnoreExpiresAt ? new Date(item.IgnoreExpiresAt).toLocaleDateString() : '--';
+        }
+        return new Date(Date.now() + parseInt(value, 10) * 86400000).toLocaleDateString();
+    }
 
-        var apiClient = SmartLists.getApiClient();
-        apiClient.ajax({
+    function getInlineExpiresColor(isIgnored, isPending) {
+        if (isPending) return '#00a4dc';
+        return isIgnored ? '#ff9800' : '#666';
+    }
+
+    // Handle a row's snooze selection: stage the change and update the row in place
+    function handleInlineSnoozeChange(select) {
+        var section = select.closest('.playlist-tracks-section');
+        if (!section || !section._tracksData) return;
+
+        var itemId = select.getAttribute('data-item-id');
+        var item = section._tracksData.find(function (i) { return i.Id === itemId; });
+        if (!item) return;
+
+        var value = select.value;
+        section._pendingSnoozes = section._pendingSnoozes || {};
+        if (value === getInlineSnoozeInitialValue(item)) {
+            delete section._pendingSnoozes[itemId];
+        } else {
+            section._pendingSnoozes[itemId] = value;
+        }
+
+        var isIgnored = value !== 'none';
+        var isPending = Object.prototype.hasOwnProperty.call(section._pendingSnoozes, itemId);
+        var row = select.closest('tr');
+        if (row) {
+            row.style.color = isIgnored ? '#d32f2f' : '';
+            var cells = row.querySelectorAll('td');
+            if (cells[3]) cells[3].style.color = isIgnored ? '#d32f2f' : '#aaa'; // Artist
+            if (cells[4]) cells[4].style.color = isIgnored ? '#d32f2f' : '#888'; // Duration
+            if (cells[5]) {
+                cells[5].style.color = getInlineExpiresColor(isIgnored, isPending);
+                cells[5].title = isPending ? 'Not saved yet - click Apply' : '';
+                cells[5].textContent = getInlineSnoozeExpiresText(item, value);
+            }
+        }
+
+        updateInlineApplyButton(section);
+        renderInlineDuplicates(section);
+    }
+
+    function updateInlineApplyButton(section) {
+        var applyBtn = section.querySelector('.tracks-apply-btn');
+        if (!applyBtn) return;
+        var pendingCount = Object.keys(section._pendingSnoozes || {}).length +
+            Object.keys(section._pendingPins || {}).length +
+            (section._orderChanged ? 1 : 0);
+        applyBtn.textContent = pendingCount > 0 ? 'Apply (' + pendingCount + ')' : 'Apply';
+    }
+
+    // Sends the staged snooze changes in one call, so the server applies them with a single write
+    function saveInlineSnoozes(section, playlistId) {
+        var pending = (section && section._pendingSnoozes) || {};
+        var itemIds = Object.keys(pending);
+        if (itemIds.length === 0) {
+            return Promise.resolve();
+        }
+
+        var removeIgnoreIds = [];
+        var tracksByDuration = {};
+        itemIds.forEach(function (itemId) {
+            var value = pending[itemId];
+            if (value === 'none') {
+                var item = section._tracksData.find(function (i) { return i.Id === itemId; });
+                if (item && item.IgnoreId) {
+                    removeIgnoreIds.push(item.IgnoreId);
+                }
+            } else if (value !== 'current') {
+                // Re-ignoring an ignored track updates its entry, restarting the snooze from today
+                tracksByDuration[value] = tracksByDuration[value] || [];
+                tracksByDuration[value].push(itemId);
+            }
+        });
+
+        var snoozes = Object.keys(tracksByDuration).map(function (durationValue) {
+            return {
+                TrackIds: tracksByDuration[durationValue],
+                DurationDays: parseInt(durationValue, 10)
+            };
+        });
+
+        if (removeIgnoreIds.length === 0 && snoozes.length === 0) {
+            section._pendingSnoozes = {};
+            updateInlineApplyButton(section);
+            return Promise.resolve();
+        }
+
+        var apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
             type: 'POST',
-            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/refresh'),
+            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/ignores/changes'),
+            data: JSON.stringify({
+                RemoveIgnoreIds: removeIgnoreIds,
+                Snoozes: snoozes
+            }),
             contentType: 'application/json'
+        }).then(parseApiResponse).then(function () {
+            section._pendingSnoozes = {};
+            updateInlineApplyButton(section);
+        });
+    }
+
+    // ===== DUPLICATES =====
+    // Groups the tracks that stay in the playlist: not ignored (or staged to be), or pinned
+    function getInlineDuplicateGroups(section) {
+        var pending = section._pendingSnoozes || {};
+        var active = section._tracksData.filter(function (item) {
+            if (isInlinePinned(section, item)) return true;
+            var value = Object.prototype.hasOwnProperty.call(pending, item.Id) ? pending[item.Id] : getInlineSnoozeInitialValue(item);
+            return value === 'none';
+        });
+        return SmartLists.findDuplicateGroups(active);
+    }
+
+    function renderInlineDuplicates(section) {
+        if (!section || !section._tracksData) return;
+
+        var groups = getInlineDuplicateGroups(section);
+        var counts = {};
+        groups.forEach(function (group) {
+            group.forEach(function (item) {
+                counts[item.Id] = group.length;
+            });
+        });
+        section._duplicateCounts = counts;
+
+        var bar = section.querySelector('.tracks-duplicates');
+        if (!bar) return;
+        bar.style.display = groups.length > 0 ? 'flex' : 'none';
+        var extra = groups.reduce(function (total, group) { return total + group.length - 1; }, 0);
+        bar.querySelector('.tracks-duplicates-summary').textContent = '\u26A0 ' + groups.length + ' song' + (groups.length === 1 ? '' : 's') +
+            ' with more than one version (' + extra + ' extra)';
+    }
+
+    // Stages a permanent snooze for all but the preferred version of each song, to be saved with "Apply".
+    // A snooze rather than a removal, so rules can't add the extra versions back on the next refresh.
+    function keepOneInlineDuplicate(section) {
+        var groups = getInlineDuplicateGroups(section);
+        if (groups.length === 0) return;
+
+        var apiClient = SmartLists.getApiClient();
+        var preference = section.querySelector('.tracks-duplicate-preference').value;
+        var button = section.querySelector('.tracks-keep-one-btn');
+        button.disabled = true;
+
+        var ids = [];
+        groups.forEach(function (group) {
+            group.forEach(function (item) { ids.push(item.Id); });
+        });
+
+        SmartLists.fetchDuplicateDetails(apiClient, ids).then(function (details) {
+            section._pendingSnoozes = section._pendingSnoozes || {};
+            var staged = 0;
+            groups.forEach(function (group) {
+                var pinned = group.filter(function (item) { return isInlinePinned(section, item); });
+                var keep = pinned.length > 0 ? pinned : [SmartLists.pickDuplicateToKeep(group, details, preference)];
+                group.forEach(function (item) {
+                    if (keep.indexOf(item) === -1 && !isInlinePinned(section, item)) {
+                        section._pendingSnoozes[item.Id] = '0';
+                        staged++;
+                    }
+                });
+            });
+
+            updateInlineApplyButton(section);
+            renderInlineTracksWithPagination(section, section.getAttribute('data-playlist-id'));
+            SmartLists.showNotification('Marked ' + staged + ' extra versions to ignore permanently. Click Apply to save.', 'info');
+        }).catch(function (err) {
+            console.error('[SmartLists] Error resolving duplicates:', err);
+            SmartLists.showNotification('Failed to check duplicate versions: ' + err.message, 'error');
+        }).then(function () {
+            button.disabled = false;
+        });
+    }
+
+    // ===== MANUAL ORDER =====
+    function isManualSortPlaylist(playlist) {
+        var sortOptions = SmartLists.parseSortOptions(playlist);
+        return sortOptions.length > 0 && sortOptions[0].SortBy === 'Manual';
+    }
+
+    // Rows can only be dragged while the full list is shown in playlist order
+    function isInlineDragEnabled(section) {
+        var state = section && section._paginationState;
+        return !!state && state.sortKey === 'manual' && state.sortDirection === 'asc' && !state.filterTerm;
+    }
+
+    // Moves a track before or after another one in the section's playlist order
+    function moveInlineTrack(section, itemId, targetId, placeAfter) {
+        var items = section._tracksData;
+        var fromIndex = items.findIndex(function (i) { return i.Id === itemId; });
+        if (fromIndex === -1 || itemId === targetId) return;
+
+        var moved = items.splice(fromIndex, 1)[0];
+        var targetIndex = items.findIndex(function (i) { return i.Id === targetId; });
+        if (targetIndex === -1) {
+            items.splice(fromIndex, 0, moved);
+            return;
+        }
+        items.splice(placeAfter ? targetIndex + 1 : targetIndex, 0, moved);
+
+        section._orderChanged = true;
+        updateInlineApplyButton(section);
+        renderInlineTracksWithPagination(section, section.getAttribute('data-playlist-id'));
+    }
+
+    function clearInlineDropIndicators(section) {
+        section.querySelectorAll('tr[data-drop-position]').forEach(function (row) {
+            row.removeAttribute('data-drop-position');
+            row.style.boxShadow = '';
+        });
+    }
+
+    // Saves the dragged order; the playlist switches to the Manual sort
+    function saveInlineOrder(section, playlistId) {
+        if (!section || !section._orderChanged) {
+            return Promise.resolve();
+        }
+
+        var apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'PUT',
+            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/order'),
+            data: JSON.stringify({
+                ItemIds: section._tracksData.map(function (item) { return item.Id; }),
+                AutoRefresh: false
+            }),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function () {
+            section._orderChanged = false;
+            section.setAttribute('data-manual-order', 'true');
+            updateInlineApplyButton(section);
+        });
+    }
+
+    // Bulk ignore for inline tracks
+    function bulkInlineIgnore(section) {
+        var playlistId = section.getAttribute('data-playlist-id');
+        var selectedIds = getInlineSelectedItemIds(section);
+        if (selectedIds.length === 0) {
+            SmartLists.showNotification('Please select items to ignore.', 'warning');
+            return;
+        }
+
+        var durationSelect = section.querySelector('.tracks-ignore-duration');
+        var durationValue = durationSelect ? durationSelect.value : 'default';
+        var durationDays;
+
+        if (durationValue === 'default') {
+            durationDays = null;
+        } else {
+            durationDays = parseInt(durationValue, 10);
+        }
+
+        SmartLists.showNotification('Ignoring ' + selectedIds.length + ' items...', 'info');
+
+        var apiClient = SmartLists.getApiClient();
+        apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/ignores/bulk'),
+            data: JSON.stringify({
+                TrackIds: selectedIds,
+                DurationDays: durationDays,
+                AutoRefresh: false
+            }),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (result) {
+            SmartLists.showNotification('Ignored ' + result.Added + ' items.', 'success');
+            // Reload tracks for this playlist
+            section.setAttribute('data-tracks-loaded', 'false');
+            loadInlineTracks(playlistId);
+            // Uncheck select all
+            var selectAll = section.querySelector('.tracks-select-all');
+            if (selectAll) selectAll.checked = false;
+        }).catch(function (err) {
+            console.error('[SmartLists] Error bulk ignoring items:', err);
+            SmartLists.showNotification('Failed to ignore items: ' + err.message, 'error');
+        });
+    }
+
+    // Apply changes - save staged snoozes, then refresh the playlist
+    function applyInlineChanges(playlistId, playlistName) {
+        var section = document.querySelector('.playlist-tracks-section[data-playlist-id="' + playlistId + '"]');
+
+        // Saving a dragged order makes Manual the playlist's sort; the previous sort is kept for tracks added later
+        if (section && section._orderChanged && section.getAttribute('data-manual-order') !== 'true' &&
+            !confirm('Save this order as the playlist\'s sort? The current sort will only be used for tracks added later.')) {
+            return;
+        }
+
+        SmartLists.showNotification('Applying changes and refreshing "' + playlistName + '"...', 'info');
+
+        var apiClient = SmartLists.getApiClient();
+        // Pins go first so items unpinned here can be snoozed in the same apply
+        saveInlinePins(section, playlistId).then(function () {
+            return saveInlineSnoozes(section, playlistId);
+        }).then(function () {
+            return saveInlineOrder(section, playlistId);
+        }).then(function () {
+            return apiClient.ajax({
+                type: 'POST',
+                url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/refresh'),
+                contentType: 'application/json'
+            });
         }).then(parseApiResponse).then(function (result) {
             if (result.Success) {
                 var itemCount = result.ItemCount || 0;
@@ -1568,9 +2210,14 @@
                 }
             }
 
-            // Inline ignore checkbox
-            if (target.classList.contains('inline-ignore-checkbox')) {
-                handleInlineIgnoreCheckboxChange(target);
+            // Inline snooze duration
+            if (target.classList.contains('inline-snooze-select')) {
+                handleInlineSnoozeChange(target);
+            }
+
+            // Optional column toggle
+            if (target.classList.contains('tracks-column-toggle')) {
+                setTrackColumnVisible(target.getAttribute('data-column'), target.checked);
             }
 
             // Page size dropdown
@@ -1589,6 +2236,14 @@
         container.addEventListener('click', function (e) {
             var target = e.target;
 
+            // Keep one version of each duplicate song
+            if (target.classList.contains('tracks-keep-one-btn')) {
+                var section = target.closest('.playlist-tracks-section');
+                if (section && section._tracksData) {
+                    keepOneInlineDuplicate(section);
+                }
+            }
+
             // Ignore button
             if (target.classList.contains('tracks-ignore-btn')) {
                 var section = target.closest('.playlist-tracks-section');
@@ -1623,6 +2278,11 @@
                 }
             }
 
+            // Pin toggle
+            if (target.classList.contains('inline-pin-btn')) {
+                toggleInlinePin(target);
+            }
+
             // Apply button - refresh the playlist
             if (target.classList.contains('tracks-apply-btn')) {
                 var playlistId = target.getAttribute('data-playlist-id');
@@ -1692,6 +2352,55 @@
                 }
             }
         });
+
+        // Drag and drop reordering (rows are only draggable in playlist order)
+        container.addEventListener('dragstart', function (e) {
+            var row = e.target.closest && e.target.closest('.tracks-tbody tr[draggable="true"]');
+            if (!row) return;
+            container._draggedTrackId = row.getAttribute('data-item-id');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', container._draggedTrackId);
+            row.style.opacity = '0.5';
+        });
+
+        container.addEventListener('dragover', function (e) {
+            var row = e.target.closest('.tracks-tbody tr[draggable="true"]');
+            if (!row || !container._draggedTrackId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            var section = row.closest('.playlist-tracks-section');
+            var rect = row.getBoundingClientRect();
+            var position = e.clientY > rect.top + rect.height / 2 ? 'after' : 'before';
+            if (row.getAttribute('data-drop-position') !== position) {
+                clearInlineDropIndicators(section);
+                row.setAttribute('data-drop-position', position);
+                row.style.boxShadow = position === 'after' ? 'inset 0 -2px 0 #00a4dc' : 'inset 0 2px 0 #00a4dc';
+            }
+        });
+
+        container.addEventListener('drop', function (e) {
+            var row = e.target.closest('.tracks-tbody tr[draggable="true"]');
+            if (!row || !container._draggedTrackId) return;
+            e.preventDefault();
+            var section = row.closest('.playlist-tracks-section');
+            var placeAfter = row.getAttribute('data-drop-position') === 'after';
+            clearInlineDropIndicators(section);
+            moveInlineTrack(section, container._draggedTrackId, row.getAttribute('data-item-id'), placeAfter);
+            container._draggedTrackId = null;
+        });
+
+        container.addEventListener('dragend', function (e) {
+            // The dragged row may already have been replaced by a re-render after the drop
+            var row = e.target.closest && e.target.closest('.tracks-tbody tr');
+            var section = row && row.closest('.playlist-tracks-section');
+            if (row) {
+                row.style.opacity = '';
+            }
+            if (section) {
+                clearInlineDropIndicators(section);
+            }
+            container._draggedTrackId = null;
+        });
     }
 
     function togglePlaylistCard(card) {
@@ -1796,11 +2505,7 @@
         if (SmartLists.collectSortsFromForm) {
             var sorts = SmartLists.collectSortsFromForm(page);
             if (sorts && sorts.length > 0) {
-                orderDto = {
-                    Primary: sorts[0] || null,
-                    Secondary: sorts[1] || null,
-                    Tertiary: sorts[2] || null
-                };
+                orderDto = { SortOptions: sorts };
             }
         }
 
@@ -1818,7 +2523,9 @@
             MaxPlayTimeMinutes: parseInt(page.querySelector('#playlistMaxPlayTimeMinutes').value, 10) || null,
             Public: isPublic,
             Enabled: page.querySelector('#playlistIsEnabled').checked,
-            DefaultIgnoreDurationDays: parseInt(page.querySelector('#defaultIgnoreDurationDays').value, 10) || 30
+            PinnedFirst: page.querySelector('#playlistPinnedFirst').checked,
+            DefaultIgnoreDurationDays: parseIgnoreDays(page.querySelector('#defaultIgnoreDurationDays').value),
+            AutoSnooze: collectAutoSnoozeFromForm(page)
         };
 
         // If MaxItems or MaxPlayTimeMinutes is 0, set to null (no limit)
@@ -1907,9 +2614,13 @@
             publicCheckbox.checked = playlist.Public || false;
         }
         page.querySelector('#playlistIsEnabled').checked = playlist.Enabled !== false;
+        page.querySelector('#playlistPinnedFirst').checked = playlist.PinnedFirst === true;
 
         // Ignore duration
-        page.querySelector('#defaultIgnoreDurationDays').value = playlist.DefaultIgnoreDurationDays || 30;
+        page.querySelector('#defaultIgnoreDurationDays').value = getPlaylistIgnoreDays(playlist);
+
+        // Auto-snooze rule
+        setAutoSnoozeForm(page, playlist.AutoSnooze);
 
         // Expression sets (rules) - use same pattern as admin config
         var rulesContainer = page.querySelector('#rules-container');
@@ -1959,15 +2670,9 @@
                 sortsContainer.innerHTML = '';
             }
 
-            if (playlist.Order.Primary) {
-                SmartLists.addSortBox(page, playlist.Order.Primary);
-            }
-            if (playlist.Order.Secondary) {
-                SmartLists.addSortBox(page, playlist.Order.Secondary);
-            }
-            if (playlist.Order.Tertiary) {
-                SmartLists.addSortBox(page, playlist.Order.Tertiary);
-            }
+            SmartLists.parseSortOptions(playlist).forEach(function (sortOption) {
+                SmartLists.addSortBox(page, sortOption);
+            });
         }
     }
 
@@ -1994,8 +2699,13 @@
         var enabledCheckbox = page.querySelector('#playlistIsEnabled');
         if (enabledCheckbox) enabledCheckbox.checked = true;
 
+        var pinnedFirstCheckbox = page.querySelector('#playlistPinnedFirst');
+        if (pinnedFirstCheckbox) pinnedFirstCheckbox.checked = false;
+
         var ignoreDurationInput = page.querySelector('#defaultIgnoreDurationDays');
-        if (ignoreDurationInput) ignoreDurationInput.value = 30;
+        if (ignoreDurationInput) ignoreDurationInput.value = getDefaultIgnoreDays();
+
+        setAutoSnoozeForm(page, null);
 
         // Clear rules
         var rulesContainer = page.querySelector('#rules-container');
@@ -2186,29 +2896,139 @@
     }
 
     // ===== IGNORE LIST =====
+    // Search, sort, filter, paging and bulk actions for the ignore list modal
+    function setupIgnoreListControls(page) {
+        var container = document.querySelector('#ignore-list-container');
+        var searchInput = document.querySelector('#ignore-search');
+        var sortSelect = document.querySelector('#ignore-sort');
+        var filterSelect = document.querySelector('#ignore-filter');
+        var selectAll = document.querySelector('#ignore-select-all');
+        var prevBtn = document.querySelector('#ignore-prev-btn');
+        var nextBtn = document.querySelector('#ignore-next-btn');
+        var bulkDurationBtn = document.querySelector('#ignore-bulk-duration-btn');
+        var bulkRemoveBtn = document.querySelector('#ignore-bulk-remove-btn');
+
+        if (searchInput) {
+            searchInput.addEventListener('input', function () {
+                clearTimeout(page._ignoreSearchTimeout);
+                page._ignoreSearchTimeout = setTimeout(function () {
+                    ignoreListState.searchTerm = searchInput.value.trim();
+                    ignoreListState.currentPage = 1;
+                    renderIgnoreList(container);
+                }, 300);
+            });
+        }
+        if (sortSelect) {
+            sortSelect.addEventListener('change', function () {
+                ignoreListState.sortKey = sortSelect.value;
+                ignoreListState.currentPage = 1;
+                renderIgnoreList(container);
+            });
+        }
+        if (filterSelect) {
+            filterSelect.addEventListener('change', function () {
+                ignoreListState.filter = filterSelect.value;
+                ignoreListState.currentPage = 1;
+                renderIgnoreList(container);
+            });
+        }
+        if (selectAll) {
+            selectAll.addEventListener('change', function () {
+                selectIgnorePage(selectAll.checked);
+            });
+        }
+        if (prevBtn) {
+            prevBtn.addEventListener('click', function (e) {
+                e.preventDefault();
+                ignoreListState.currentPage--;
+                renderIgnoreList(container);
+            });
+        }
+        if (nextBtn) {
+            nextBtn.addEventListener('click', function (e) {
+                e.preventDefault();
+                ignoreListState.currentPage++;
+                renderIgnoreList(container);
+            });
+        }
+        if (bulkDurationBtn) {
+            bulkDurationBtn.addEventListener('click', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                bulkUpdateIgnoreDuration(page);
+            });
+        }
+        if (bulkRemoveBtn) {
+            bulkRemoveBtn.addEventListener('click', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                bulkRemoveIgnores(page);
+            });
+        }
+        if (container) {
+            container.addEventListener('change', function (e) {
+                if (e.target.classList.contains('ignore-edit-permanent')) {
+                    var daysInput = e.target.closest('.ignore-edit-form').querySelector('.ignore-edit-days');
+                    if (daysInput) daysInput.disabled = e.target.checked;
+                    return;
+                }
+                if (!e.target.classList.contains('ignore-select')) return;
+                var ignoreId = e.target.getAttribute('data-ignore-id');
+                if (e.target.checked) {
+                    ignoreListState.selectedIds[ignoreId] = true;
+                } else {
+                    delete ignoreListState.selectedIds[ignoreId];
+                }
+                updateIgnoreBulkBar();
+            });
+        }
+    }
+
     var currentIgnorePlaylistId = null;
+    var currentIgnorePlaylistName = null;
+    // True when the modal shows global ignores instead of a single playlist's
+    var ignoreGlobalView = false;
+    // Loaded ignores plus the search, sort, filter, page and selection applied to them
+    var ignoreListState = createIgnoreListState();
+
+    function createIgnoreListState() {
+        return { ignores: [], searchTerm: '', sortKey: 'ignored', filter: 'all', currentPage: 1, pageSize: 25, selectedIds: {}, editingId: null };
+    }
 
+    // Pass a null playlistId to show the global ignores
     function showIgnoreListModal(page, playlistId, playlistName) {
         currentIgnorePlaylistId = playlistId;
+        currentIgnorePlaylistName = playlistName;
+        ignoreGlobalView = !playlistId;
         var modal = document.querySelector('#ignore-list-modal');
         var nameEl = document.querySelector('#ignore-list-playlist-name');
         var container = document.querySelector('#ignore-list-container');
+        var globalOption = document.querySelector('#ignore-add-global-container');
 
         if (nameEl) {
-            nameEl.textContent = 'Playlist: ' + playlistName;
+            nameEl.textContent = ignoreGlobalView
+                ? 'Global ignores apply to all of your smart playlists.'
+                : 'Playlist: ' + playlistName;
+        }
+
+        if (globalOption) {
+            globalOption.style.display = ignoreGlobalView ? 'none' : '';
         }
 
         if (container) {
             container.innerHTML = '<p style="color: #aaa;">Loading ignored tracks...</p>';
         }
 
+        resetIgnoreAddForm();
+        resetIgnoreListControls();
+
         if (modal) {
             modal.classList.remove('hide');
             modal.style.display = '';
             applyModalStyles(modal);
         }
 
-        loadIgnoreList(page, playlistId);
+        loadIgnoreList(page);
     }
 
     function hideIgnoreListModal(page) {
@@ -2220,18 +3040,52 @@
             removeModalStyles(modal);
         }
         currentIgnorePlaylistId = null;
+        currentIgnorePlaylistName = null;
+        ignoreGlobalView = false;
+        ignoreListState = createIgnoreListState();
+    }
+
+    function resetIgnoreListControls() {
+        ignoreListState = createIgnoreListState();
+
+        var searchInput = document.querySelector('#ignore-search');
+        var sortSelect = document.querySelector('#ignore-sort');
+        var filterSelect = document.querySelector('#ignore-filter');
+        if (searchInput) searchInput.value = '';
+        if (sortSelect) sortSelect.value = ignoreListState.sortKey;
+        if (filterSelect) filterSelect.value = ignoreListState.filter;
+    }
+
+    // Endpoint for the ignores shown in the modal
+    function getIgnoreListEndpoint() {
+        return ignoreGlobalView
+            ? USER_ENDPOINTS.globalIgnores
+            : USER_ENDPOINTS.base + '/' + currentIgnorePlaylistId + '/ignores';
     }
 
-    function loadIgnoreList(page, playlistId) {
+    function loadIgnoreList(page) {
+        if (!currentIgnorePlaylistId && !ignoreGlobalView) return;
+
         var apiClient = SmartLists.getApiClient();
         var container = page.querySelector('#ignore-list-container');
 
         apiClient.ajax({
             type: 'GET',
-            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/ignores'),
+            url: apiClient.getUrl(getIgnoreListEndpoint()),
             contentType: 'application/json'
         }).then(parseApiResponse).then(function (ignores) {
-            renderIgnoreList(container, ignores);
+            ignoreListState.ignores = ignores || [];
+
+            // Drop selections for ignores that no longer exist
+            var selectedIds = {};
+            ignoreListState.ignores.forEach(function (ignore) {
+                if (ignoreListState.selectedIds[ignore.Id]) {
+                    selectedIds[ignore.Id] = true;
+                }
+            });
+            ignoreListState.selectedIds = selectedIds;
+
+            renderIgnoreList(container);
         }).catch(function (err) {
             console.error('[SmartLists] Error loading ignore list:', err);
             if (container) {
@@ -2240,31 +3094,98 @@
         });
     }
 
-    function renderIgnoreList(container, ignores) {
+    // Applies the search, permanent/temporary filter and sort to the loaded ignores
+    function getFilteredIgnores() {
+        var state = ignoreListState;
+        var term = state.searchTerm.toLowerCase();
+
+        var ignores = state.ignores.filter(function (ignore) {
+            if (state.filter === 'permanent' && ignore.ExpiresAt) return false;
+            if (state.filter === 'temporary' && !ignore.ExpiresAt) return false;
+            if (!term) return true;
+            var text = [getIgnoreDescription(ignore), ignore.AlbumName || '', ignore.Reason || ''].join(' ').toLowerCase();
+            return text.indexOf(term) !== -1;
+        });
+
+        var compareText = function (a, b) {
+            return (a || '').localeCompare(b || '', undefined, { sensitivity: 'base' });
+        };
+
+        return ignores.sort(function (a, b) {
+            switch (state.sortKey) {
+                case 'track':
+                    return compareText(a.TrackName || a.AlbumName || a.ArtistName, b.TrackName || b.AlbumName || b.ArtistName);
+                case 'artist':
+                    return compareText(a.ArtistName, b.ArtistName) || compareText(a.TrackName, b.TrackName);
+                case 'expires':
+                    // Permanent ignores never expire, so they go last
+                    if (!a.ExpiresAt || !b.ExpiresAt) {
+                        return (a.ExpiresAt ? 0 : 1) - (b.ExpiresAt ? 0 : 1);
+                    }
+                    return new Date(a.ExpiresAt) - new Date(b.ExpiresAt);
+                default:
+                    return new Date(b.IgnoredAt) - new Date(a.IgnoredAt);
+            }
+        });
+    }
+
+    function renderIgnoreList(container) {
         if (!container) return;
 
-        if (!ignores || ignores.length === 0) {
+        var state = ignoreListState;
+        var ignores = getFilteredIgnores();
+
+        var totalPages = Math.ceil(ignores.length / state.pageSize) || 1;
+        if (state.currentPage > totalPages) state.currentPage = totalPages;
+        if (state.currentPage < 1) state.currentPage = 1;
+
+        var startIdx = (state.currentPage - 1) * state.pageSize;
+        var endIdx = Math.min(startIdx + state.pageSize, ignores.length);
+        var pageIgnores = ignores.slice(startIdx, endIdx);
+        container._pageIgnoreIds = pageIgnores.map(function (ignore) { return ignore.Id; });
+
+        updateIgnorePagination(state.currentPage, totalPages, startIdx + 1, endIdx, ignores.length);
+        updateIgnoreBulkBar();
+
+        if (state.ignores.length === 0) {
             container.innerHTML = '<p style="color: #aaa;">No ignored tracks.</p>';
             return;
         }
+        if (pageIgnores.length === 0) {
+            container.innerHTML = '<p style="color: #aaa;">No ignores match your search.</p>';
+            return;
+        }
 
-        var html = '<div style="max-height: 400px; overflow-y: auto;">';
-        ignores.forEach(function (ignore) {
+        var html = '<div>';
+        pageIgnores.forEach(function (ignore) {
             var expiresText = ignore.ExpiresAt ? 'Expires: ' + new Date(ignore.ExpiresAt).toLocaleDateString() : 'Permanent';
-            var trackInfo = ignore.TrackName || ignore.TrackId;
-            if (ignore.ArtistName) {
-                trackInfo += ' - ' + ignore.ArtistName;
-            }
+            var scope = ignore.Scope || 'Track';
 
-            html += '<div class="ignore-item" style="padding: 0.75em; border-bottom: 1px solid #333; display: flex; justify-content: space-between; align-items: center;">';
+            html += '<div class="ignore-item" style="padding: 0.75em; border-bottom: 1px solid #333; display: flex; justify-content: space-between; align-items: center; gap: 0.75em;">';
+            html += '<input type="checkbox" class="ignore-select" data-ignore-id="' + SmartLists.escapeHtmlAttribute(ignore.Id) + '"' + (state.selectedIds[ignore.Id] ? ' checked' : '') + '>';
             html += '<div style="flex: 1;">';
-            html += '<div style="font-weight: bold;">' + SmartLists.escapeHtml(trackInfo) + '</div>';
-            html += '<div style="font-size: 0.85em; color: #888;">' + expiresText + '</div>';
-            if (ignore.Reason) {
+            html += '<div style="font-weight: bold;">';
+            if (scope !== 'Track') {
+                html += '<span style="font-size: 0.75em; font-weight: normal; padding: 0.1em 0.4em; margin-right: 0.5em; border-radius: 3px; background: #00a4dc; color: #fff;">' + scope.toUpperCase() + '</span>';
+            }
+            if (ignore.IsAutomatic) {
+                html += '<span style="font-size: 0.75em; font-weight: normal; padding: 0.1em 0.4em; margin-right: 0.5em; border-radius: 3px; background: #ff9800; color: #fff;">AUTO</span>';
+            }
+            if (ignore.IsGlobal && !ignoreGlobalView) {
+                html += '<span style="font-size: 0.75em; font-weight: normal; padding: 0.1em 0.4em; margin-right: 0.5em; border-radius: 3px; background: #7b1fa2; color: #fff;">GLOBAL</span>';
+            }
+            html += SmartLists.escapeHtml(getIgnoreDescription(ignore)) + '</div>';
+            html += '<div style="font-size: 0.85em; color: #888;">Ignored: ' + new Date(ignore.IgnoredAt).toLocaleDateString() + ' &middot; ' + expiresText + '</div>';
+            if (state.editingId === ignore.Id) {
+                html += renderIgnoreEditForm(ignore);
+            } else if (ignore.Reason) {
                 html += '<div style="font-size: 0.85em; color: #666;">Reason: ' + SmartLists.escapeHtml(ignore.Reason) + '</div>';
             }
             html += '</div>';
-            html += '<button type="button" class="emby-button raised remove-ignore-btn" data-ignore-id="' + SmartLists.escapeHtmlAttribute(ignore.Id) + '" style="font-size: 0.8em;">Remove</button>';
+            if (state.editingId !== ignore.Id) {
+                html += '<button type="button" class="emby-button raised edit-ignore-btn" data-ignore-id="' + SmartLists.escapeHtmlAttribute(ignore.Id) + '" style="font-size: 0.8em;">Edit</button>';
+            }
+            html += '<button type="button" class="emby-button raised remove-ignore-btn" data-ignore-id="' + SmartLists.escapeHtmlAttribute(ignore.Id) + '" data-global="' + (ignore.IsGlobal ? 'true' : 'false') + '" style="font-size: 0.8em;">' + (ignore.IsGlobal && !ignoreGlobalView ? 'Remove (all playlists)' : 'Remove') + '</button>';
             html += '</div>';
         });
         html += '</div>';
@@ -2272,46 +3193,693 @@
         container.innerHTML = html;
     }
 
-    function removeIgnore(page, ignoreId) {
-        if (!currentIgnorePlaylistId) return;
+    // Expiry is edited as days from today; it is converted back to a duration from the ignored date on save
+    function renderIgnoreEditForm(ignore) {
+        var isPermanent = !ignore.ExpiresAt;
+        var daysLeft = isPermanent ? 30 : Math.max(1, Math.ceil((new Date(ignore.ExpiresAt).getTime() - Date.now()) / 86400000));
+
+        var html = '<div class="ignore-edit-form" style="display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap; margin-top: 0.5em; font-size: 0.85em;">';
+        html += '<label style="display: flex; align-items: center; gap: 0.3em; color: #aaa;">Expires in ';
+        html += '<input type="number" class="emby-input ignore-edit-days" min="1" max="3650" value="' + daysLeft + '" style="width: 5em;"' + (isPermanent ? ' disabled' : '') + '>';
+        html += ' days</label>';
+        html += '<label style="display: flex; align-items: center; gap: 0.3em; color: #aaa;">';
+        html += '<input type="checkbox" class="ignore-edit-permanent"' + (isPermanent ? ' checked' : '') + '> Permanent</label>';
+        html += '<input type="text" class="emby-input ignore-edit-reason" maxlength="200" placeholder="Reason (optional)" value="' + SmartLists.escapeHtmlAttribute(ignore.Reason || '') + '" style="flex: 1; min-width: 10em;">';
+        html += '<button type="button" class="emby-button raised button-submit save-ignore-edit-btn" data-ignore-id="' + SmartLists.escapeHtmlAttribute(ignore.Id) + '" style="font-size: 0.9em;">Save</button>';
+        html += '<button type="button" class="emby-button raised cancel-ignore-edit-btn" style="font-size: 0.9em;">Cancel</button>';
+        html += '</div>';
+        return html;
+    }
+
+    function editIgnore(ignoreId) {
+        ignoreListState.editingId = ignoreId;
+        renderIgnoreList(document.querySelector('#ignore-list-container'));
+    }
+
+    function cancelIgnoreEdit() {
+        ignoreListState.editingId = null;
+        renderIgnoreList(document.querySelector('#ignore-list-container'));
+    }
+
+    function saveIgnoreEdit(page, button) {
+        var ignoreId = button.getAttribute('data-ignore-id');
+        var form = button.closest('.ignore-edit-form');
+        var ignore = null;
+        ignoreListState.ignores.forEach(function (candidate) {
+            if (candidate.Id === ignoreId) ignore = candidate;
+        });
+        if (!form || !ignore) return;
 
+        var isPermanent = form.querySelector('.ignore-edit-permanent').checked;
+        var reason = form.querySelector('.ignore-edit-reason').value.trim();
+        // The server counts the days from now, so an unchanged form saves the same expiry
+        var daysFromNow = 0;
+
+        if (!isPermanent) {
+            daysFromNow = parseInt(form.querySelector('.ignore-edit-days').value, 10);
+            if (isNaN(daysFromNow) || daysFromNow < 1 || daysFromNow > 3650) {
+                SmartLists.showNotification('Enter between 1 and 3650 days until the ignore expires.', 'error');
+                return;
+            }
+        }
+
+        var endpoint = ignore.IsGlobal
+            ? USER_ENDPOINTS.globalIgnores + '/' + ignore.Id
+            : USER_ENDPOINTS.base + '/' + currentIgnorePlaylistId + '/ignores/' + ignore.Id;
+        var apiClient = SmartLists.getApiClient();
+
+        button.disabled = true;
+
+        apiClient.ajax({
+            type: 'PUT',
+            url: apiClient.getUrl(endpoint),
+            contentType: 'application/json',
+            data: JSON.stringify({ ExpiresInDays: daysFromNow, Reason: reason })
+        }).then(parseApiResponse).then(function () {
+            SmartLists.showNotification('Ignore updated.', 'success');
+            ignoreListState.editingId = null;
+            loadIgnoreList(page);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error updating ignore:', err);
+            SmartLists.showNotification('Failed to update ignore: ' + err.message, 'error');
+            button.disabled = false;
+        });
+    }
+
+    function updateIgnorePagination(currentPage, totalPages, startItem, endItem, totalItems) {
+        var pageInfo = document.querySelector('#ignore-page-info');
+        var prevBtn = document.querySelector('#ignore-prev-btn');
+        var nextBtn = document.querySelector('#ignore-next-btn');
+
+        if (pageInfo) {
+            pageInfo.textContent = totalItems === 0 ? '' : startItem + '-' + endItem + ' of ' + totalItems;
+        }
+
+        if (prevBtn) {
+            prevBtn.disabled = currentPage <= 1;
+            prevBtn.style.opacity = currentPage <= 1 ? '0.5' : '1';
+        }
+
+        if (nextBtn) {
+            nextBtn.disabled = currentPage >= totalPages;
+            nextBtn.style.opacity = currentPage >= totalPages ? '0.5' : '1';
+        }
+    }
+
+    function getSelectedIgnoreIds() {
+        return Object.keys(ignoreListState.selectedIds);
+    }
+
+    function updateIgnoreBulkBar() {
+        var container = document.querySelector('#ignore-list-container');
+        var selectAll = document.querySelector('#ignore-select-all');
+        var countLabel = document.querySelector('#ignore-selected-count');
+        var durationBtn = document.querySelector('#ignore-bulk-duration-btn');
+        var removeBtn = document.querySelector('#ignore-bulk-remove-btn');
+        var selectedCount = getSelectedIgnoreIds().length;
+        var pageIds = (container && container._pageIgnoreIds) || [];
+
+        if (selectAll) {
+            selectAll.checked = pageIds.length > 0 && pageIds.every(function (id) {
+                return ignoreListState.selectedIds[id];
+            });
+        }
+        if (countLabel) {
+            countLabel.textContent = selectedCount > 0 ? selectedCount + ' selected' : 'Select page';
+        }
+        if (durationBtn) durationBtn.disabled = selectedCount === 0;
+        if (removeBtn) removeBtn.disabled = selectedCount === 0;
+    }
+
+    // Selects or clears every ignore on the current page
+    function selectIgnorePage(selected) {
+        var container = document.querySelector('#ignore-list-container');
+        var pageIds = (container && container._pageIgnoreIds) || [];
+
+        pageIds.forEach(function (id) {
+            if (selected) {
+                ignoreListState.selectedIds[id] = true;
+            } else {
+                delete ignoreListState.selectedIds[id];
+            }
+        });
+        renderIgnoreList(container);
+    }
+
+    // Suffix for removal notifications when the server refreshed playlists afterwards
+    function describeIgnoreRefresh(result) {
+        return result && result.Refreshed ? ' Playlists refreshed.' : '';
+    }
+
+    function bulkRemoveIgnores(page) {
+        var ignoreIds = getSelectedIgnoreIds();
+        if (ignoreIds.length === 0) return;
+
+        var endpoint = ignoreGlobalView
+            ? USER_ENDPOINTS.globalIgnores + '/bulk'
+            : USER_ENDPOINTS.base + '/' + currentIgnorePlaylistId + '/ignores/bulk';
         var apiClient = SmartLists.getApiClient();
 
         apiClient.ajax({
             type: 'DELETE',
-            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + currentIgnorePlaylistId + '/ignores/' + ignoreId),
+            url: apiClient.getUrl(endpoint),
+            data: JSON.stringify({ IgnoreIds: ignoreIds }),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (result) {
+            SmartLists.showNotification('Removed ' + result.Removed + ' ignores.' + describeIgnoreRefresh(result), 'success');
+            ignoreListState.selectedIds = {};
+            loadIgnoreList(page);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error bulk removing ignores:', err);
+            SmartLists.showNotification('Failed to remove ignores: ' + err.message, 'error');
+        });
+    }
+
+    function bulkUpdateIgnoreDuration(page) {
+        var ignoreIds = getSelectedIgnoreIds();
+        var daysSelect = document.querySelector('#ignore-bulk-days');
+        if (ignoreIds.length === 0 || !daysSelect) return;
+
+        var durationDays = parseInt(daysSelect.value, 10);
+        var apiClient = SmartLists.getApiClient();
+
+        apiClient.ajax({
+            type: 'PUT',
+            url: apiClient.getUrl(USER_ENDPOINTS.bulkUpdateIgnores),
+            data: JSON.stringify({ IgnoreIds: ignoreIds, DurationDays: durationDays }),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (count) {
+            SmartLists.showNotification(durationDays === 0
+                ? 'Made ' + count + ' ignores permanent.'
+                : 'Set ' + count + ' ignores to expire in ' + durationDays + ' days.', 'success');
+            ignoreListState.selectedIds = {};
+            loadIgnoreList(page);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error updating ignore durations:', err);
+            SmartLists.showNotification('Failed to update ignores: ' + err.message, 'error');
+        });
+    }
+
+    // Human-readable description of what an ignore entry covers
+    function getIgnoreDescription(ignore) {
+        if (ignore.Scope === 'Artist') {
+            return 'All tracks by ' + (ignore.ArtistName || 'unknown artist');
+        }
+        if (ignore.Scope === 'Album') {
+            return (ignore.AlbumName || 'Unknown album') + (ignore.ArtistName ? ' - ' + ignore.ArtistName : '');
+        }
+        var trackInfo = ignore.TrackName || ignore.TrackId;
+        if (ignore.ArtistName) {
+            trackInfo += ' - ' + ignore.ArtistName;
+        }
+        return trackInfo;
+    }
+
+    function updateIgnoreAddForm() {
+        var scopeSelect = document.querySelector('#ignore-add-scope');
+        var albumInput = document.querySelector('#ignore-add-album');
+        var artistInput = document.querySelector('#ignore-add-artist');
+        if (!scopeSelect || !albumInput || !artistInput) return;
+
+        var isAlbum = scopeSelect.value === 'Album';
+        albumInput.style.display = isAlbum ? '' : 'none';
+        artistInput.placeholder = isAlbum ? 'Album artist (optional)' : 'Artist name';
+    }
+
+    function isIgnoreAddGlobal() {
+        if (ignoreGlobalView) return true;
+        var globalCheckbox = document.querySelector('#ignore-add-global');
+        return !!(globalCheckbox && globalCheckbox.checked);
+    }
+
+    function resetIgnoreAddForm() {
+        var scopeSelect = document.querySelector('#ignore-add-scope');
+        if (scopeSelect) scopeSelect.value = 'Artist';
+        ['#ignore-add-artist', '#ignore-add-album', '#ignore-add-days'].forEach(function (selector) {
+            var input = document.querySelector(selector);
+            if (input) input.value = '';
+        });
+        var globalCheckbox = document.querySelector('#ignore-add-global');
+        if (globalCheckbox) globalCheckbox.checked = false;
+        updateIgnoreAddForm();
+    }
+
+    // Ignore every track by an artist or on an album, including ones added to the library later
+    function addScopedIgnore(page) {
+        if (!currentIgnorePlaylistId && !ignoreGlobalView) return;
+
+        var scope = document.querySelector('#ignore-add-scope').value;
+        var artistName = document.querySelector('#ignore-add-artist').value.trim();
+        var albumName = document.querySelector('#ignore-add-album').value.trim();
+        // Blank duration uses the playlist's default
+        var daysValue = document.querySelector('#ignore-add-days').value;
+        var days = daysValue === '' ? null : parseIgnoreDays(daysValue);
+
+        if (scope === 'Artist' && !artistName) {
+            SmartLists.showNotification('Enter an artist name.', 'error');
+            return;
+        }
+        if (scope === 'Album' && !albumName) {
+            SmartLists.showNotification('Enter an album name.', 'error');
+            return;
+        }
+
+        var playlistId = currentIgnorePlaylistId;
+        var playlistName = currentIgnorePlaylistName;
+        var isGlobal = isIgnoreAddGlobal();
+        var apiClient = SmartLists.getApiClient();
+
+        // Blank durations use the playlist default, or the user default in the global view
+        apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(ignoreGlobalView ? USER_ENDPOINTS.globalIgnores : USER_ENDPOINTS.base + '/' + playlistId + '/ignores'),
+            contentType: 'application/json',
+            data: JSON.stringify({
+                Scope: scope,
+                ArtistName: artistName || null,
+                AlbumName: scope === 'Album' ? albumName : null,
+                DurationDays: days,
+                Global: isGlobal
+            })
+        }).then(parseApiResponse).then(function (ignore) {
+            SmartLists.showNotification('Ignored ' + getIgnoreDescription(ignore) + (isGlobal ? ' in all playlists.' : '.'), 'success');
+            resetIgnoreAddForm();
+            loadIgnoreList(page);
+            // Apply the new ignore to the affected Jellyfin playlists
+            if (isGlobal) {
+                refreshAllUserPlaylists(page);
+            } else {
+                refreshUserPlaylist(playlistId, playlistName);
+            }
+        }).catch(function (err) {
+            console.error('[SmartLists] Error adding ignore:', err);
+            SmartLists.showNotification('Failed to add ignore: ' + err.message, 'error');
+        });
+    }
+
+    function removeIgnore(page, ignoreId, isGlobal) {
+        if (!currentIgnorePlaylistId && !ignoreGlobalView) return;
+
+        var apiClient = SmartLists.getApiClient();
+        var url = isGlobal
+            ? USER_ENDPOINTS.globalIgnores + '/' + ignoreId
+            : USER_ENDPOINTS.base + '/' + currentIgnorePlaylistId + '/ignores/' + ignoreId;
+
+        apiClient.ajax({
+            type: 'DELETE',
+            url: apiClient.getUrl(url),
             contentType: 'application/json'
         }).then(function (response) {
+            // Global removal returns the refresh result; playlist removal returns no content
+            if (isGlobal) {
+                return parseApiResponse(response);
+            }
             // Handle fetch Response (check for ok) or direct response (assume success)
             if (response && typeof response.ok !== 'undefined' && !response.ok && response.status !== 204) {
                 throw new Error('Failed to remove ignore');
             }
-            SmartLists.showNotification('Ignore removed.', 'success');
-            loadIgnoreList(page, currentIgnorePlaylistId);
+            return null;
+        }).then(function (result) {
+            var message = isGlobal ? 'Ignore removed from all playlists.' : 'Ignore removed.';
+            SmartLists.showNotification(message + describeIgnoreRefresh(result), 'success');
+            loadIgnoreList(page);
         }).catch(function (err) {
             console.error('[SmartLists] Error removing ignore:', err);
             SmartLists.showNotification('Failed to remove ignore: ' + err.message, 'error');
         });
     }
 
+    // In a playlist view this clears only that playlist's own ignores; global ignores are kept
     function clearAllIgnores(page) {
-        if (!currentIgnorePlaylistId) return;
+        if (!currentIgnorePlaylistId && !ignoreGlobalView) return;
 
         var apiClient = SmartLists.getApiClient();
 
         apiClient.ajax({
             type: 'DELETE',
-            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + currentIgnorePlaylistId + '/ignores'),
+            url: apiClient.getUrl(getIgnoreListEndpoint()),
             contentType: 'application/json'
-        }).then(parseApiResponse).then(function (count) {
-            SmartLists.showNotification('Cleared ' + count + ' ignored tracks.', 'success');
-            loadIgnoreList(page, currentIgnorePlaylistId);
+        }).then(parseApiResponse).then(function (result) {
+            // Clearing global ignores returns the refresh result; a playlist's clear returns the count
+            var message = ignoreGlobalView
+                ? 'Cleared ' + result.Removed + ' global ignores.' + describeIgnoreRefresh(result)
+                : 'Cleared ' + result + ' ignored tracks.';
+            SmartLists.showNotification(message, 'success');
+            loadIgnoreList(page);
         }).catch(function (err) {
             console.error('[SmartLists] Error clearing ignores:', err);
             SmartLists.showNotification('Failed to clear ignores: ' + err.message, 'error');
         });
     }
 
+    // ===== RETURNING SOON =====
+    var RETURNING_SOON_DAYS = 7;
+    // Lapsed snoozes used to be kept per browser; they are now stored on the ignore itself
+    var LEGACY_LAPSED_SNOOZES_KEY = 'smartListsLapsedSnoozes';
+
+    function getLegacyLapsedSnoozeIds() {
+        try {
+            var saved = localStorage.getItem(LEGACY_LAPSED_SNOOZES_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (err) {
+            console.warn('[SmartLists] Failed to read lapsed snoozes:', err);
+            return [];
+        }
+    }
+
+    function postLetSnoozeLapse(apiClient, ignoreId) {
+        return apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(USER_ENDPOINTS.base + '/ignores/' + encodeURIComponent(ignoreId) + '/lapse'),
+            contentType: 'application/json'
+        });
+    }
+
+    // One-time migration of choices saved in this browser to the server.
+    // Only ignores that are still expiring need it; the others have already returned.
+    function migrateLegacyLapsedSnoozes(apiClient, items) {
+        var legacyIds = getLegacyLapsedSnoozeIds();
+        if (legacyIds.length === 0) {
+            return Promise.resolve(items);
+        }
+
+        var lapsed = items.filter(function (item) {
+            return legacyIds.indexOf(item.Ignore.Id) !== -1;
+        });
+
+        return Promise.all(lapsed.map(function (item) {
+            return postLetSnoozeLapse(apiClient, item.Ignore.Id);
+        })).then(function () {
+            localStorage.removeItem(LEGACY_LAPSED_SNOOZES_KEY);
+            return items.filter(function (item) {
+                return lapsed.indexOf(item) === -1;
+            });
+        }).catch(function (err) {
+            console.warn('[SmartLists] Failed to migrate lapsed snoozes:', err);
+            return items;
+        });
+    }
+
+    function loadReturningSoon(page) {
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(USER_ENDPOINTS.expiringIgnores + '?days=' + RETURNING_SOON_DAYS),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (items) {
+            return migrateLegacyLapsedSnoozes(apiClient, items || []);
+        }).then(function (items) {
+            page._returningSoon = items;
+            renderReturningSoon(page);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error loading expiring ignores:', err);
+        });
+    }
+
+    function renderReturningSoon(page) {
+        var section = page.querySelector('#returning-soon-section');
+        var container = page.querySelector('#returning-soon-container');
+        var items = page._returningSoon || [];
+
+        updateReturningSoonBadge(page, items.length);
+
+        if (!section || !container) return;
+
+        if (items.length === 0) {
+            section.classList.add('hide');
+            container.innerHTML = '';
+            return;
+        }
+
+        var html = '';
+        items.forEach(function (item) {
+            var ignore = item.Ignore;
+            var where = ignore.IsGlobal ? 'All playlists' : item.PlaylistName;
+
+            html += '<div style="padding: 0.5em 0; border-bottom: 1px solid #333; display: flex; justify-content: space-between; align-items: center; gap: 1em; flex-wrap: wrap;">';
+            html += '<div style="flex: 1; min-width: 200px;">';
+            html += '<div style="font-weight: bold;">' + SmartLists.escapeHtml(getIgnoreDescription(ignore)) + '</div>';
+            html += '<div style="font-size: 0.85em; color: #888;">' + SmartLists.escapeHtml(where) + ' &middot; ' + formatReturnsIn(ignore.ExpiresAt) + '</div>';
+            html += '</div>';
+            html += '<div style="display: flex; gap: 0.5em; align-items: center;">';
+            html += '<select class="returning-soon-days emby-select" style="width: auto; min-width: 100px; padding: 0.3em; font-size: 0.85em;">';
+            html += '<option value="7">+7 days</option>';
+            html += '<option value="30" selected>+30 days</option>';
+            html += '<option value="90">+90 days</option>';
+            html += '<option value="0">Permanently</option>';
+            html += '</select>';
+            html += '<button type="button" class="emby-button raised extend-snooze-btn" data-ignore-id="' + SmartLists.escapeHtmlAttribute(ignore.Id) + '" style="font-size: 0.8em;">Extend</button>';
+            html += '<button type="button" class="emby-button raised lapse-snooze-btn" data-ignore-id="' + SmartLists.escapeHtmlAttribute(ignore.Id) + '" style="font-size: 0.8em;">Let it return</button>';
+            html += '</div>';
+            html += '</div>';
+        });
+
+        container.innerHTML = html;
+        section.classList.remove('hide');
+    }
+
+    function formatReturnsIn(expiresAt) {
+        var days = Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 86400000);
+        if (days <= 0) {
+            return 'Returns today';
+        }
+        return 'Returns in ' + days + (days === 1 ? ' day' : ' days') + ' (' + new Date(expiresAt).toLocaleDateString() + ')';
+    }
+
+    function updateReturningSoonBadge(page, count) {
+        var tab = page.querySelector('.localnav a[data-tab="manage"]');
+        if (!tab) return;
+
+        var badge = tab.querySelector('.returning-soon-badge');
+        if (count === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'returning-soon-badge';
+            badge.title = 'Snoozed tracks returning within ' + RETURNING_SOON_DAYS + ' days';
+            SmartLists.applyStyles(badge, {
+                marginLeft: '0.5em',
+                padding: '0 0.45em',
+                borderRadius: '1em',
+                background: '#ff9800',
+                color: '#fff',
+                fontSize: '0.8em'
+            });
+            tab.appendChild(badge);
+        }
+        badge.textContent = count;
+    }
+
+    function findReturningSoonItem(page, ignoreId) {
+        var items = page._returningSoon || [];
+        for (var i = 0; i < items.length; i++) {
+            if (items[i].Ignore.Id === ignoreId) {
+                return items[i];
+            }
+        }
+        return null;
+    }
+
+    // Extends from the current expiry date, since the duration is counted from when the track was ignored
+    function extendSnooze(page, button) {
+        var ignoreId = button.getAttribute('data-ignore-id');
+        var item = findReturningSoonItem(page, ignoreId);
+        var select = button.parentElement.querySelector('.returning-soon-days');
+        if (!item || !select) return;
+
+        var ignore = item.Ignore;
+        var extraDays = parseInt(select.value, 10);
+        var newDuration = extraDays === 0 ? 0 : (ignore.DurationDays || 0) + extraDays;
+        var endpoint = ignore.IsGlobal
+            ? USER_ENDPOINTS.globalIgnores + '/' + ignore.Id
+            : USER_ENDPOINTS.base + '/' + ignore.SmartPlaylistId + '/ignores/' + ignore.Id;
+        var apiClient = SmartLists.getApiClient();
+
+        button.disabled = true;
+
+        apiClient.ajax({
+            type: 'PUT',
+            url: apiClient.getUrl(endpoint),
+            contentType: 'application/json',
+            data: JSON.stringify({ DurationDays: newDuration })
+        }).then(parseApiResponse).then(function () {
+            SmartLists.showNotification(extraDays === 0 ? 'Snooze made permanent.' : 'Snooze extended by ' + extraDays + ' days.', 'success');
+            loadReturningSoon(page);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error extending snooze:', err);
+            SmartLists.showNotification('Failed to extend snooze: ' + err.message, 'error');
+            button.disabled = false;
+        });
+    }
+
+    function letSnoozeLapse(page, ignoreId) {
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        postLetSnoozeLapse(apiClient, ignoreId).then(function (response) {
+            if (response && typeof response.ok !== 'undefined' && !response.ok && response.status !== 204) {
+                throw new Error('API request failed: ' + response.status);
+            }
+            page._returningSoon = (page._returningSoon || []).filter(function (item) {
+                return item.Ignore.Id !== ignoreId;
+            });
+            renderReturningSoon(page);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error letting snooze lapse:', err);
+            SmartLists.showNotification('Failed to update snooze: ' + err.message, 'error');
+        });
+    }
+
+    // ===== SNOOZE HISTORY =====
+    function loadSnoozeHistory(page) {
+        var container = page.querySelector('#snooze-history-container');
+        if (!container) return;
+
+        container.innerHTML = '<p style="color: #aaa;">Loading snooze history...</p>';
+
+        var apiClient = SmartLists.getApiClient();
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(USER_ENDPOINTS.ignoreHistory),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (history) {
+            renderSnoozeHistory(container, history);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error loading snooze history:', err);
+            container.innerHTML = '<p style="color: #ff6b6b;">Failed to load snooze history.</p>';
+        });
+    }
+
+    function renderSnoozeHistory(container, history) {
+        if (!history || !history.TotalSnoozes) {
+            container.innerHTML = '<p style="color: #aaa;">You haven\'t snoozed anything yet.</p>';
+            return;
+        }
+
+        var sectionStyle = 'padding: 1em; background-color: #202020; border-radius: 4px; margin-bottom: 1.5em;';
+        var html = '<p style="color: #aaa;">' + history.TotalSnoozes + ' snoozes in total.</p>';
+
+        // Repeat offenders
+        html += '<div style="' + sectionStyle + '">';
+        html += '<h3 style="margin-top: 0;">Repeat offenders</h3>';
+        if (!history.RepeatOffenders || history.RepeatOffenders.length === 0) {
+            html += '<p style="color: #aaa;">No tracks have been snoozed ' + history.RepeatOffenderThreshold + ' or more times.</p>';
+        } else {
+            history.RepeatOffenders.forEach(function (track) {
+                html += '<div style="padding: 0.5em 0; border-bottom: 1px solid #333; display: flex; justify-content: space-between; align-items: center; gap: 1em;">';
+                html += '<div style="flex: 1;">';
+                html += '<div style="font-weight: bold;">' + SmartLists.escapeHtml(getSnoozeTrackLabel(track)) + '</div>';
+                html += '<div style="font-size: 0.85em; color: #888;">Snoozed ' + track.Count + ' times, last on ' + new Date(track.LastSnoozedAt).toLocaleDateString() + '</div>';
+                html += '</div>';
+                if (track.IsPermanentlyIgnored) {
+                    html += '<span style="font-size: 0.85em; color: #888;">Ignored permanently</span>';
+                } else {
+                    html += '<button type="button" class="emby-button raised ignore-permanently-btn" data-track-id="' + SmartLists.escapeHtmlAttribute(track.TrackId) + '" data-count="' + track.Count + '" style="font-size: 0.8em;">Ignore permanently</button>';
+                }
+                html += '</div>';
+            });
+        }
+        html += '</div>';
+
+        // Snoozes per week, drawn as simple bars scaled to the busiest week
+        var maxWeek = 0;
+        (history.PerWeek || []).forEach(function (week) {
+            maxWeek = Math.max(maxWeek, week.Count);
+        });
+        html += '<div style="' + sectionStyle + '">';
+        html += '<h3 style="margin-top: 0;">Snoozes per week</h3>';
+        (history.PerWeek || []).forEach(function (week) {
+            var width = maxWeek > 0 ? Math.round(week.Count / maxWeek * 100) : 0;
+            html += '<div style="display: flex; align-items: center; gap: 0.75em; margin-bottom: 0.3em; font-size: 0.9em;">';
+            html += '<span style="width: 7em; color: #aaa;">' + new Date(week.WeekStart).toLocaleDateString() + '</span>';
+            html += '<div style="flex: 1; background: #2A2A2A; border-radius: 3px; height: 0.9em;">';
+            html += '<div style="width: ' + width + '%; background: #00a4dc; border-radius: 3px; height: 100%;"></div>';
+            html += '</div>';
+            html += '<span style="width: 2.5em; text-align: right;">' + week.Count + '</span>';
+            html += '</div>';
+        });
+        html += '</div>';
+
+        html += '<div style="display: flex; gap: 1.5em; flex-wrap: wrap;">';
+
+        // Most snoozed tracks
+        html += '<div style="flex: 1; min-width: 280px; ' + sectionStyle + '">';
+        html += '<h3 style="margin-top: 0;">Most snoozed tracks</h3>';
+        html += renderSnoozeCountTable((history.TopTracks || []).map(function (track) {
+            return { label: getSnoozeTrackLabel(track), count: track.Count };
+        }), 'No tracks snoozed.');
+        html += '</div>';
+
+        // Most snoozed artists
+        html += '<div style="flex: 1; min-width: 280px; ' + sectionStyle + '">';
+        html += '<h3 style="margin-top: 0;">Most snoozed artists</h3>';
+        html += renderSnoozeCountTable((history.TopArtists || []).map(function (artist) {
+            return { label: artist.ArtistName, count: artist.Count };
+        }), 'No artists snoozed.');
+        html += '</div>';
+
+        html += '</div>';
+
+        container.innerHTML = html;
+    }
+
+    function renderSnoozeCountTable(rows, emptyText) {
+        if (rows.length === 0) {
+            return '<p style="color: #aaa;">' + emptyText + '</p>';
+        }
+
+        var html = '<table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">';
+        rows.forEach(function (row) {
+            html += '<tr style="border-bottom: 1px solid #333;">';
+            html += '<td style="padding: 0.4em 0;">' + SmartLists.escapeHtml(row.label) + '</td>';
+            html += '<td style="padding: 0.4em 0; text-align: right; color: #aaa;">' + row.count + '</td>';
+            html += '</tr>';
+        });
+        html += '</table>';
+        return html;
+    }
+
+    function getSnoozeTrackLabel(track) {
+        var label = track.TrackName || track.TrackId;
+        if (track.ArtistName) {
+            label += ' - ' + track.ArtistName;
+        }
+        return label;
+    }
+
+    // Adds a permanent global ignore, so the track is excluded from every smart playlist
+    function ignoreTrackPermanently(page, button) {
+        var trackId = button.getAttribute('data-track-id');
+        var count = button.getAttribute('data-count');
+        var apiClient = SmartLists.getApiClient();
+
+        button.disabled = true;
+
+        apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(USER_ENDPOINTS.globalIgnores),
+            contentType: 'application/json',
+            data: JSON.stringify({
+                TrackId: trackId,
+                DurationDays: 0,
+                Reason: 'Snoozed ' + count + ' times'
+            })
+        }).then(parseApiResponse).then(function () {
+            SmartLists.showNotification('Track ignored permanently in all playlists.', 'success');
+            loadSnoozeHistory(page);
+            refreshAllUserPlaylists(page);
+        }).catch(function (err) {
+            console.error('[SmartLists] Error ignoring track permanently:', err);
+            SmartLists.showNotification('Failed to ignore track: ' + err.message, 'error');
+            button.disabled = false;
+        });
+    }
+
     // ===== UTILITY FUNCTIONS =====
     function formatDuration(ticks) {
         var seconds = Math.floor(ticks / 10000000);
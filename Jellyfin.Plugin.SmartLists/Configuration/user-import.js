@@ -0,0 +1,178 @@
+/**
+ * Playlist file parsers for the wizard's import (M3U, XSPF, PLS).
+ * Kept free of DOM access so the Node tests can load them too.
+ */
+(function (SmartLists) {
+    'use strict';
+
+    // Turns a file:// URL or an escaped location into a plain path
+    function decodeImportLocation(location) {
+        var path = location.trim();
+        if (/^file:\/\//i.test(path)) {
+            path = path.replace(/^file:\/\/(localhost)?/i, '');
+            // file:///C:/Music -> C:/Music
+            if (/^\/[a-zA-Z]:/.test(path)) {
+                path = path.substring(1);
+            }
+        }
+        try {
+            return decodeURIComponent(path);
+        } catch (e) {
+            return path;
+        }
+    }
+
+    // Splits "Artist - Title" as written by most players
+    function splitArtistTitle(text) {
+        var index = text.indexOf(' - ');
+        if (index === -1) {
+            return { Artist: null, Title: text.trim() };
+        }
+        return { Artist: text.substring(0, index).trim(), Title: text.substring(index + 3).trim() };
+    }
+
+    // Fills in artist/title from the file name when the playlist has no display title
+    function applyImportFileName(entry) {
+        if (entry.Title || !entry.Path) return;
+        var fileName = entry.Path.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+        var parsed = splitArtistTitle(fileName.replace(/^\d+[\s.\-_]+/, ''));
+        entry.Artist = entry.Artist || parsed.Artist;
+        entry.Title = parsed.Title;
+    }
+
+    function parseM3u(text) {
+        var entries = [];
+        var pending = null;
+        text.split(/\r?\n/).forEach(function (rawLine, index) {
+            var line = rawLine.trim();
+            if (!line) return;
+
+            if (line.indexOf('#EXTINF:') === 0) {
+                var info = line.substring(8);
+                var commaIndex = info.indexOf(',');
+                var duration = parseInt(info, 10);
+                var display = commaIndex === -1 ? '' : info.substring(commaIndex + 1);
+                var parsed = splitArtistTitle(display);
+                pending = {
+                    Artist: parsed.Artist,
+                    Title: parsed.Title || null,
+                    DurationSeconds: duration > 0 ? duration : null
+                };
+                return;
+            }
+            if (line.charAt(0) === '#') return;
+
+            var entry = pending || { Artist: null, Title: null, DurationSeconds: null };
+            entry.Path = decodeImportLocation(line);
+            entry.Label = 'Line ' + (index + 1);
+            entry.Text = line;
+            applyImportFileName(entry);
+            entries.push(entry);
+            pending = null;
+        });
+        return entries;
+    }
+
+    var XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+    // Text content of an XML fragment: tags dropped, entities decoded, CDATA kept as written
+    function getXmlText(xml) {
+        return xml.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map(function (part) {
+            var cdata = part.match(/^<!\[CDATA\[([\s\S]*)\]\]>$/);
+            if (cdata) {
+                return cdata[1];
+            }
+            return part.replace(/<[^>]*>/g, '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function (entity, name) {
+                if (name.charAt(0) === '#') {
+                    var code = name.charAt(1).toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+                    return String.fromCodePoint(code);
+                }
+                return Object.prototype.hasOwnProperty.call(XML_ENTITIES, name) ? XML_ENTITIES[name] : entity;
+            });
+        }).join('').trim();
+    }
+
+    function getXmlChildText(xml, name) {
+        var match = xml.match(new RegExp('<' + name + '(?:\\s[^>]*)?>([\\s\\S]*?)</' + name + '\\s*>'));
+        var text = match ? getXmlText(match[1]) : '';
+        return text || null;
+    }
+
+    function parseXspf(text) {
+        if (!/<playlist[\s>]/.test(text) || !/<\/playlist\s*>/.test(text)) {
+            throw new Error('The XSPF file is not valid XML');
+        }
+
+        // Comments may contain commented-out tracks
+        var xml = text.replace(/<!--[\s\S]*?-->/g, '');
+        var trackPattern = /<track(?:\s[^>]*)?>([\s\S]*?)<\/track\s*>/g;
+        var entries = [];
+        var match;
+        while ((match = trackPattern.exec(xml)) !== null) {
+            var location = getXmlChildText(match[1], 'location');
+            var durationMs = parseInt(getXmlChildText(match[1], 'duration'), 10);
+            var entry = {
+                Path: location ? decodeImportLocation(location) : null,
+                Artist: getXmlChildText(match[1], 'creator'),
+                Title: getXmlChildText(match[1], 'title'),
+                DurationSeconds: durationMs > 0 ? Math.round(durationMs / 1000) : null,
+                Label: 'Track ' + (entries.length + 1)
+            };
+            applyImportFileName(entry);
+            entry.Text = [entry.Artist, entry.Title].filter(Boolean).join(' - ') || location || '';
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    function parsePls(text) {
+        var tracks = {};
+        text.split(/\r?\n/).forEach(function (rawLine) {
+            var match = rawLine.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+            if (!match) return;
+            var number = parseInt(match[2], 10);
+            var track = tracks[number] || (tracks[number] = { Number: number });
+            track[match[1].toLowerCase()] = match[3].trim();
+        });
+
+        return Object.keys(tracks).map(function (key) {
+            return tracks[key];
+        }).sort(function (a, b) {
+            return a.Number - b.Number;
+        }).filter(function (track) {
+            return track.file;
+        }).map(function (track) {
+            var parsed = track.title ? splitArtistTitle(track.title) : { Artist: null, Title: null };
+            var length = parseInt(track.length, 10);
+            var entry = {
+                Path: decodeImportLocation(track.file),
+                Artist: parsed.Artist,
+                Title: parsed.Title,
+                DurationSeconds: length > 0 ? length : null,
+                Label: 'File' + track.Number,
+                Text: track.file
+            };
+            applyImportFileName(entry);
+            return entry;
+        });
+    }
+
+    // Picks the parser by extension, falling back to the file's contents
+    SmartLists.parsePlaylistFile = function (fileName, text) {
+        var extension = (fileName.split('.').pop() || '').toLowerCase();
+        var trimmed = text.replace(/^\uFEFF/, '').trim();
+        if (extension === 'xspf' || trimmed.indexOf('<?xml') === 0 || trimmed.indexOf('<playlist') === 0) {
+            return parseXspf(trimmed);
+        }
+        if (extension === 'pls' || /^\[playlist\]/i.test(trimmed)) {
+            return parsePls(trimmed);
+        }
+        // Keep leading blank lines so reported line numbers match the file
+        return parseM3u(text.replace(/^\uFEFF/, ''));
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SmartLists;
+    }
+
+})(typeof window !== 'undefined' ? (window.SmartLists = window.SmartLists || {}) : {});
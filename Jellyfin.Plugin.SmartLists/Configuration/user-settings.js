@@ -4,36 +4,123 @@
     var USER_ENDPOINTS = {
         base: 'Plugins/SmartLists/User',
         export: 'Plugins/SmartLists/User/Export',
-        import: 'Plugins/SmartLists/User/Import'
+        import: 'Plugins/SmartLists/User/Import',
+        settings: 'Plugins/SmartLists/User/settings'
     };
 
+    // Legacy localStorage key, only read for the one-time migration to server-side settings
     var STORAGE_KEY = 'smartlists_user_settings';
+    var DEFAULT_SHORTCUT = 'Shift+S';
 
-    function getSettings() {
+    // Build a shortcut string like 'Ctrl+Shift+S' from a keydown event. The stored string is compared
+    // as-is by formatShortcut in Services/Shared/ClientScriptInjector.cs, which defines the format;
+    // keep both copies identical.
+    function formatShortcut(e) {
+        var key = e.key;
+        if (!key || key === 'Control' || key === 'Shift' || key === 'Alt' || key === 'Meta') {
+            return null;
+        }
+        if (e.code && /^Key[A-Z]$/.test(e.code)) {
+            key = e.code.substring(3);
+        } else if (e.code && /^Digit[0-9]$/.test(e.code)) {
+            key = e.code.substring(5);
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+        var parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        if (e.metaKey) parts.push('Meta');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    function parseApiResponse(response) {
+        if (response && typeof response.ok !== 'undefined') {
+            // This is a fetch Response object
+            if (!response.ok) {
+                throw new Error('API request failed: ' + response.status + ' ' + response.statusText);
+            }
+            return response.json();
+        }
+        // Direct data (from window.ApiClient)
+        return Promise.resolve(response);
+    }
+
+    // Settings from before they were stored server-side
+    function getLegacySettings() {
         try {
             var stored = localStorage.getItem(STORAGE_KEY);
             if (stored) {
                 return JSON.parse(stored);
             }
         } catch (e) {
-            console.error('[SmartLists Settings] Error reading settings:', e);
+            console.error('[SmartLists Settings] Error reading legacy settings:', e);
         }
-        return { defaultIgnoreDays: 30 };
+        return null;
+    }
+
+    function getSettings() {
+        var apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(USER_ENDPOINTS.settings),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (settings) {
+            return {
+                defaultIgnoreDays: typeof settings.DefaultIgnoreDays === 'number' ? settings.DefaultIgnoreDays : 30,
+                ignoreShortcut: typeof settings.IgnoreShortcut === 'string' ? settings.IgnoreShortcut : DEFAULT_SHORTCUT,
+                lastModified: settings.LastModified || null
+            };
+        });
     }
 
     function saveSettings(settings) {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
-            return true;
-        } catch (e) {
-            console.error('[SmartLists Settings] Error saving settings:', e);
-            return false;
+        var apiClient = SmartLists.getApiClient();
+        var data = {};
+        if (typeof settings.defaultIgnoreDays === 'number') data.DefaultIgnoreDays = settings.defaultIgnoreDays;
+        if (typeof settings.ignoreShortcut === 'string') data.IgnoreShortcut = settings.ignoreShortcut;
+
+        return apiClient.ajax({
+            type: 'PUT',
+            url: apiClient.getUrl(USER_ENDPOINTS.settings),
+            contentType: 'application/json',
+            data: JSON.stringify(data)
+        }).then(parseApiResponse);
+    }
+
+    // One-time migration: move settings saved in this browser to the server.
+    // Local values are only uploaded if the user has never saved settings server-side.
+    function migrateLegacySettings() {
+        var legacy = getLegacySettings();
+        if (!legacy) {
+            return Promise.resolve();
         }
+
+        return getSettings().then(function (settings) {
+            if (settings.lastModified) {
+                return null;
+            }
+            return saveSettings(legacy);
+        }).then(function () {
+            localStorage.removeItem(STORAGE_KEY);
+        }).catch(function (err) {
+            console.error('[SmartLists Settings] Error migrating legacy settings:', err);
+        });
     }
 
     function loadSettings(page) {
-        var settings = getSettings();
-        var savedValue = String(settings.defaultIgnoreDays || 30);
+        return migrateLegacySettings().then(getSettings).then(function (settings) {
+            applySettingsToForm(page, settings);
+        }).catch(function (err) {
+            console.error('[SmartLists Settings] Error loading settings:', err);
+            SmartLists.showNotification('Failed to load settings.', 'error');
+        });
+    }
+
+    function applySettingsToForm(page, settings) {
+        var savedValue = String(settings.defaultIgnoreDays);
 
         var setSelectValue = function() {
             var select = page.querySelector('#defaultIgnorePeriod');
@@ -52,20 +139,29 @@
         // Set immediately and after a short delay (for Jellyfin's custom component)
         setSelectValue();
         setTimeout(setSelectValue, 100);
+
+        var shortcutInput = page.querySelector('#ignoreShortcut');
+        if (shortcutInput) {
+            shortcutInput.value = settings.ignoreShortcut;
+        }
     }
 
     function saveSettingsFromForm(page) {
         var select = page.querySelector('#defaultIgnorePeriod');
         var days = select ? parseInt(select.value, 10) : 30;
+        var shortcutInput = page.querySelector('#ignoreShortcut');
 
-        var settings = getSettings();
-        settings.defaultIgnoreDays = days;
+        var settings = { defaultIgnoreDays: days };
+        if (shortcutInput) {
+            settings.ignoreShortcut = shortcutInput.value;
+        }
 
-        if (saveSettings(settings)) {
+        saveSettings(settings).then(function () {
             SmartLists.showNotification('Settings saved!', 'success');
-        } else {
+        }).catch(function (err) {
+            console.error('[SmartLists Settings] Error saving settings:', err);
             SmartLists.showNotification('Failed to save settings.', 'error');
-        }
+        });
     }
 
     function exportUserPlaylists() {
@@ -156,6 +252,31 @@
             });
         }
 
+        // Shortcut recorder: the next key combination pressed in the field becomes the shortcut
+        var shortcutInput = page.querySelector('#ignoreShortcut');
+        if (shortcutInput) {
+            shortcutInput.addEventListener('keydown', function (e) {
+                if (e.key === 'Tab') return;
+                e.preventDefault();
+                e.stopPropagation();
+                if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey) {
+                    shortcutInput.value = '';
+                    return;
+                }
+                var shortcut = formatShortcut(e);
+                if (shortcut) {
+                    shortcutInput.value = shortcut;
+                }
+            });
+        }
+
+        var clearShortcutBtn = page.querySelector('#clearShortcutBtn');
+        if (clearShortcutBtn && shortcutInput) {
+            clearShortcutBtn.addEventListener('click', function () {
+                shortcutInput.value = '';
+            });
+        }
+
         // Export button
         var exportBtn = page.querySelector('#exportPlaylistsBtn');
         if (exportBtn) {
@@ -207,7 +328,7 @@
         setTimeout(tryInit, 500);
     })();
 
-    // Expose getSettings globally for context menu to use
+    // Expose settings helpers globally (both return promises)
     window.SmartListsUserSettings = {
         getSettings: getSettings,
         saveSettings: saveSettings
@@ -13,7 +13,12 @@
         playlists: 'Plugins/SmartLists/User/playlists',
         fields: 'Plugins/SmartLists/User/fields',
         browse: 'Plugins/SmartLists/User/browse',
-        search: 'Plugins/SmartLists/User/search'
+        search: 'Plugins/SmartLists/User/search',
+        settings: 'Plugins/SmartLists/User/settings',
+        checkIgnored: 'Plugins/SmartLists/User/ignores/check',
+        importMatch: 'Plugins/SmartLists/User/import/match',
+        drafts: 'Plugins/SmartLists/User/drafts',
+        libraries: 'Plugins/SmartLists/User/libraries'
     };
 
     // Media types for user playlists
@@ -38,7 +43,9 @@
         previewItems: [], // Items to include in playlist
         expressionSets: null, // Rules if any
         editPlaylistId: null, // For editing existing playlist
-        isEditMode: false // True when adding media to existing playlist
+        isEditMode: false, // True when adding media to existing playlist
+        droppedDuplicateIds: [], // Versions removed by "Keep One Per Group", ignored when saving
+        draftId: null // Server-side draft this wizard session saves to
     };
 
     // ===== STANDALONE API CLIENT =====
@@ -122,6 +129,32 @@
         return Promise.resolve(response);
     }
 
+    // ===== USER SETTINGS =====
+    // Pre-fill the default ignore duration from the user's global setting
+    function loadDefaultIgnoreDays(page) {
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(USER_ENDPOINTS.settings),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (settings) {
+            var input = page.querySelector('#wizardDefaultIgnoreDays');
+            if (input && !input._userChanged && typeof settings.DefaultIgnoreDays === 'number') {
+                input.value = settings.DefaultIgnoreDays;
+            }
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Error loading user settings:', err);
+        });
+    }
+
+    function getWizardIgnoreDays(page) {
+        var input = page.querySelector('#wizardDefaultIgnoreDays');
+        var days = input ? parseInt(input.value, 10) : NaN;
+        return isNaN(days) || days < 0 ? 30 : days;
+    }
+
     // ===== INITIALIZATION =====
     SmartLists.initWizardPage = function (page) {
         if (DEBUG_MODE) {
@@ -133,6 +166,9 @@
         }
         page._wizardInitialized = true;
 
+        // Preview items can be dragged into order, so offer the "Manual" sort
+        page._supportsManualOrder = true;
+
         // Parse URL parameters
         parseWizardParams();
 
@@ -168,8 +204,12 @@
                 SmartLists.addSortBox(page, { SortBy: 'Name', SortOrder: 'Ascending' }, '#wizard-sorts-container');
             }
 
+            // A resumed draft already holds the preview, so don't reload it from the playlist
+            if (wizardState.draftId) {
+                loadDraft(page);
+            }
             // If in edit mode, load existing playlist data
-            if (wizardState.isEditMode && wizardState.editPlaylistId) {
+            else if (wizardState.isEditMode && wizardState.editPlaylistId) {
                 console.log('[SmartLists Wizard] Edit mode - loading existing playlist data...');
                 loadExistingPlaylistData(page);
             }
@@ -182,6 +222,11 @@
             }
         });
 
+        // Default ignore duration only applies to new playlists
+        if (!wizardState.isEditMode) {
+            loadDefaultIgnoreDays(page);
+        }
+
         // Setup event listeners
         setupWizardEventListeners(page);
 
@@ -215,6 +260,7 @@
         // Edit mode parameters
         wizardState.editPlaylistId = params.get('editId') || null;
         wizardState.isEditMode = !!wizardState.editPlaylistId;
+        wizardState.draftId = params.get('draftId') || null;
         var startStep = parseInt(params.get('startStep'), 10);
         if (startStep && startStep >= 1 && startStep <= wizardState.totalSteps) {
             wizardState.currentStep = startStep;
@@ -338,6 +384,11 @@
             prevBtn.style.display = 'none';
         }
 
+        // Media types may have changed on step 1, so refresh the live rules preview
+        if (wizardState.currentStep === 2) {
+            scheduleRulesPreview(page);
+        }
+
         // If on step 3, update summary and initialize public checkbox
         if (wizardState.currentStep === 3) {
             var publicCheckbox = page.querySelector('#wizardIsPublic');
@@ -360,6 +411,7 @@
 
         wizardState.currentStep++;
         updateStepDisplay(page);
+        saveDraft(page);
     }
 
     function goToPrevStep(page) {
@@ -367,8 +419,15 @@
             return;
         }
 
+        // Keep the public choice made on the last step
+        var publicCheckbox = page.querySelector('#wizardIsPublic');
+        if (publicCheckbox && wizardState.currentStep === wizardState.totalSteps) {
+            wizardState.isPublic = publicCheckbox.checked;
+        }
+
         wizardState.currentStep--;
         updateStepDisplay(page);
+        saveDraft(page);
     }
 
     function validateStep(page, step) {
@@ -393,6 +452,7 @@
         var itemsEl = page.querySelector('#summary-items');
         var durationEl = page.querySelector('#summary-duration');
         var visibilityEl = page.querySelector('#summary-visibility');
+        var ignoreDurationEl = page.querySelector('#summary-ignore-duration');
 
         if (nameEl) nameEl.textContent = wizardState.playlistName;
         if (typeEl) {
@@ -441,6 +501,15 @@
             visibilityEl.textContent = isPublic ? 'Public' : 'Private';
         }
 
+        var ignoreDurationRow = page.querySelector('#summary-ignore-duration-row');
+        var ignoreDurationContainer = page.querySelector('#wizardIgnoreDurationContainer');
+        if (ignoreDurationRow) ignoreDurationRow.style.display = wizardState.isEditMode ? 'none' : '';
+        if (ignoreDurationContainer) ignoreDurationContainer.style.display = wizardState.isEditMode ? 'none' : '';
+        if (ignoreDurationEl) {
+            var ignoreDays = getWizardIgnoreDays(page);
+            ignoreDurationEl.textContent = ignoreDays === 0 ? 'Permanent' : ignoreDays + (ignoreDays === 1 ? ' day' : ' days');
+        }
+
         // Render final preview
         renderFinalPreview(page);
     }
@@ -467,7 +536,8 @@
         var html = '';
         wizardState.previewItems.forEach(function (item) {
             html += '<tr>';
-            html += '<td>' + SmartLists.escapeHtml(item.Name || '--') + '</td>';
+            html += '<td>' + SmartLists.escapeHtml(item.Name || '--') +
+                (item.pinned ? '<span class="item-source-badge badge-pinned">pinned</span>' : '') + '</td>';
             html += '<td style="color: #aaa;">' + SmartLists.escapeHtml(item.Artist || '--') + '</td>';
             html += '<td style="color: #aaa;">' + SmartLists.escapeHtml(item.Album || '--') + '</td>';
             html += '<td style="color: #888;">' + (item.RuntimeTicks ? formatDuration(item.RuntimeTicks) : '--:--') + '</td>';
@@ -518,19 +588,34 @@
             countEl.textContent = '(' + wizardState.previewItems.length + ' items)';
         }
 
+        // Every change to the preview list ends up here
+        scheduleDraftSave(page);
+
         if (!tbody) return;
 
         if (wizardState.previewItems.length === 0) {
             tbody.innerHTML = '<tr class="empty-preview-row"><td colspan="6" style="text-align: center; color: #666; padding: 2em;">No items added yet. Use rules, browse, or search to add items.</td></tr>';
+            renderPreviewDuplicates(page);
             return;
         }
 
+        var duplicateCounts = renderPreviewDuplicates(page);
+
         var html = '';
         wizardState.previewItems.forEach(function (item, index) {
             var badgeClass = 'badge-' + (item.source || 'browse');
-            html += '<tr data-preview-index="' + index + '">';
-            html += '<td><input type="checkbox" class="preview-item-checkbox" data-index="' + index + '"></td>';
-            html += '<td>' + SmartLists.escapeHtml(item.Name || '--') + '</td>';
+            html += '<tr data-preview-index="' + index + '" draggable="true">';
+            html += '<td style="white-space: nowrap;"><span class="preview-drag-handle" title="Drag to reorder">&#8942;&#8942;</span>';
+            html += '<input type="checkbox" class="preview-item-checkbox" data-index="' + index + '"></td>';
+            html += '<td><button type="button" class="preview-pin-btn' + (item.pinned ? ' pinned' : '') + '" data-index="' + index + '" title="' + (item.pinned ? 'Unpin' : 'Pin - always include this item') + '">&#128204;</button>';
+            html += SmartLists.escapeHtml(item.Name || '--');
+            if (item.pinned) {
+                html += '<span class="item-source-badge badge-pinned">pinned</span>';
+            }
+            if (duplicateCounts[item.Id]) {
+                html += '<span class="item-source-badge badge-duplicate" title="' + duplicateCounts[item.Id] + ' versions of this song are in the preview">duplicate</span>';
+            }
+            html += '</td>';
             html += '<td style="color: #aaa;">' + SmartLists.escapeHtml(item.Artist || '--') + '</td>';
             html += '<td style="color: #aaa;">' + SmartLists.escapeHtml(item.Album || '--') + '</td>';
             html += '<td style="color: #888;">' + (item.RuntimeTicks ? formatDuration(item.RuntimeTicks) : '--:--') + '</td>';
@@ -540,6 +625,158 @@
         tbody.innerHTML = html;
     }
 
+    // ===== DUPLICATES =====
+    // Shows the duplicate bar and returns the group size per item ID for the row badges
+    function renderPreviewDuplicates(page) {
+        var groups = SmartLists.findDuplicateGroups(wizardState.previewItems);
+        var bar = page.querySelector('#preview-duplicates');
+        var counts = {};
+
+        groups.forEach(function (group) {
+            group.forEach(function (item) {
+                counts[item.Id] = group.length;
+            });
+        });
+
+        if (bar) {
+            bar.style.display = groups.length > 0 ? '' : 'none';
+            var extra = groups.reduce(function (total, group) { return total + group.length - 1; }, 0);
+            page.querySelector('#preview-duplicates-summary').textContent = '\u26A0 ' + groups.length + ' song' + (groups.length === 1 ? '' : 's') +
+                ' with more than one version (' + extra + ' extra)';
+            var preferenceSelect = page.querySelector('#duplicatePreference');
+            if (preferenceSelect && preferenceSelect.options.length === 0) {
+                preferenceSelect.innerHTML = SmartLists.generateDuplicatePreferenceOptions('original');
+            }
+        }
+
+        return counts;
+    }
+
+    // Removes all but the preferred version of each duplicate group. Pinned versions are always kept.
+    function keepOneDuplicatePerGroup(page) {
+        var groups = SmartLists.findDuplicateGroups(wizardState.previewItems);
+        if (groups.length === 0) return;
+
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        var preference = page.querySelector('#duplicatePreference').value;
+        var button = page.querySelector('#keepOneDuplicateBtn');
+        button.disabled = true;
+
+        var ids = [];
+        groups.forEach(function (group) {
+            group.forEach(function (item) { ids.push(item.Id); });
+        });
+
+        SmartLists.fetchDuplicateDetails(apiClient, ids).then(function (details) {
+            var removeIds = {};
+            groups.forEach(function (group) {
+                var pinned = group.filter(function (item) { return item.pinned; });
+                var keep = pinned.length > 0 ? pinned : [SmartLists.pickDuplicateToKeep(group, details, preference)];
+                group.forEach(function (item) {
+                    if (keep.indexOf(item) === -1) {
+                        removeIds[item.Id] = true;
+                    }
+                });
+            });
+
+            var before = wizardState.previewItems.length;
+            wizardState.previewItems = wizardState.previewItems.filter(function (item) {
+                return !removeIds[item.Id];
+            });
+            // Rules would add the dropped versions back on the first refresh, so they are ignored when the playlist is created
+            Object.keys(removeIds).forEach(function (id) {
+                if (wizardState.droppedDuplicateIds.indexOf(id) === -1) {
+                    wizardState.droppedDuplicateIds.push(id);
+                }
+            });
+            renderPreviewTable(page);
+            SmartLists.showNotification('Removed ' + (before - wizardState.previewItems.length) + ' extra versions. They will be ignored in the new playlist.', 'success');
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Error resolving duplicates:', err);
+            SmartLists.showNotification('Failed to check duplicate versions: ' + err.message, 'error');
+        }).then(function () {
+            button.disabled = false;
+        });
+    }
+
+    // Moves a preview item before or after another one; the order is kept by the Manual sort
+    function movePreviewItem(page, fromIndex, toIndex, placeAfter) {
+        if (fromIndex === toIndex || isNaN(fromIndex) || isNaN(toIndex)) return;
+
+        var moved = wizardState.previewItems.splice(fromIndex, 1)[0];
+        if (!moved) return;
+        // Removing the item shifts everything after it up by one
+        var insertIndex = toIndex > fromIndex ? toIndex - 1 : toIndex;
+        wizardState.previewItems.splice(placeAfter ? insertIndex + 1 : insertIndex, 0, moved);
+
+        renderPreviewTable(page);
+    }
+
+    function setupPreviewDragAndDrop(page) {
+        var tbody = page.querySelector('#preview-tbody');
+        if (!tbody) return;
+
+        // Pinned items are always included and can't be ignored
+        tbody.addEventListener('click', function (e) {
+            var pinBtn = e.target.closest('.preview-pin-btn');
+            if (!pinBtn) return;
+            var item = wizardState.previewItems[parseInt(pinBtn.getAttribute('data-index'), 10)];
+            if (item) {
+                item.pinned = !item.pinned;
+                renderPreviewTable(page);
+            }
+        });
+
+        var draggedIndex = null;
+        var clearDropIndicators = function () {
+            tbody.querySelectorAll('.drop-before, .drop-after').forEach(function (row) {
+                row.classList.remove('drop-before', 'drop-after');
+            });
+        };
+
+        tbody.addEventListener('dragstart', function (e) {
+            var row = e.target.closest && e.target.closest('tr[data-preview-index]');
+            if (!row) return;
+            draggedIndex = parseInt(row.getAttribute('data-preview-index'), 10);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(draggedIndex));
+            row.classList.add('dragging');
+        });
+
+        tbody.addEventListener('dragover', function (e) {
+            var row = e.target.closest('tr[data-preview-index]');
+            if (!row || draggedIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            var rect = row.getBoundingClientRect();
+            var dropClass = e.clientY > rect.top + rect.height / 2 ? 'drop-after' : 'drop-before';
+            if (!row.classList.contains(dropClass)) {
+                clearDropIndicators();
+                row.classList.add(dropClass);
+            }
+        });
+
+        tbody.addEventListener('drop', function (e) {
+            var row = e.target.closest('tr[data-preview-index]');
+            if (!row || draggedIndex === null) return;
+            e.preventDefault();
+            var placeAfter = row.classList.contains('drop-after');
+            var fromIndex = draggedIndex;
+            draggedIndex = null;
+            movePreviewItem(page, fromIndex, parseInt(row.getAttribute('data-preview-index'), 10), placeAfter);
+        });
+
+        tbody.addEventListener('dragend', function () {
+            draggedIndex = null;
+            clearDropIndicators();
+            tbody.querySelectorAll('.dragging').forEach(function (row) {
+                row.classList.remove('dragging');
+            });
+        });
+    }
+
     function removeSelectedFromPreview(page) {
         var checkboxes = page.querySelectorAll('.preview-item-checkbox:checked');
         var indicesToRemove = [];
@@ -771,6 +1008,140 @@
         });
     }
 
+    // ===== LIVE RULES PREVIEW =====
+    var LIVE_PREVIEW_LIMIT = 50;
+    var LIVE_PREVIEW_DELAY_MS = 600;
+    var livePreviewState = {
+        key: null, // Rules and media types of the last request, to skip identical requests
+        requestId: 0, // Drops responses that arrive after a newer request was sent
+        result: null
+    };
+
+    function scheduleRulesPreview(page) {
+        clearTimeout(page._rulesPreviewTimeout);
+        page._rulesPreviewTimeout = setTimeout(function () {
+            runRulesPreview(page);
+        }, LIVE_PREVIEW_DELAY_MS);
+    }
+
+    function runRulesPreview(page) {
+        var apiClient = SmartLists.getApiClient();
+        var summaryEl = page.querySelector('#rules-live-summary');
+        if (!apiClient || !summaryEl) return;
+
+        var expressionSets = SmartLists.collectRulesFromForm ? SmartLists.collectRulesFromForm(page, '#wizard-rules-container') : [];
+        var mediaTypes = getSelectedMediaTypes(page);
+        if (mediaTypes.length === 0) {
+            mediaTypes = wizardState.selectedMediaTypes;
+        }
+
+        if (!expressionSets || expressionSets.length === 0 || mediaTypes.length === 0) {
+            livePreviewState.key = null;
+            livePreviewState.result = null;
+            livePreviewState.requestId++;
+            summaryEl.textContent = 'Add a rule to see what it matches.';
+            renderRulesPreviewWarnings(page);
+            page.querySelector('#rules-live-list').innerHTML = '';
+            return;
+        }
+
+        var requestData = {
+            MediaTypes: mediaTypes,
+            ExpressionSets: expressionSets,
+            Limit: LIVE_PREVIEW_LIMIT
+        };
+        var key = JSON.stringify(requestData);
+        if (key === livePreviewState.key) {
+            return;
+        }
+        livePreviewState.key = key;
+
+        var requestId = ++livePreviewState.requestId;
+        summaryEl.textContent = 'Counting matches...';
+
+        apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(USER_ENDPOINTS.base + '/preview-rules'),
+            contentType: 'application/json',
+            data: JSON.stringify(requestData)
+        }).then(parseApiResponse).then(function (result) {
+            if (requestId !== livePreviewState.requestId) return;
+            livePreviewState.result = result;
+            renderRulesPreview(page);
+        }).catch(function (err) {
+            if (requestId !== livePreviewState.requestId) return;
+            console.error('[SmartLists Wizard] Live rules preview failed:', err);
+            // Allow the same rules to be retried on the next change
+            livePreviewState.key = null;
+            livePreviewState.result = null;
+            summaryEl.textContent = 'Could not preview these rules.';
+            renderRulesPreviewWarnings(page);
+            page.querySelector('#rules-live-list').innerHTML = '';
+        });
+    }
+
+    function renderRulesPreview(page) {
+        var result = livePreviewState.result;
+        var items = result.Items || [];
+        var summaryEl = page.querySelector('#rules-live-summary');
+        var listEl = page.querySelector('#rules-live-list');
+
+        var summary = '<strong style="color: #fff;">' + result.TotalMatching + '</strong> matching item' + (result.TotalMatching === 1 ? '' : 's') +
+            ', <strong style="color: #fff;">' + formatDurationMinutes(result.TotalRuntimeTicks || 0) + '</strong> total';
+        if (result.LimitApplied) {
+            summary += ' <span style="color: #888;">(showing the first ' + items.length + ')</span>';
+        }
+        summaryEl.innerHTML = summary;
+
+        renderRulesPreviewWarnings(page);
+
+        if (items.length === 0) {
+            listEl.innerHTML = '';
+            return;
+        }
+
+        var html = '<div class="rules-live-list"><table class="preview-table"><tbody>';
+        items.forEach(function (item) {
+            html += '<tr>';
+            html += '<td>' + SmartLists.escapeHtml(item.Name) + '</td>';
+            html += '<td style="color: #888;">' + SmartLists.escapeHtml(item.Artist || '') + '</td>';
+            html += '<td style="color: #888;">' + (item.RuntimeTicks ? formatDuration(item.RuntimeTicks) : '--:--') + '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table></div>';
+        listEl.innerHTML = html;
+    }
+
+    // Warns when the playlist limits would drop some of the matching items
+    function renderRulesPreviewWarnings(page) {
+        var warningsEl = page.querySelector('#rules-live-warnings');
+        if (!warningsEl) return;
+
+        var result = livePreviewState.result;
+        if (!result) {
+            warningsEl.innerHTML = '';
+            return;
+        }
+
+        var maxItems = parseInt(page.querySelector('#wizardMaxItems').value, 10) || 0;
+        var maxMinutes = parseInt(page.querySelector('#wizardMaxPlaytime').value, 10) || 0;
+        var warnings = [];
+
+        if (maxItems > 0 && result.TotalMatching > maxItems) {
+            warnings.push('Max Items is ' + maxItems + ', so ' + (result.TotalMatching - maxItems) + ' of the matching items will be left out.');
+        }
+
+        var totalMinutes = (result.TotalRuntimeTicks || 0) / 10000000 / 60;
+        if (maxMinutes > 0 && totalMinutes > maxMinutes) {
+            warnings.push('Max Playtime is ' + maxMinutes + ' minutes, but the matches run ' +
+                formatDurationMinutes(result.TotalRuntimeTicks) + ', so the list will be cut.');
+        }
+
+        warningsEl.innerHTML = warnings.map(function (warning) {
+            return '<div class="rules-live-warning">&#9888; ' + SmartLists.escapeHtml(warning) + '</div>';
+        }).join('');
+    }
+
     // ===== BROWSE =====
     // Browse pagination state
     var browseState = {
@@ -1046,103 +1417,620 @@
         checkboxes.forEach(function (cb) { cb.checked = false; });
     }
 
-    // ===== SEARCH =====
-    function performSearch(page) {
-        var searchInput = page.querySelector('#searchInput');
-        var searchTerm = searchInput ? searchInput.value.trim() : '';
+    // ===== FOLDER TREE =====
+    // Libraries are the roots; children are loaded lazily when a node is expanded
+    var folderTreeState = {
+        loaded: false,
+        folders: {} // folderId -> { Id, Name }
+    };
 
-        if (!searchTerm) {
-            SmartLists.showNotification('Please enter a search term.', 'warning');
-            return;
-        }
+    function loadFolderTree(page) {
+        var apiClient = SmartLists.getApiClient();
+        var container = page.querySelector('#browse-folder-tree');
+        if (!apiClient || !container) return;
+
+        container.innerHTML = '<div class="loading-indicator">Loading libraries...</div>';
+
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(USER_ENDPOINTS.libraries),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (libraries) {
+            folderTreeState.loaded = true;
+            if (!libraries || libraries.length === 0) {
+                container.innerHTML = '<div class="empty-state">No libraries available</div>';
+                return;
+            }
+            container.innerHTML = renderFolderNodes(libraries);
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Error loading libraries:', err);
+            container.innerHTML = '<div class="empty-state" style="color: #f44336;">Error loading libraries</div>';
+        });
+    }
+
+    function renderFolderNodes(folders) {
+        var html = '';
+        folders.forEach(function (folder) {
+            folderTreeState.folders[folder.Id] = { Id: folder.Id, Name: folder.Name };
+            html += '<div class="folder-node" data-folder-id="' + SmartLists.escapeHtmlAttribute(folder.Id) + '">';
+            html += '<div class="folder-node-row">';
+            html += '<button type="button" class="folder-toggle-btn" title="Expand">&#9656;</button>';
+            html += '<span class="folder-node-name" title="Show items in this folder">' + SmartLists.escapeHtml(folder.Name) + '</span>';
+            html += '<button type="button" class="emby-button raised folder-add-btn" title="Add everything in this folder and its subfolders">Add All</button>';
+            html += '</div>';
+            html += '<div class="folder-node-children" style="display: none;"></div>';
+            html += '</div>';
+        });
+        return html;
+    }
+
+    function toggleFolderNode(page, node) {
+        var children = node.querySelector('.folder-node-children');
+        var toggleBtn = node.querySelector('.folder-toggle-btn');
+        var expanded = children.style.display !== 'none';
+
+        children.style.display = expanded ? 'none' : 'block';
+        toggleBtn.innerHTML = expanded ? '&#9656;' : '&#9662;';
+        toggleBtn.title = expanded ? 'Expand' : 'Collapse';
+
+        if (expanded || node._childrenLoaded) return;
 
         var apiClient = SmartLists.getApiClient();
         if (!apiClient) return;
 
-        var resultsContainer = page.querySelector('#search-results');
-        resultsContainer.innerHTML = '<div class="loading-indicator">Searching...</div>';
+        children.innerHTML = '<div class="loading-indicator">Loading...</div>';
 
         var params = new URLSearchParams();
         params.set('UserId', apiClient.getCurrentUserId());
-        params.set('SearchTerm', searchTerm);
-        params.set('IncludeItemTypes', wizardState.selectedMediaTypes.join(','));
-        params.set('Recursive', 'true');
-        params.set('Fields', 'MediaSources');
-        params.set('Limit', '100');
-
-        var url = apiClient.getUrl('Items') + '?' + params.toString();
+        params.set('ParentId', node.getAttribute('data-folder-id'));
+        params.set('IsFolder', 'true');
+        params.set('SortBy', 'SortName');
 
         apiClient.ajax({
             type: 'GET',
-            url: url,
+            url: apiClient.getUrl('Items') + '?' + params.toString(),
             contentType: 'application/json'
         }).then(parseApiResponse).then(function (result) {
-            renderSearchResults(resultsContainer, result.Items || []);
+            node._childrenLoaded = true;
+            var folders = result.Items || [];
+            children.innerHTML = folders.length > 0
+                ? renderFolderNodes(folders)
+                : '<div class="folder-node-empty">No subfolders</div>';
         }).catch(function (err) {
-            console.error('[SmartLists Wizard] Search error:', err);
-            resultsContainer.innerHTML = '<div class="empty-state" style="color: #f44336;">Error searching</div>';
+            console.error('[SmartLists Wizard] Error loading folder:', err);
+            children.innerHTML = '<div class="folder-node-empty" style="color: #f44336;">Error loading folder</div>';
         });
     }
 
-    function renderSearchResults(container, items) {
-        // Filter out items already in preview (normalize GUIDs for comparison)
-        var previewIds = wizardState.previewItems.map(function (p) { return normalizeGuid(p.Id); });
-        var filteredItems = items.filter(function (item) {
-            return previewIds.indexOf(normalizeGuid(item.Id)) === -1;
+    function renderFolderMediaTypeOptions(page) {
+        var select = page.querySelector('#folderTreeMediaType');
+        if (!select) return;
+
+        var current = select.value;
+        var html = '<option value="">All Selected Types</option>';
+        USER_MEDIA_TYPES.forEach(function (mediaType) {
+            if (wizardState.selectedMediaTypes.indexOf(mediaType.Value) !== -1) {
+                html += '<option value="' + SmartLists.escapeHtmlAttribute(mediaType.Value) + '">' + SmartLists.escapeHtml(mediaType.Label) + '</option>';
+            }
         });
+        select.innerHTML = html;
+        if (current && wizardState.selectedMediaTypes.indexOf(current) !== -1) {
+            select.value = current;
+        }
+    }
 
-        if (filteredItems.length === 0) {
-            var msg = items.length > 0
-                ? 'All matching items are already in the playlist'
-                : 'No results found';
-            container.innerHTML = '<div class="empty-state"><div class="empty-state-icon">&#128528;</div><div>' + msg + '</div></div>';
-            return;
+    function getFolderTreeMediaTypes(page) {
+        var select = page.querySelector('#folderTreeMediaType');
+        var mediaType = select ? select.value : '';
+        return mediaType ? [mediaType] : wizardState.selectedMediaTypes;
+    }
+
+    var FOLDER_ITEMS_PAGE_SIZE = 1000;
+
+    // Fetches every item of the chosen media types below a folder, at any depth
+    function fetchFolderItems(page, folderId) {
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return Promise.reject(new Error('API client not available'));
+
+        var params = new URLSearchParams();
+        params.set('UserId', apiClient.getCurrentUserId());
+        params.set('ParentId', folderId);
+        params.set('Recursive', 'true');
+        params.set('IncludeItemTypes', getFolderTreeMediaTypes(page).join(','));
+        params.set('SortBy', 'SortName');
+        params.set('Fields', 'MediaSources');
+        params.set('Limit', String(FOLDER_ITEMS_PAGE_SIZE));
+        params.set('EnableTotalRecordCount', 'true');
+
+        // Large folders are read a page at a time until TotalRecordCount is reached, so nothing is cut off
+        var items = [];
+        function fetchPage() {
+            params.set('StartIndex', String(items.length));
+            return apiClient.ajax({
+                type: 'GET',
+                url: apiClient.getUrl('Items') + '?' + params.toString(),
+                contentType: 'application/json'
+            }).then(parseApiResponse).then(function (result) {
+                var pageItems = result.Items || [];
+                items = items.concat(pageItems);
+                var total = typeof result.TotalRecordCount === 'number' ? result.TotalRecordCount : items.length;
+                if (pageItems.length === 0 || items.length >= total) {
+                    return items;
+                }
+                return fetchPage();
+            });
         }
+        return fetchPage();
+    }
 
-        var html = '';
-        filteredItems.forEach(function (item) {
-            var artist = item.AlbumArtist || (item.ArtistItems && item.ArtistItems.length > 0 ? item.ArtistItems[0].Name : '--');
-            html += '<div class="browse-item" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '">';
-            html += '<input type="checkbox" class="search-item-checkbox">';
-            html += '<div class="browse-item-info">';
-            html += '<div class="browse-item-name">' + SmartLists.escapeHtml(item.Name) + '</div>';
-            html += '<div class="browse-item-meta">' + SmartLists.escapeHtml(artist);
-            if (item.Album) {
-                html += ' - ' + SmartLists.escapeHtml(item.Album);
+    function showFolderItems(page, folderId) {
+        var resultsContainer = page.querySelector('#browse-results');
+        var folder = folderTreeState.folders[folderId];
+        resultsContainer.innerHTML = '<div class="loading-indicator">Loading items...</div>';
+
+        browseState.currentPage = 0;
+        browseState.isLoadAll = true;
+        browseState.allItems = [];
+
+        fetchFolderItems(page, folderId).then(function (items) {
+            browseState.allItems = items;
+            browseState.totalItems = items.length;
+            renderBrowseResultsPage(page, resultsContainer);
+            updateBrowsePagination(page);
+            if (folder) {
+                SmartLists.showNotification('Loaded ' + items.length + ' items from "' + folder.Name + '".', 'info');
             }
-            html += '</div>';
-            html += '</div>';
-            html += '</div>';
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Folder items error:', err);
+            resultsContainer.innerHTML = '<div class="empty-state" style="color: #f44336;">Error loading items</div>';
         });
-        container.innerHTML = html;
-
-        // Store filtered items data for later
-        container._items = filteredItems;
     }
 
-    function addSelectedSearchItems(page) {
-        var container = page.querySelector('#search-results');
-        var checkboxes = container.querySelectorAll('.search-item-checkbox:checked');
-        var items = container._items || [];
+    function addFolderSubtree(page, folderId, button) {
+        var folder = folderTreeState.folders[folderId];
+        var folderName = folder ? folder.Name : 'folder';
+        if (button) button.disabled = true;
 
-        var selectedItems = [];
-        checkboxes.forEach(function (cb) {
-            var itemEl = cb.closest('.browse-item');
-            var itemId = itemEl.getAttribute('data-item-id');
-            var item = items.find(function (i) { return i.Id === itemId; });
-            if (item) {
-                selectedItems.push({
+        fetchFolderItems(page, folderId).then(function (items) {
+            // A lookup keeps this fast for folders with many thousands of items
+            var previewIds = {};
+            wizardState.previewItems.forEach(function (p) {
+                previewIds[normalizeGuid(p.Id)] = true;
+            });
+            var newItems = items.filter(function (item) {
+                return !previewIds[normalizeGuid(item.Id)];
+            });
+
+            if (newItems.length === 0) {
+                SmartLists.showNotification(items.length > 0
+                    ? 'Everything in "' + folderName + '" is already in the playlist.'
+                    : 'No matching items found in "' + folderName + '".', 'info');
+                return;
+            }
+
+            var mappedItems = newItems.map(function (item) {
+                return {
                     Id: item.Id,
                     Name: item.Name,
                     Artist: item.AlbumArtist || (item.ArtistItems && item.ArtistItems.length > 0 ? item.ArtistItems[0].Name : null),
                     Album: item.Album,
                     RuntimeTicks: item.RunTimeTicks,
-                    source: 'search'
-                });
-            }
+                    source: 'browse'
+                };
+            });
+
+            addItemsToPreview(mappedItems, 'browse');
+            SmartLists.showNotification('Added ' + mappedItems.length + ' items from "' + folderName + '" to preview.', 'success');
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Folder add error:', err);
+            SmartLists.showNotification('Failed to load items from "' + folderName + '".', 'error');
+        }).then(function () {
+            if (button) button.disabled = false;
         });
+    }
 
-        if (selectedItems.length === 0) {
+    // ===== SEARCH QUERY SYNTAX =====
+    // field:value or field:"quoted value" filters, -word or -field:value to exclude,
+    // and >, >=, <, <=, = or a..b ranges for numeric fields, e.g.
+    // artist:"Daft Punk" year:>2000 genre:house -live rating:>=4
+    var SEARCH_QUERY_FIELDS = {
+        artist: { member: 'Artists', label: 'Artist', numeric: false },
+        albumartist: { member: 'AlbumArtists', label: 'Album Artist', numeric: false },
+        album: { member: 'Album', label: 'Album', numeric: false },
+        title: { member: 'Name', label: 'Title', numeric: false },
+        name: { member: 'Name', label: 'Title', numeric: false },
+        genre: { member: 'Genres', label: 'Genre', numeric: false },
+        tag: { member: 'Tags', label: 'Tag', numeric: false },
+        year: { member: 'ProductionYear', label: 'Year', numeric: true },
+        rating: { member: 'CommunityRating', label: 'Rating', numeric: true },
+        plays: { member: 'PlayCount', label: 'Plays', numeric: true }
+    };
+
+    var SEARCH_NUMERIC_OPERATORS = {
+        '>': 'GreaterThan',
+        '>=': 'GreaterThanOrEqual',
+        '<': 'LessThan',
+        '<=': 'LessThanOrEqual',
+        '=': 'Equal'
+    };
+
+    // An excluded comparison keeps everything on the other side of it
+    var SEARCH_NEGATED_OPERATORS = {
+        GreaterThan: 'LessThanOrEqual',
+        GreaterThanOrEqual: 'LessThan',
+        LessThan: 'GreaterThanOrEqual',
+        LessThanOrEqual: 'GreaterThan',
+        Equal: 'NotEqual'
+    };
+
+    var SEARCH_OPERATOR_SYMBOLS = {
+        GreaterThan: '>',
+        GreaterThanOrEqual: '\u2265',
+        LessThan: '<',
+        LessThanOrEqual: '\u2264',
+        Equal: '=',
+        NotEqual: '\u2260'
+    };
+
+    // Bare words are matched as one phrase against the title, artists and album
+    var SEARCH_TEXT_MEMBERS = ['Name', 'Artists', 'Album'];
+
+    // Excluded bare words drop items whose title or album contains them
+    var SEARCH_EXCLUDED_TEXT_MEMBERS = ['Name', 'Album'];
+
+    function parseSearchQuery(queryText) {
+        var query = { text: [], excludedText: [], filters: [], errors: [], isStructured: false };
+        var tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        var match;
+
+        while ((match = tokenPattern.exec(queryText)) !== null) {
+            var negate = match[1] === '-';
+            var key = match[2] ? match[2].toLowerCase() : null;
+            var value = (match[3] !== undefined ? match[3] : match[4] || '').trim();
+            var field = key ? SEARCH_QUERY_FIELDS[key] : null;
+
+            if (key && !field) {
+                // Not one of ours (e.g. "AC:DC"), so search for it as typed
+                value = match[2] + ':' + value;
+            }
+            if (!value) continue;
+
+            if (!field) {
+                (negate ? query.excludedText : query.text).push(value);
+                continue;
+            }
+
+            if (!field.numeric) {
+                query.filters.push({
+                    key: key,
+                    field: field,
+                    negate: negate,
+                    operator: negate ? 'NotContains' : 'Contains',
+                    value: value
+                });
+                continue;
+            }
+
+            var range = /^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/.exec(value);
+            if (range) {
+                if (negate) {
+                    query.errors.push(key + ': ranges cannot be excluded');
+                    continue;
+                }
+                query.filters.push({ key: key, field: field, negate: false, operator: 'GreaterThanOrEqual', value: range[1] });
+                query.filters.push({ key: key, field: field, negate: false, operator: 'LessThanOrEqual', value: range[2] });
+                continue;
+            }
+
+            var comparison = /^(>=|<=|>|<|=)?(-?\d+(?:\.\d+)?)$/.exec(value);
+            if (!comparison) {
+                query.errors.push(key + ': expects a number such as >2000, <=5 or 1990..1999');
+                continue;
+            }
+
+            var operator = SEARCH_NUMERIC_OPERATORS[comparison[1] || '='];
+            query.filters.push({
+                key: key,
+                field: field,
+                negate: negate,
+                operator: negate ? SEARCH_NEGATED_OPERATORS[operator] : operator,
+                value: comparison[2]
+            });
+        }
+
+        query.isStructured = query.filters.length > 0 || query.excludedText.length > 0;
+        return query;
+    }
+
+    // Turns a parsed query into rule groups: filters are ANDed within each group,
+    // and free text becomes one group per searched field since groups are ORed
+    function buildSearchExpressionSets(query) {
+        var baseExpressions = query.filters.map(function (filter) {
+            return { MemberName: filter.field.member, Operator: filter.operator, TargetValue: filter.value };
+        });
+
+        query.excludedText.forEach(function (term) {
+            SEARCH_EXCLUDED_TEXT_MEMBERS.forEach(function (member) {
+                baseExpressions.push({ MemberName: member, Operator: 'NotContains', TargetValue: term });
+            });
+        });
+
+        if (query.text.length === 0) {
+            return baseExpressions.length > 0 ? [{ Expressions: baseExpressions }] : [];
+        }
+
+        var phrase = query.text.join(' ');
+        return SEARCH_TEXT_MEMBERS.map(function (member) {
+            return {
+                Expressions: baseExpressions.concat([{ MemberName: member, Operator: 'Contains', TargetValue: phrase }])
+            };
+        });
+    }
+
+    function describeSearchQuery(query) {
+        var parts = [];
+        if (query.text.length > 0) {
+            parts.push('"' + query.text.join(' ') + '" in title, artist or album');
+        }
+        query.filters.forEach(function (filter) {
+            if (filter.field.numeric) {
+                parts.push(filter.field.label + ' ' + SEARCH_OPERATOR_SYMBOLS[filter.operator] + ' ' + filter.value);
+            } else {
+                parts.push(filter.field.label + (filter.negate ? ' without "' : ' contains "') + filter.value + '"');
+            }
+        });
+        query.excludedText.forEach(function (term) {
+            parts.push('not "' + term + '"');
+        });
+        return parts;
+    }
+
+    // Wraps every occurrence of the terms in <mark>, escaping the rest
+    function highlightSearchTerms(text, terms) {
+        if (!text) return '';
+        var usable = terms.filter(function (term) { return term; });
+        if (usable.length === 0) return SmartLists.escapeHtml(text);
+
+        var pattern = usable
+            .sort(function (a, b) { return b.length - a.length; })
+            .map(function (term) { return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); })
+            .join('|');
+
+        return text.split(new RegExp('(' + pattern + ')', 'gi')).map(function (part, index) {
+            return index % 2 === 1
+                ? '<mark class="search-highlight">' + SmartLists.escapeHtml(part) + '</mark>'
+                : SmartLists.escapeHtml(part);
+        }).join('');
+    }
+
+    function getSearchFilterValues(query, members) {
+        return query.filters.filter(function (filter) {
+            return !filter.negate && members.indexOf(filter.field.member) !== -1;
+        }).map(function (filter) {
+            return filter.value;
+        });
+    }
+
+    // Shows the item's own value for each non-text filter it matched
+    function getSearchMatchChips(item, query) {
+        var chips = [];
+        var seen = {};
+        query.filters.forEach(function (filter) {
+            if (filter.negate || seen[filter.key]) return;
+            seen[filter.key] = true;
+
+            var value = null;
+            if (filter.key === 'year') {
+                value = item.ProductionYear;
+            } else if (filter.key === 'rating') {
+                value = item.CommunityRating;
+            } else if (filter.key === 'plays') {
+                value = item.UserData ? item.UserData.PlayCount : null;
+            } else if (filter.key === 'genre' || filter.key === 'tag') {
+                var list = (filter.key === 'genre' ? item.Genres : item.Tags) || [];
+                var needle = filter.value.toLowerCase();
+                value = list.filter(function (entry) {
+                    return entry.toLowerCase().indexOf(needle) !== -1;
+                }).join(', ');
+            }
+
+            if (value !== null && value !== undefined && value !== '') {
+                chips.push(filter.field.label + ': ' + value);
+            }
+        });
+        return chips;
+    }
+
+    // ===== SEARCH =====
+    function performSearch(page) {
+        var searchInput = page.querySelector('#searchInput');
+        var searchTerm = searchInput ? searchInput.value.trim() : '';
+
+        if (!searchTerm) {
+            SmartLists.showNotification('Please enter a search term.', 'warning');
+            return;
+        }
+
+        var query = parseSearchQuery(searchTerm);
+        if (query.errors.length > 0) {
+            SmartLists.showNotification('Could not understand the search: ' + query.errors.join('; '), 'warning');
+            return;
+        }
+        if (!query.isStructured && query.text.length === 0) {
+            SmartLists.showNotification('Please enter a search term.', 'warning');
+            return;
+        }
+
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        var resultsContainer = page.querySelector('#search-results');
+        resultsContainer.innerHTML = '<div class="loading-indicator">Searching...</div>';
+
+        // Plain words go through the rules engine too, so "Save as Rules" matches what was shown
+        searchWithRules(apiClient, query).then(function (result) {
+            page._lastSearch = { text: searchTerm, query: query };
+            renderSearchResults(resultsContainer, result, query);
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Search error:', err);
+            resultsContainer.innerHTML = '<div class="empty-state" style="color: #f44336;">Error searching</div>';
+        });
+    }
+
+    var SEARCH_RESULT_LIMIT = 100;
+
+    // Runs the query through the rules engine so the results are exactly what
+    // "Save as Rules" would match, then loads the full items for highlighting.
+    // Resolves to { items, totalMatching, limitApplied }.
+    function searchWithRules(apiClient, query) {
+        var requestData = {
+            MediaTypes: wizardState.selectedMediaTypes,
+            ExpressionSets: buildSearchExpressionSets(query),
+            Limit: SEARCH_RESULT_LIMIT
+        };
+
+        return apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(USER_ENDPOINTS.base + '/preview-rules'),
+            contentType: 'application/json',
+            data: JSON.stringify(requestData)
+        }).then(parseApiResponse).then(function (result) {
+            var ids = (result.Items || []).map(function (item) { return item.Id; });
+            var searchResult = {
+                items: [],
+                totalMatching: typeof result.TotalMatching === 'number' ? result.TotalMatching : ids.length,
+                limitApplied: !!result.LimitApplied
+            };
+            if (ids.length === 0) return searchResult;
+
+            var params = new URLSearchParams();
+            params.set('UserId', apiClient.getCurrentUserId());
+            params.set('Ids', ids.join(','));
+            params.set('Fields', 'MediaSources,Genres,Tags');
+
+            return apiClient.ajax({
+                type: 'GET',
+                url: apiClient.getUrl('Items') + '?' + params.toString(),
+                contentType: 'application/json'
+            }).then(parseApiResponse).then(function (details) {
+                // Keep the rules engine's order
+                var byId = {};
+                (details.Items || []).forEach(function (item) {
+                    byId[normalizeGuid(item.Id)] = item;
+                });
+                searchResult.items = ids.map(function (id) { return byId[normalizeGuid(id)]; }).filter(Boolean);
+                return searchResult;
+            });
+        });
+    }
+
+    function renderSearchResults(container, result, query) {
+        var items = result.items;
+        // Filter out items already in preview (normalize GUIDs for comparison)
+        var previewIds = wizardState.previewItems.map(function (p) { return normalizeGuid(p.Id); });
+        var filteredItems = items.filter(function (item) {
+            return previewIds.indexOf(normalizeGuid(item.Id)) === -1;
+        });
+
+        var html = '<div class="search-query-summary">';
+        html += '<strong style="color: #fff;">' + result.totalMatching + '</strong> match' + (result.totalMatching === 1 ? '' : 'es');
+        if (result.limitApplied) {
+            html += ' (showing the first ' + items.length + ', narrow the search to see the rest)';
+        }
+        html += ': ';
+        html += describeSearchQuery(query).map(function (part) {
+            return '<span class="search-query-part">' + SmartLists.escapeHtml(part) + '</span>';
+        }).join(' ');
+        html += '</div>';
+
+        if (filteredItems.length === 0) {
+            var msg = items.length > 0
+                ? 'All matching items are already in the playlist'
+                : 'No results found';
+            container.innerHTML = html + '<div class="empty-state"><div class="empty-state-icon">&#128528;</div><div>' + msg + '</div></div>';
+            container._items = [];
+            return;
+        }
+
+        // Free text is matched as one phrase, so highlight the phrase
+        var phrase = query.text.length > 0 ? [query.text.join(' ')] : [];
+        var nameTerms = phrase.concat(getSearchFilterValues(query, ['Name']));
+        var artistTerms = phrase.concat(getSearchFilterValues(query, ['Artists', 'AlbumArtists']));
+        var albumTerms = phrase.concat(getSearchFilterValues(query, ['Album']));
+
+        filteredItems.forEach(function (item) {
+            var artist = item.AlbumArtist || (item.ArtistItems && item.ArtistItems.length > 0 ? item.ArtistItems[0].Name : '--');
+            html += '<div class="browse-item" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '">';
+            html += '<input type="checkbox" class="search-item-checkbox">';
+            html += '<div class="browse-item-info">';
+            html += '<div class="browse-item-name">' + highlightSearchTerms(item.Name, nameTerms) + '</div>';
+            html += '<div class="browse-item-meta">' + highlightSearchTerms(artist, artistTerms);
+            if (item.Album) {
+                html += ' - ' + highlightSearchTerms(item.Album, albumTerms);
+            }
+            html += '</div>';
+            var chips = getSearchMatchChips(item, query);
+            if (chips.length > 0) {
+                html += '<div class="search-match-chips">';
+                chips.forEach(function (chip) {
+                    html += '<span class="search-match-chip">' + SmartLists.escapeHtml(chip) + '</span>';
+                });
+                html += '</div>';
+            }
+            html += '</div>';
+            html += '</div>';
+        });
+        container.innerHTML = html;
+
+        // Store filtered items data for later
+        container._items = filteredItems;
+    }
+
+    // Adds the last search that ran to the rules form (alongside any rules already there).
+    // Uses the query behind the shown results, not whatever has since been typed in the box.
+    function saveSearchAsRules(page) {
+        var lastSearch = page._lastSearch;
+        var newSets = lastSearch ? buildSearchExpressionSets(lastSearch.query) : [];
+        if (newSets.length === 0) {
+            SmartLists.showNotification('Please run a search first.', 'warning');
+            return;
+        }
+
+        var currentSets = (SmartLists.collectRulesFromForm ? SmartLists.collectRulesFromForm(page, '#wizard-rules-container') : [])
+            .filter(function (es) { return es.Expressions && es.Expressions.length > 0; });
+        var expressionSets = currentSets.concat(newSets);
+
+        restoreRulesToForm(page, expressionSets);
+        wizardState.expressionSets = expressionSets;
+
+        switchAddMethod(page, 'rules');
+        scheduleRulesPreview(page);
+        SmartLists.showNotification('Search "' + lastSearch.text + '" saved as ' + newSets.length + ' rule group' + (newSets.length === 1 ? '' : 's') + '. Use "Preview Rules" to add the matches.', 'success');
+    }
+
+    function addSelectedSearchItems(page) {
+        var container = page.querySelector('#search-results');
+        var checkboxes = container.querySelectorAll('.search-item-checkbox:checked');
+        var items = container._items || [];
+
+        var selectedItems = [];
+        checkboxes.forEach(function (cb) {
+            var itemEl = cb.closest('.browse-item');
+            var itemId = itemEl.getAttribute('data-item-id');
+            var item = items.find(function (i) { return i.Id === itemId; });
+            if (item) {
+                selectedItems.push({
+                    Id: item.Id,
+                    Name: item.Name,
+                    Artist: item.AlbumArtist || (item.ArtistItems && item.ArtistItems.length > 0 ? item.ArtistItems[0].Name : null),
+                    Album: item.Album,
+                    RuntimeTicks: item.RunTimeTicks,
+                    source: 'search'
+                });
+            }
+        });
+
+        if (selectedItems.length === 0) {
             SmartLists.showNotification('Please select items first.', 'warning');
             return;
         }
@@ -1153,6 +2041,551 @@
         checkboxes.forEach(function (cb) { cb.checked = false; });
     }
 
+    // ===== SEED (INSTANT MIX / SIMILAR ITEMS) =====
+    var SEED_ITEM_TYPES = { Audio: 'Song', MusicAlbum: 'Album', MusicArtist: 'Artist' };
+    var seedState = {
+        seed: null // The chosen song, album or artist
+    };
+
+    function searchSeedItems(page) {
+        var searchInput = page.querySelector('#seedSearchInput');
+        var searchTerm = searchInput ? searchInput.value.trim() : '';
+
+        if (!searchTerm) {
+            SmartLists.showNotification('Please enter a song, album or artist name.', 'warning');
+            return;
+        }
+
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        var resultsContainer = page.querySelector('#seed-search-results');
+        resultsContainer.innerHTML = '<div class="loading-indicator">Searching...</div>';
+
+        var params = new URLSearchParams();
+        params.set('UserId', apiClient.getCurrentUserId());
+        params.set('SearchTerm', searchTerm);
+        params.set('IncludeItemTypes', Object.keys(SEED_ITEM_TYPES).join(','));
+        params.set('Recursive', 'true');
+        params.set('Limit', '30');
+
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl('Items') + '?' + params.toString(),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (result) {
+            renderSeedResults(resultsContainer, result.Items || []);
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Seed search error:', err);
+            resultsContainer.innerHTML = '<div class="empty-state" style="color: #f44336;">Error searching</div>';
+        });
+    }
+
+    function renderSeedResults(container, items) {
+        if (items.length === 0) {
+            container.innerHTML = '<div class="empty-state"><div class="empty-state-icon">&#128528;</div><div>No songs, albums or artists found</div></div>';
+            container._items = [];
+            return;
+        }
+
+        var html = '';
+        items.forEach(function (item) {
+            var isSelected = seedState.seed && seedState.seed.Id === item.Id;
+            var meta = SEED_ITEM_TYPES[item.Type] || item.Type;
+            var artist = item.AlbumArtist || (item.ArtistItems && item.ArtistItems.length > 0 ? item.ArtistItems[0].Name : null);
+            if (artist && item.Type !== 'MusicArtist') {
+                meta += ' - ' + artist;
+            }
+            html += '<div class="browse-item seed-option' + (isSelected ? ' selected' : '') + '" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '">';
+            html += '<div class="browse-item-info">';
+            html += '<div class="browse-item-name">' + SmartLists.escapeHtml(item.Name) + '</div>';
+            html += '<div class="browse-item-meta">' + SmartLists.escapeHtml(meta) + '</div>';
+            html += '</div>';
+            html += '</div>';
+        });
+        container.innerHTML = html;
+        container._items = items;
+    }
+
+    function selectSeed(page, itemId) {
+        var container = page.querySelector('#seed-search-results');
+        var item = (container._items || []).find(function (i) { return i.Id === itemId; });
+        if (!item) return;
+
+        seedState.seed = item;
+        container.querySelectorAll('.seed-option').forEach(function (el) {
+            el.classList.toggle('selected', el.getAttribute('data-item-id') === itemId);
+        });
+
+        var selectedEl = page.querySelector('#seed-selected');
+        if (selectedEl) {
+            selectedEl.innerHTML = 'Seed: <strong style="color: #fff;">' + SmartLists.escapeHtml(item.Name) + '</strong> (' +
+                SmartLists.escapeHtml(SEED_ITEM_TYPES[item.Type] || item.Type) + ')';
+        }
+        var generateBtn = page.querySelector('#seedGenerateBtn');
+        if (generateBtn) {
+            generateBtn.disabled = false;
+        }
+    }
+
+    // Gets tracks for the seed. Similar albums and artists are expanded to their tracks.
+    function fetchSeedTracks(apiClient, seed, source, limit) {
+        var params = new URLSearchParams();
+        params.set('UserId', apiClient.getCurrentUserId());
+        params.set('Fields', 'MediaSources');
+
+        if (source === 'instantmix' || seed.Type === 'Audio') {
+            params.set('Limit', String(limit));
+            var path = 'Items/' + seed.Id + (source === 'instantmix' ? '/InstantMix' : '/Similar');
+            return apiClient.ajax({
+                type: 'GET',
+                url: apiClient.getUrl(path) + '?' + params.toString(),
+                contentType: 'application/json'
+            }).then(parseApiResponse).then(function (result) {
+                return result.Items || [];
+            });
+        }
+
+        params.set('Limit', '10');
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl('Items/' + seed.Id + '/Similar') + '?' + params.toString(),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (result) {
+            // Include the seed itself so its own tracks can be part of the mix
+            var ids = [seed.Id].concat((result.Items || []).map(function (item) { return item.Id; }));
+            var trackParams = new URLSearchParams();
+            trackParams.set('UserId', apiClient.getCurrentUserId());
+            trackParams.set(seed.Type === 'MusicAlbum' ? 'AlbumIds' : 'ArtistIds', ids.join(','));
+            trackParams.set('IncludeItemTypes', 'Audio');
+            trackParams.set('Recursive', 'true');
+            trackParams.set('SortBy', 'Random');
+            trackParams.set('Fields', 'MediaSources');
+            trackParams.set('Limit', String(limit));
+            return apiClient.ajax({
+                type: 'GET',
+                url: apiClient.getUrl('Items') + '?' + trackParams.toString(),
+                contentType: 'application/json'
+            }).then(parseApiResponse).then(function (tracks) {
+                return tracks.Items || [];
+            });
+        });
+    }
+
+    // Leaves out tracks covered by one of the user's active ignores in any playlist
+    function filterIgnoredSeedTracks(apiClient, items) {
+        if (items.length === 0) {
+            return Promise.resolve(items);
+        }
+        return apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(USER_ENDPOINTS.checkIgnored),
+            contentType: 'application/json',
+            data: JSON.stringify({ ItemIds: items.map(function (item) { return item.Id; }) })
+        }).then(parseApiResponse).then(function (ignoredIds) {
+            var ignored = (ignoredIds || []).map(normalizeGuid);
+            return items.filter(function (item) {
+                return ignored.indexOf(normalizeGuid(item.Id)) === -1;
+            });
+        });
+    }
+
+    function generateSeedMix(page) {
+        var seed = seedState.seed;
+        if (!seed) {
+            SmartLists.showNotification('Please choose a song, album or artist first.', 'warning');
+            return;
+        }
+
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        var source = page.querySelector('#seedSource').value;
+        var count = parseInt(page.querySelector('#seedCount').value, 10) || 50;
+        var excludeIgnored = page.querySelector('#seedExcludeIgnored').checked;
+        var generateBtn = page.querySelector('#seedGenerateBtn');
+        if (generateBtn) {
+            generateBtn.disabled = true;
+            generateBtn.textContent = 'Generating...';
+        }
+
+        // Ask for extra tracks so there are enough left after leaving out ignored and already added ones
+        fetchSeedTracks(apiClient, seed, source, count * 2).then(function (items) {
+            var previewIds = wizardState.previewItems.map(function (p) { return normalizeGuid(p.Id); });
+            items = items.filter(function (item) {
+                return item.Type === 'Audio' && previewIds.indexOf(normalizeGuid(item.Id)) === -1;
+            });
+            return excludeIgnored ? filterIgnoredSeedTracks(apiClient, items) : items;
+        }).then(function (items) {
+            var mixItems = items.slice(0, count).map(function (item) {
+                return {
+                    Id: item.Id,
+                    Name: item.Name,
+                    Artist: item.AlbumArtist || (item.ArtistItems && item.ArtistItems.length > 0 ? item.ArtistItems[0].Name : null),
+                    Album: item.Album,
+                    RuntimeTicks: item.RunTimeTicks,
+                    source: 'seed'
+                };
+            });
+
+            if (mixItems.length === 0) {
+                SmartLists.showNotification('No new tracks found for "' + seed.Name + '".', 'warning');
+                return;
+            }
+
+            addItemsToPreview(mixItems, 'seed');
+            SmartLists.showNotification('Added ' + mixItems.length + ' tracks from "' + seed.Name + '".', 'success');
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Error generating mix:', err);
+            SmartLists.showNotification('Failed to generate mix: ' + err.message, 'error');
+        }).then(function () {
+            if (generateBtn) {
+                generateBtn.disabled = false;
+                generateBtn.textContent = 'Generate Mix';
+            }
+        });
+    }
+
+    // ===== IMPORT FILE (M3U / XSPF / PLS) =====
+    // The parsers live in user-import.js
+    function readFileAsText(file) {
+        return new Promise(function (resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function () {
+                resolve(reader.result);
+            };
+            reader.onerror = function () {
+                reject(new Error('Could not read ' + file.name));
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    function importPlaylistFile(page, file) {
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        var reportContainer = page.querySelector('#import-report');
+        reportContainer.innerHTML = '<div class="loading-indicator">Matching ' + SmartLists.escapeHtml(file.name) + '...</div>';
+
+        var entries = [];
+        readFileAsText(file).then(function (text) {
+            entries = SmartLists.parsePlaylistFile(file.name, text);
+            if (entries.length === 0) {
+                throw new Error('No tracks found in ' + file.name);
+            }
+
+            return apiClient.ajax({
+                type: 'POST',
+                url: apiClient.getUrl(USER_ENDPOINTS.importMatch),
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    Entries: entries.map(function (entry) {
+                        return {
+                            Path: entry.Path,
+                            Artist: entry.Artist,
+                            Title: entry.Title,
+                            DurationSeconds: entry.DurationSeconds
+                        };
+                    })
+                })
+            }).then(parseApiResponse);
+        }).then(function (matches) {
+            var matchedIndexes = {};
+            var byPath = 0;
+            var items = (matches || []).map(function (match) {
+                matchedIndexes[match.Index] = true;
+                if (match.MatchedBy === 'path') byPath++;
+                return {
+                    Id: match.Id,
+                    Name: match.Name,
+                    Artist: match.Artist,
+                    Album: match.Album,
+                    RuntimeTicks: match.RuntimeTicks,
+                    source: 'import'
+                };
+            });
+            var unmatched = entries.filter(function (entry, index) {
+                return !matchedIndexes[index];
+            });
+
+            if (items.length > 0) {
+                addItemsToPreview(items, 'import');
+            }
+            renderImportReport(page, file.name, entries.length, items.length, byPath, unmatched);
+            SmartLists.showNotification('Matched ' + items.length + ' of ' + entries.length + ' tracks from ' + file.name + '.',
+                unmatched.length > 0 ? 'warning' : 'success');
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Error importing playlist file:', err);
+            reportContainer.innerHTML = '';
+            SmartLists.showNotification('Failed to import file: ' + err.message, 'error');
+        });
+    }
+
+    function renderImportReport(page, fileName, total, matched, byPath, unmatched) {
+        var container = page.querySelector('#import-report');
+        var html = '<div style="margin-bottom: 0.5em;"><strong>' + SmartLists.escapeHtml(fileName) + '</strong>: ' +
+            matched + ' of ' + total + ' matched (' + byPath + ' by path, ' + (matched - byPath) + ' by artist/title)</div>';
+
+        if (unmatched.length > 0) {
+            html += '<div style="color: #ff9800; margin-bottom: 0.5em;">' + unmatched.length + ' not found. Use Find to search for them by hand:</div>';
+            html += '<div class="browse-results" style="max-height: 250px;">';
+            unmatched.forEach(function (entry) {
+                var searchText = [entry.Artist, entry.Title].filter(Boolean).join(' ');
+                html += '<div class="import-unmatched">';
+                html += '<span style="color: #888; min-width: 5em;">' + SmartLists.escapeHtml(entry.Label) + '</span>';
+                html += '<span class="import-unmatched-text" title="' + SmartLists.escapeHtmlAttribute(entry.Text) + '">' + SmartLists.escapeHtml(entry.Text) + '</span>';
+                if (searchText) {
+                    html += '<button type="button" class="emby-button raised import-find-btn" data-search="' + SmartLists.escapeHtmlAttribute(entry.Title || searchText) + '">Find</button>';
+                }
+                html += '</div>';
+            });
+            html += '</div>';
+        }
+        container.innerHTML = html;
+    }
+
+    // ===== DRAFTS =====
+    // Saves are chained so a slow save can't finish after (and overwrite) a newer one
+    var draftSavePromise = Promise.resolve();
+    var draftSaveTimer = null;
+    var lastSavedDraftJson = null;
+    var draftsClosed = false;
+    var DRAFT_AUTOSAVE_DELAY_MS = 1500;
+
+    // Reads the form as it is now, so edits not yet applied or confirmed by a step change are kept
+    function buildDraft(page) {
+        var publicCheckbox = page.querySelector('#wizardIsPublic');
+        var pinnedFirstCheckbox = page.querySelector('#wizardPinnedFirst');
+        var maxItemsInput = page.querySelector('#wizardMaxItems');
+        var maxPlaytimeInput = page.querySelector('#wizardMaxPlaytime');
+
+        var mediaTypes = wizardState.currentStep === 1 ? getSelectedMediaTypes(page) : wizardState.selectedMediaTypes;
+
+        var formRules = SmartLists.collectRulesFromForm ? SmartLists.collectRulesFromForm(page, '#wizard-rules-container') : null;
+        var hasFormRules = !!formRules && formRules.some(function (es) { return es.Expressions && es.Expressions.length > 0; });
+
+        var sorts = SmartLists.collectSortsFromForm ? SmartLists.collectSortsFromForm(page, '#wizard-sorts-container') : [];
+
+        return {
+            Id: wizardState.draftId,
+            Name: wizardState.playlistName,
+            CurrentStep: wizardState.currentStep,
+            IsConvert: wizardState.isConvert,
+            SourcePlaylistId: wizardState.isConvert ? wizardState.sourcePlaylistId : null,
+            EditPlaylistId: wizardState.isEditMode ? wizardState.editPlaylistId : null,
+            IsPublic: publicCheckbox && wizardState.currentStep === wizardState.totalSteps ? publicCheckbox.checked : wizardState.isPublic,
+            MediaTypes: mediaTypes,
+            ExpressionSets: hasFormRules ? formRules : wizardState.expressionSets,
+            Order: sorts.length > 0 ? { SortOptions: sorts } : null,
+            MaxItems: (maxItemsInput ? parseInt(maxItemsInput.value, 10) : 0) || null,
+            MaxPlayTimeMinutes: (maxPlaytimeInput ? parseInt(maxPlaytimeInput.value, 10) : 0) || null,
+            PinnedFirst: !!pinnedFirstCheckbox && pinnedFirstCheckbox.checked,
+            DefaultIgnoreDurationDays: getWizardIgnoreDays(page),
+            DroppedDuplicateIds: wizardState.droppedDuplicateIds.length > 0 ? wizardState.droppedDuplicateIds : null,
+            Items: wizardState.previewItems.map(function (item) {
+                return {
+                    Id: item.Id,
+                    Name: item.Name || '',
+                    Artist: item.Artist || null,
+                    Album: item.Album || null,
+                    RuntimeTicks: item.RuntimeTicks || null,
+                    Source: item.source || null,
+                    Pinned: !!item.pinned
+                };
+            })
+        };
+    }
+
+    function saveDraft(page) {
+        if (draftSaveTimer) {
+            clearTimeout(draftSaveTimer);
+            draftSaveTimer = null;
+        }
+
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient || !wizardState.playlistName || draftsClosed) return;
+
+        // Skip saves that wouldn't change anything; the ID is filled in when the save runs, after any earlier save returned it
+        var draft = buildDraft(page);
+        draft.Id = null;
+        var draftJson = JSON.stringify(draft);
+        if (draftJson === lastSavedDraftJson) return;
+        lastSavedDraftJson = draftJson;
+
+        draftSavePromise = draftSavePromise.then(function () {
+            draft.Id = wizardState.draftId;
+            return apiClient.ajax({
+                type: 'PUT',
+                url: apiClient.getUrl(USER_ENDPOINTS.drafts),
+                contentType: 'application/json',
+                data: JSON.stringify(draft)
+            }).then(parseApiResponse).then(function (saved) {
+                wizardState.draftId = saved.Id;
+                var status = page.querySelector('#wizard-draft-status');
+                if (status) {
+                    status.textContent = 'Draft saved ' + new Date().toLocaleTimeString();
+                }
+            });
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Error saving draft:', err);
+            // Let the next edit try again
+            lastSavedDraftJson = null;
+            var status = page.querySelector('#wizard-draft-status');
+            if (status) {
+                status.textContent = 'Draft not saved';
+            }
+        });
+    }
+
+    // Saves a little after the last edit, so typing doesn't send a request per keystroke.
+    // A new wizard only starts a draft once the user has changed something.
+    function scheduleDraftSave(page) {
+        if (draftsClosed || (!wizardState.draftId && !page._draftTouched)) return;
+
+        if (draftSaveTimer) {
+            clearTimeout(draftSaveTimer);
+        }
+        draftSaveTimer = setTimeout(function () {
+            draftSaveTimer = null;
+            saveDraft(page);
+        }, DRAFT_AUTOSAVE_DELAY_MS);
+    }
+
+    function loadDraft(page) {
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(USER_ENDPOINTS.drafts + '/' + encodeURIComponent(wizardState.draftId)),
+            contentType: 'application/json'
+        }).then(parseApiResponse).then(function (draft) {
+            wizardState.playlistName = draft.Name || wizardState.playlistName;
+            wizardState.isConvert = !!draft.IsConvert;
+            wizardState.sourcePlaylistId = draft.SourcePlaylistId || null;
+            wizardState.isPublic = !!draft.IsPublic;
+            wizardState.selectedMediaTypes = draft.MediaTypes || [];
+            wizardState.expressionSets = draft.ExpressionSets || null;
+            wizardState.droppedDuplicateIds = draft.DroppedDuplicateIds || [];
+            wizardState.previewItems = (draft.Items || []).map(function (item) {
+                return {
+                    Id: item.Id,
+                    Name: item.Name,
+                    Artist: item.Artist || null,
+                    Album: item.Album || null,
+                    RuntimeTicks: item.RuntimeTicks,
+                    source: item.Source || 'browse',
+                    pinned: !!item.Pinned
+                };
+            });
+
+            page.querySelectorAll('.wizard-media-type-checkbox').forEach(function (cb) {
+                cb.checked = wizardState.selectedMediaTypes.indexOf(cb.value) !== -1;
+            });
+            restoreRulesToForm(page, wizardState.expressionSets);
+            restoreDraftOptions(page, draft);
+
+            if (draft.CurrentStep >= 1 && draft.CurrentStep <= wizardState.totalSteps) {
+                wizardState.currentStep = draft.CurrentStep;
+            }
+            renderPreviewTable(page);
+            updateStepDisplay(page);
+
+            // The restored form is what the server already has
+            var restored = buildDraft(page);
+            restored.Id = null;
+            lastSavedDraftJson = JSON.stringify(restored);
+
+            SmartLists.showNotification('Resumed draft "' + wizardState.playlistName + '" with ' + wizardState.previewItems.length + ' items.', 'success');
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Error loading draft:', err);
+            wizardState.draftId = null;
+            SmartLists.showNotification('Failed to load draft: ' + err.message, 'error');
+        });
+    }
+
+    function restoreDraftOptions(page, draft) {
+        if (draft.Order && SmartLists.loadSortOptionsIntoUI) {
+            SmartLists.loadSortOptionsIntoUI(page, draft, '#wizard-sorts-container');
+        }
+
+        var maxItemsInput = page.querySelector('#wizardMaxItems');
+        if (maxItemsInput) {
+            maxItemsInput.value = draft.MaxItems || 0;
+        }
+        var maxPlaytimeInput = page.querySelector('#wizardMaxPlaytime');
+        if (maxPlaytimeInput) {
+            maxPlaytimeInput.value = draft.MaxPlayTimeMinutes || 0;
+        }
+        var pinnedFirstCheckbox = page.querySelector('#wizardPinnedFirst');
+        if (pinnedFirstCheckbox) {
+            pinnedFirstCheckbox.checked = !!draft.PinnedFirst;
+        }
+        var publicCheckbox = page.querySelector('#wizardIsPublic');
+        if (publicCheckbox) {
+            publicCheckbox.checked = wizardState.isPublic;
+        }
+
+        var ignoreDaysInput = page.querySelector('#wizardDefaultIgnoreDays');
+        if (ignoreDaysInput && typeof draft.DefaultIgnoreDurationDays === 'number') {
+            ignoreDaysInput.value = draft.DefaultIgnoreDurationDays;
+            // Keep the draft's value when the user settings finish loading
+            ignoreDaysInput._userChanged = true;
+        }
+    }
+
+    function restoreRulesToForm(page, expressionSets) {
+        if (!expressionSets || expressionSets.length === 0) return;
+
+        var rulesContainer = page.querySelector('#wizard-rules-container');
+        if (!rulesContainer) return;
+        rulesContainer.innerHTML = '';
+
+        expressionSets.forEach(function (expressionSet, groupIndex) {
+            var logicGroup = groupIndex === 0
+                ? SmartLists.createInitialLogicGroup(page, '#wizard-rules-container')
+                : SmartLists.addNewLogicGroup(page, '#wizard-rules-container');
+            logicGroup.querySelectorAll('.rule-row, .rule-within-group-separator').forEach(function (rule) {
+                rule.remove();
+            });
+
+            (expressionSet.Expressions || []).forEach(function (expression) {
+                SmartLists.addRuleToGroup(page, logicGroup);
+                var ruleRows = logicGroup.querySelectorAll('.rule-row');
+                if (SmartLists.populateRuleRow) {
+                    SmartLists.populateRuleRow(ruleRows[ruleRows.length - 1], expression, page);
+                }
+            });
+        });
+
+        if (SmartLists.updateAllFieldSelects) SmartLists.updateAllFieldSelects(page);
+        if (SmartLists.updateRuleButtonVisibility) SmartLists.updateRuleButtonVisibility(page);
+    }
+
+    // Called once the playlist has been created or updated; the draft has served its purpose
+    function discardDraft(apiClient) {
+        draftsClosed = true;
+        if (draftSaveTimer) {
+            clearTimeout(draftSaveTimer);
+            draftSaveTimer = null;
+        }
+        if (!wizardState.draftId) {
+            return Promise.resolve();
+        }
+
+        var draftId = wizardState.draftId;
+        wizardState.draftId = null;
+        return draftSavePromise.then(function () {
+            return apiClient.ajax({
+                type: 'DELETE',
+                url: apiClient.getUrl(USER_ENDPOINTS.drafts + '/' + encodeURIComponent(draftId))
+            });
+        }).catch(function (err) {
+            console.error('[SmartLists Wizard] Error discarding draft:', err);
+        });
+    }
+
     // ===== CREATE PLAYLIST =====
     function createPlaylist(page) {
         // Allow creation if:
@@ -1181,13 +2614,11 @@
         if (SmartLists.collectSortsFromForm) {
             var sorts = SmartLists.collectSortsFromForm(page, '#wizard-sorts-container');
             if (sorts && sorts.length > 0) {
-                orderDto = {
-                    Primary: sorts[0] || null,
-                    Secondary: sorts[1] || null,
-                    Tertiary: sorts[2] || null
-                };
+                orderDto = { SortOptions: sorts };
             }
         }
+        var isManualOrder = !!orderDto && orderDto.SortOptions[0].SortBy === 'Manual';
+        var pinnedItemIds = getPinnedPreviewItemIds();
 
         var playlistData = {
             Name: wizardState.playlistName,
@@ -1199,10 +2630,18 @@
             MaxPlayTimeMinutes: parseInt(page.querySelector('#wizardMaxPlaytime').value, 10) || null,
             Public: page.querySelector('#wizardIsPublic')?.checked || false,
             Enabled: true,
-            DefaultIgnoreDurationDays: 30,
-            IncludedItemIds: wizardState.previewItems.map(function (item) { return item.Id; })
+            PinnedItemIds: pinnedItemIds.length > 0 ? pinnedItemIds : null,
+            PinnedFirst: page.querySelector('#wizardPinnedFirst')?.checked || false,
+            DefaultIgnoreDurationDays: getWizardIgnoreDays(page),
+            IncludedItemIds: wizardState.previewItems.map(function (item) { return item.Id; }),
+            IgnoredItemIds: getDroppedDuplicateIds()
         };
 
+        // With the Manual sort, the playlist keeps the order the preview rows were dragged into
+        if (isManualOrder) {
+            playlistData.ManualOrder = playlistData.IncludedItemIds.slice();
+        }
+
         // If MaxItems or MaxPlayTimeMinutes is 0, set to null
         if (playlistData.MaxItems === 0) playlistData.MaxItems = null;
         if (playlistData.MaxPlayTimeMinutes === 0) playlistData.MaxPlayTimeMinutes = null;
@@ -1222,6 +2661,7 @@
             data: JSON.stringify(playlistData)
         }).then(parseApiResponse).then(function (result) {
             SmartLists.showNotification('Playlist created successfully!', 'success');
+            discardDraft(apiClient);
 
             // Navigate back to user config page
             setTimeout(function () {
@@ -1238,9 +2678,28 @@
         });
     }
 
+    // Dropped versions that were added back to the preview by hand are no longer ignored
+    function getDroppedDuplicateIds() {
+        var previewIds = {};
+        wizardState.previewItems.forEach(function (item) {
+            previewIds[normalizeGuid(item.Id)] = true;
+        });
+        var ids = wizardState.droppedDuplicateIds.filter(function (id) {
+            return !previewIds[normalizeGuid(id)];
+        });
+        return ids.length > 0 ? ids : null;
+    }
+
+    function getPinnedPreviewItemIds() {
+        return wizardState.previewItems
+            .filter(function (item) { return item.pinned; })
+            .map(function (item) { return item.Id; });
+    }
+
     // Add items to existing playlist (edit mode)
     function addItemsToExistingPlaylist(page, apiClient) {
         var itemIds = wizardState.previewItems.map(function (item) { return item.Id; });
+        var pinnedItemIds = getPinnedPreviewItemIds();
 
         SmartLists.showNotification('Adding ' + itemIds.length + ' items to playlist...', 'info');
 
@@ -1250,15 +2709,47 @@
             createBtn.textContent = 'Adding...';
         }
 
-        apiClient.ajax({
+        // The playlist's rules would add the dropped versions back, so ignore them first;
+        // adding the items then refreshes the playlist once with both changes
+        var droppedIds = getDroppedDuplicateIds();
+        var ignoreDropped = !droppedIds ? Promise.resolve() : apiClient.ajax({
             type: 'POST',
-            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + wizardState.editPlaylistId + '/add-items'),
+            url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + wizardState.editPlaylistId + '/ignores/bulk'),
             contentType: 'application/json',
             data: JSON.stringify({
-                ItemIds: itemIds
+                TrackIds: droppedIds,
+                DurationDays: 0,
+                Reason: 'Extra version of a duplicate',
+                AutoRefresh: false
             })
-        }).then(parseApiResponse).then(function (result) {
+        }).then(parseApiResponse);
+
+        ignoreDropped.then(function () {
+            return apiClient.ajax({
+                type: 'POST',
+                url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + wizardState.editPlaylistId + '/add-items'),
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    ItemIds: itemIds
+                })
+            }).then(parseApiResponse);
+        }).then(function (result) {
+            if (pinnedItemIds.length === 0) {
+                return result;
+            }
+            return apiClient.ajax({
+                type: 'PUT',
+                url: apiClient.getUrl(USER_ENDPOINTS.base + '/' + wizardState.editPlaylistId + '/pins'),
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    PinIds: pinnedItemIds
+                })
+            }).then(parseApiResponse).then(function () {
+                return result;
+            });
+        }).then(function (result) {
             SmartLists.showNotification('Added ' + result.Added + ' items to playlist!', 'success');
+            discardDraft(apiClient);
 
             // Navigate back to user config page
             setTimeout(function () {
@@ -1327,6 +2818,15 @@
             });
         }
 
+        // Default ignore duration - update summary when changed
+        var ignoreDaysInput = page.querySelector('#wizardDefaultIgnoreDays');
+        if (ignoreDaysInput) {
+            ignoreDaysInput.addEventListener('input', function () {
+                ignoreDaysInput._userChanged = true;
+                updateConfirmationSummary(page);
+            });
+        }
+
         // Add method tabs
         var methodTabs = page.querySelectorAll('.add-method-tab');
         methodTabs.forEach(function (tab) {
@@ -1335,6 +2835,40 @@
             });
         });
 
+        // Duplicate versions
+        var keepOneDuplicateBtn = page.querySelector('#keepOneDuplicateBtn');
+        if (keepOneDuplicateBtn) {
+            keepOneDuplicateBtn.addEventListener('click', function () {
+                keepOneDuplicatePerGroup(page);
+            });
+        }
+
+        // Autosave the draft after any edit (not only on step changes)
+        ['input', 'change', 'click'].forEach(function (eventName) {
+            page.addEventListener(eventName, function () {
+                page._draftTouched = true;
+                scheduleDraftSave(page);
+            });
+        });
+
+        // Live rules preview follows edits to the rules and limits
+        var wizardRulesContainer = page.querySelector('#wizard-rules-container');
+        if (wizardRulesContainer) {
+            ['input', 'change', 'click'].forEach(function (eventName) {
+                wizardRulesContainer.addEventListener(eventName, function () {
+                    scheduleRulesPreview(page);
+                });
+            });
+        }
+        ['#wizardMaxItems', '#wizardMaxPlaytime'].forEach(function (selector) {
+            var limitInput = page.querySelector(selector);
+            if (limitInput) {
+                limitInput.addEventListener('input', function () {
+                    renderRulesPreviewWarnings(page);
+                });
+            }
+        });
+
         // Apply rules button
         var applyRulesBtn = page.querySelector('#applyRulesBtn');
         if (applyRulesBtn) {
@@ -1412,6 +2946,70 @@
             });
         }
 
+        // Seed buttons
+        var seedSearchBtn = page.querySelector('#seedSearchBtn');
+        if (seedSearchBtn) {
+            seedSearchBtn.addEventListener('click', function () {
+                searchSeedItems(page);
+            });
+        }
+
+        var seedSearchInput = page.querySelector('#seedSearchInput');
+        if (seedSearchInput) {
+            seedSearchInput.addEventListener('keypress', function (e) {
+                if (e.key === 'Enter') {
+                    searchSeedItems(page);
+                }
+            });
+        }
+
+        var seedResults = page.querySelector('#seed-search-results');
+        if (seedResults) {
+            seedResults.addEventListener('click', function (e) {
+                var option = e.target.closest('.seed-option');
+                if (option) {
+                    selectSeed(page, option.getAttribute('data-item-id'));
+                }
+            });
+        }
+
+        var seedGenerateBtn = page.querySelector('#seedGenerateBtn');
+        if (seedGenerateBtn) {
+            seedGenerateBtn.addEventListener('click', function () {
+                generateSeedMix(page);
+            });
+        }
+
+        // Import file
+        var importFileInput = page.querySelector('#importFileInput');
+        var importFileBtn = page.querySelector('#importFileBtn');
+        if (importFileBtn && importFileInput) {
+            importFileBtn.addEventListener('click', function () {
+                importFileInput.click();
+            });
+            importFileInput.addEventListener('change', function () {
+                if (this.files && this.files.length > 0) {
+                    importPlaylistFile(page, this.files[0]);
+                    // Allow choosing the same file again after fixing it
+                    this.value = '';
+                }
+            });
+        }
+
+        var importReport = page.querySelector('#import-report');
+        if (importReport) {
+            importReport.addEventListener('click', function (e) {
+                var findBtn = e.target.closest('.import-find-btn');
+                if (!findBtn) return;
+                var searchInput = page.querySelector('#searchInput');
+                if (searchInput) {
+                    searchInput.value = findBtn.getAttribute('data-search');
+                }
+                switchAddMethod(page, 'search');
+                performSearch(page);
+            });
+        }
+
         var searchSelectAllBtn = page.querySelector('#searchSelectAllBtn');
         if (searchSelectAllBtn) {
             searchSelectAllBtn.addEventListener('click', function () {
@@ -1420,6 +3018,13 @@
             });
         }
 
+        var searchSaveRulesBtn = page.querySelector('#searchSaveRulesBtn');
+        if (searchSaveRulesBtn) {
+            searchSaveRulesBtn.addEventListener('click', function () {
+                saveSearchAsRules(page);
+            });
+        }
+
         var searchAddBtn = page.querySelector('#searchAddSelectedBtn');
         if (searchAddBtn) {
             searchAddBtn.addEventListener('click', function () {
@@ -1442,6 +3047,8 @@
             });
         }
 
+        setupPreviewDragAndDrop(page);
+
         var previewSelectAll = page.querySelector('#previewSelectAll');
         if (previewSelectAll) {
             previewSelectAll.addEventListener('change', function () {
@@ -1476,7 +3083,26 @@
             }
         });
 
-        // Load browse filters when switching to browse
+        // Folder tree (click delegation)
+        var folderTree = page.querySelector('#browse-folder-tree');
+        if (folderTree) {
+            folderTree.addEventListener('click', function (e) {
+                var node = e.target.closest('.folder-node');
+                if (!node) return;
+                var folderId = node.getAttribute('data-folder-id');
+
+                var addBtn = e.target.closest('.folder-add-btn');
+                if (addBtn) {
+                    addFolderSubtree(page, folderId, addBtn);
+                } else if (e.target.closest('.folder-toggle-btn')) {
+                    toggleFolderNode(page, node);
+                } else if (e.target.closest('.folder-node-name')) {
+                    showFolderItems(page, folderId);
+                }
+            });
+        }
+
+        // Load browse filters and folder tree when switching to browse
         var browseTab = page.querySelector('.add-method-tab[data-method="browse"]');
         if (browseTab) {
             browseTab.addEventListener('click', function () {
@@ -1484,6 +3110,10 @@
                 if (genreSelect && genreSelect.options.length <= 1) {
                     loadBrowseFilters(page);
                 }
+                renderFolderMediaTypeOptions(page);
+                if (!folderTreeState.loaded) {
+                    loadFolderTree(page);
+                }
             });
         }
     }
@@ -0,0 +1,26 @@
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Enums
+{
+    /// <summary>
+    /// Defines what an ignore entry applies to.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum IgnoreScope
+    {
+        /// <summary>
+        /// A single track, matched by item ID.
+        /// </summary>
+        Track,
+
+        /// <summary>
+        /// Every track by an artist, matched by artist name.
+        /// </summary>
+        Artist,
+
+        /// <summary>
+        /// Every track on an album, matched by album name and album artist.
+        /// </summary>
+        Album
+    }
+}
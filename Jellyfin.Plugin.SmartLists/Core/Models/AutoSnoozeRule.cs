@@ -0,0 +1,127 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// Per-playlist rule that snoozes overplayed tracks automatically during refresh.
+    /// A track is snoozed when its play count is above PlayCountThreshold and it was
+    /// last played within the last WithinDays days.
+    /// </summary>
+    [Serializable]
+    public class AutoSnoozeRule
+    {
+        /// <summary>
+        /// Whether the rule is applied on refresh.
+        /// </summary>
+        public bool Enabled { get; set; }
+
+        /// <summary>
+        /// Tracks played more than this many times are candidates for snoozing.
+        /// </summary>
+        public int PlayCountThreshold { get; set; } = 10;
+
+        /// <summary>
+        /// Only tracks last played within this many days are snoozed.
+        /// </summary>
+        public int WithinDays { get; set; } = 14;
+
+        /// <summary>
+        /// How long auto-snoozed tracks are ignored, in days.
+        /// </summary>
+        public int SnoozeDays { get; set; } = 30;
+
+        /// <summary>
+        /// Tracks whose auto-snooze was removed by the user, with the time it was removed.
+        /// A dismissed track is not snoozed again until it is played after that time.
+        /// Managed by the server.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public Dictionary<string, DateTime>? Dismissed { get; set; }
+
+        /// <summary>
+        /// Records that the user removed an auto-snooze for a track.
+        /// </summary>
+        /// <param name="trackId">The track's item ID.</param>
+        public void RecordDismissal(string trackId)
+        {
+            Dismissed ??= new Dictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
+            Dismissed[trackId] = DateTime.UtcNow;
+        }
+
+        /// <summary>
+        /// Checks whether a track's auto-snooze was dismissed since it was last played.
+        /// </summary>
+        /// <param name="trackId">The track's item ID.</param>
+        /// <param name="lastPlayed">When the track was last played.</param>
+        /// <returns>True if the track should not be snoozed again yet.</returns>
+        public bool IsDismissed(string trackId, DateTime lastPlayed)
+        {
+            return Dismissed != null &&
+                Dismissed.TryGetValue(trackId, out var dismissedAt) &&
+                lastPlayed <= dismissedAt;
+        }
+
+        /// <summary>
+        /// Gets the start of the rule's play window.
+        /// </summary>
+        /// <param name="now">The current time (UTC).</param>
+        /// <returns>The earliest last-played time that can trigger the rule.</returns>
+        public DateTime GetWindowStart(DateTime now)
+        {
+            return now.AddDays(-Math.Max(WithinDays, 1));
+        }
+
+        /// <summary>
+        /// Decides whether a track should be snoozed by this rule.
+        /// A track is only snoozed once per play: when its last auto-snooze was created after
+        /// it was last played, the snooze may have expired while that play is still inside the
+        /// window, and snoozing it again would keep it out of the playlist without it ever being played.
+        /// </summary>
+        /// <param name="trackId">The track's item ID.</param>
+        /// <param name="playCount">The track's all-time play count.</param>
+        /// <param name="lastPlayed">When the track was last played (UTC), if ever.</param>
+        /// <param name="lastAutoSnoozedAt">When the track was last auto-snoozed in this playlist, if ever.</param>
+        /// <param name="now">The current time (UTC).</param>
+        /// <returns>True if the track should be snoozed.</returns>
+        public bool ShouldSnooze(string trackId, int playCount, DateTime? lastPlayed, DateTime? lastAutoSnoozedAt, DateTime now)
+        {
+            if (playCount <= PlayCountThreshold || !lastPlayed.HasValue || lastPlayed.Value < GetWindowStart(now))
+            {
+                return false;
+            }
+
+            if (lastAutoSnoozedAt.HasValue && lastAutoSnoozedAt.Value >= lastPlayed.Value)
+            {
+                return false;
+            }
+
+            return !IsDismissed(trackId, lastPlayed.Value);
+        }
+
+        /// <summary>
+        /// Drops dismissals older than the rule's window, since any play that
+        /// could trigger the rule again happened after them.
+        /// </summary>
+        /// <param name="windowStart">Start of the rule's play window.</param>
+        public void PruneDismissals(DateTime windowStart)
+        {
+            if (Dismissed == null)
+            {
+                return;
+            }
+
+            foreach (var key in Dismissed.Where(d => d.Value < windowStart).Select(d => d.Key).ToList())
+            {
+                Dismissed.Remove(key);
+            }
+
+            if (Dismissed.Count == 0)
+            {
+                Dismissed = null;
+            }
+        }
+    }
+}
@@ -1,5 +1,8 @@
 using System;
+using System.Collections.Generic;
+using System.Linq;
 using System.Text.Json.Serialization;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 
 namespace Jellyfin.Plugin.SmartLists.Core.Models
 {
@@ -17,14 +20,33 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
 
         /// <summary>
         /// The Jellyfin item ID of the ignored track.
+        /// Empty for artist and album scoped ignores.
         /// </summary>
         public string TrackId { get; set; } = string.Empty;
 
+        /// <summary>
+        /// What this ignore applies to. Artist scope matches on ArtistName,
+        /// album scope matches on AlbumName (and ArtistName as album artist, if set).
+        /// Entries saved before scopes existed default to Track.
+        /// </summary>
+        public IgnoreScope Scope { get; set; } = IgnoreScope.Track;
+
         /// <summary>
         /// The smart playlist this ignore applies to.
+        /// Empty for global ignores, which apply to all of the user's smart playlists.
         /// </summary>
         public string SmartPlaylistId { get; set; } = string.Empty;
 
+        /// <summary>
+        /// Whether this ignore applies to all of the user's smart playlists.
+        /// </summary>
+        public bool IsGlobal => string.IsNullOrEmpty(SmartPlaylistId);
+
+        /// <summary>
+        /// Whether this ignore was created by the playlist's auto-snooze rule rather than by the user.
+        /// </summary>
+        public bool IsAutomatic { get; set; }
+
         /// <summary>
         /// The user who created this ignore entry.
         /// </summary>
@@ -73,6 +95,13 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public string? Reason { get; set; }
 
+        /// <summary>
+        /// Whether the user chose to let this ignore expire, so it is no longer offered as returning soon.
+        /// Cleared when the ignore's duration is changed.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
+        public bool LetLapse { get; set; }
+
         /// <summary>
         /// Checks if this ignore entry has expired.
         /// </summary>
@@ -97,12 +126,61 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
             return !IsExpired();
         }
 
+        /// <summary>
+        /// Checks if this ignore applies to a track with the given metadata.
+        /// </summary>
+        /// <param name="trackId">The track's item ID.</param>
+        /// <param name="artists">The track's artists and album artists.</param>
+        /// <param name="albumName">The track's album name.</param>
+        /// <returns>True if the track is covered by this ignore.</returns>
+        public bool Matches(string trackId, IEnumerable<string> artists, string? albumName)
+        {
+            switch (Scope)
+            {
+                case IgnoreScope.Artist:
+                    return !string.IsNullOrEmpty(ArtistName) &&
+                        artists.Contains(ArtistName, StringComparer.OrdinalIgnoreCase);
+                case IgnoreScope.Album:
+                    return !string.IsNullOrEmpty(AlbumName) &&
+                        string.Equals(AlbumName, albumName, StringComparison.OrdinalIgnoreCase) &&
+                        (string.IsNullOrEmpty(ArtistName) || artists.Contains(ArtistName, StringComparer.OrdinalIgnoreCase));
+                default:
+                    return Guid.TryParse(TrackId, out var ignoredGuid) &&
+                        Guid.TryParse(trackId, out var trackGuid) &&
+                        ignoredGuid == trackGuid;
+            }
+        }
+
+        /// <summary>
+        /// Gets a key identifying what this ignore targets, used to avoid duplicate entries.
+        /// </summary>
+        /// <returns>The target key.</returns>
+        public string GetTargetKey()
+        {
+            return Scope switch
+            {
+                IgnoreScope.Artist => $"artist:{ArtistName}",
+                IgnoreScope.Album => $"album:{AlbumName}|{ArtistName}",
+                _ => $"track:{TrackId}"
+            };
+        }
+
+        /// <summary>
+        /// Creates a copy of this entry, used when archiving it.
+        /// </summary>
+        /// <returns>A shallow copy of the entry.</returns>
+        public IgnoredTrack Clone()
+        {
+            return (IgnoredTrack)MemberwiseClone();
+        }
+
         /// <summary>
         /// Updates the duration and recalculates the expiry date.
         /// </summary>
         /// <param name="newDurationDays">New duration in days. Null for permanent.</param>
         public void UpdateDuration(int? newDurationDays)
         {
+            LetLapse = false;
             DurationDays = newDurationDays;
             // Treat 0 as permanent (no expiration), same as null
             ExpiresAt = newDurationDays.HasValue && newDurationDays.Value > 0
@@ -110,6 +188,24 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
                 : null;
         }
 
+        /// <summary>
+        /// Sets the ignore to expire the given number of days from now rather than from when it was created.
+        /// The whole days already elapsed are added to the duration, so the entry never expires as a result.
+        /// </summary>
+        /// <param name="daysFromNow">Days from now until expiry. Null or 0 for permanent.</param>
+        /// <param name="now">The current UTC time.</param>
+        public void SetExpiresInDays(int? daysFromNow, DateTime now)
+        {
+            if (!daysFromNow.HasValue || daysFromNow.Value <= 0)
+            {
+                UpdateDuration(null);
+                return;
+            }
+
+            var elapsedDays = Math.Max(0, (int)Math.Floor((now - IgnoredAt).TotalDays));
+            UpdateDuration(elapsedDays + daysFromNow.Value);
+        }
+
         /// <summary>
         /// Creates a new ignore entry with calculated expiry.
         /// </summary>
@@ -121,7 +217,8 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
             string? trackName = null,
             string? artistName = null,
             string? albumName = null,
-            string? reason = null)
+            string? reason = null,
+            IgnoreScope scope = IgnoreScope.Track)
         {
             var now = DateTime.UtcNow;
             return new IgnoredTrack
@@ -137,7 +234,8 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
                 TrackName = trackName,
                 ArtistName = artistName,
                 AlbumName = albumName,
-                Reason = reason
+                Reason = reason,
+                Scope = scope
             };
         }
     }
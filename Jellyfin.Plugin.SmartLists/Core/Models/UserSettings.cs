@@ -0,0 +1,37 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// Per-user preferences for the NrN Playlists client features.
+    /// Stored server-side so they follow the user across browsers and apps.
+    /// </summary>
+    [Serializable]
+    public class UserSettings
+    {
+        /// <summary>
+        /// Default number of days to ignore a track from the context menu.
+        /// 0 means permanent.
+        /// </summary>
+        public int DefaultIgnoreDays { get; set; } = 30;
+
+        /// <summary>
+        /// Keyboard shortcut that ignores the currently playing track (e.g. "Shift+S").
+        /// Empty string disables the shortcut.
+        /// </summary>
+        public string IgnoreShortcut { get; set; } = "Shift+S";
+
+        /// <summary>
+        /// Optional columns shown in the playlist track tables (e.g. "playCount", "snoozeCount").
+        /// </summary>
+        public List<string> TrackColumns { get; set; } = [];
+
+        /// <summary>
+        /// When the settings were last saved. Null if the user has never saved settings.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public DateTime? LastModified { get; set; }
+    }
+}
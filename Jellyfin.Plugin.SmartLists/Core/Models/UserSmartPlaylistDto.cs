@@ -117,6 +117,12 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         /// </summary>
         public int DefaultIgnoreDurationDays { get; set; } = 30;
 
+        /// <summary>
+        /// Optional: Rule for automatically snoozing overplayed tracks on refresh.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public AutoSnoozeRule? AutoSnooze { get; set; }
+
         /// <summary>
         /// Optional: Specific item IDs to include in the playlist.
         /// These are added in addition to items matched by rules or source playlist.
@@ -124,5 +130,31 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         /// </summary>
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public List<string>? IncludedItemIds { get; set; }
+
+        /// <summary>
+        /// Optional: Item IDs in the order the user arranged them by drag and drop.
+        /// Used when the primary sort is "Manual"; items not listed follow in their normal order.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<string>? ManualOrder { get; set; }
+
+        /// <summary>
+        /// Optional: Item IDs the user pinned. Pinned items are always included,
+        /// even when rules, limits or ignores would otherwise drop them.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<string>? PinnedItemIds { get; set; }
+
+        /// <summary>
+        /// Optional: Item IDs to ignore permanently in the new playlist, such as the extra versions
+        /// the wizard's "Keep One Per Group" dropped. Only read on create and never stored.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<string>? IgnoredItemIds { get; set; }
+
+        /// <summary>
+        /// Whether pinned items are placed at the top of the playlist.
+        /// </summary>
+        public bool PinnedFirst { get; set; } = false;
     }
 }
@@ -0,0 +1,158 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// A half-built playlist saved from the wizard so it can be resumed later.
+    /// Stored server-side so drafts follow the user across browsers and apps.
+    /// </summary>
+    [Serializable]
+    public class WizardDraft
+    {
+        /// <summary>
+        /// Unique identifier for this draft.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Name of the playlist being built.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Wizard step the user was on when the draft was saved.
+        /// </summary>
+        public int CurrentStep { get; set; } = 1;
+
+        /// <summary>
+        /// Whether the wizard was converting an existing Jellyfin playlist.
+        /// </summary>
+        public bool IsConvert { get; set; }
+
+        /// <summary>
+        /// The Jellyfin playlist being converted, if any.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? SourcePlaylistId { get; set; }
+
+        /// <summary>
+        /// Set when the wizard was adding media to an existing playlist.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? EditPlaylistId { get; set; }
+
+        /// <summary>
+        /// Whether the playlist will be public.
+        /// </summary>
+        public bool IsPublic { get; set; }
+
+        /// <summary>
+        /// Media types chosen in the first step.
+        /// </summary>
+        public List<string> MediaTypes { get; set; } = [];
+
+        /// <summary>
+        /// Rules applied to the preview, if any.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<ExpressionSet>? ExpressionSets { get; set; }
+
+        /// <summary>
+        /// Sort options chosen for the playlist.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public OrderDto? Order { get; set; }
+
+        /// <summary>
+        /// Maximum number of items, or null for no limit.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? MaxItems { get; set; }
+
+        /// <summary>
+        /// Maximum playtime in minutes, or null for no limit.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? MaxPlayTimeMinutes { get; set; }
+
+        /// <summary>
+        /// Whether pinned items are placed first.
+        /// </summary>
+        public bool PinnedFirst { get; set; }
+
+        /// <summary>
+        /// Default ignore duration for the new playlist (0 = permanent).
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? DefaultIgnoreDurationDays { get; set; }
+
+        /// <summary>
+        /// Duplicate versions removed from the preview, ignored when the playlist is saved.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<string>? DroppedDuplicateIds { get; set; }
+
+        /// <summary>
+        /// Items in the wizard preview, in preview order.
+        /// </summary>
+        public List<WizardDraftItem> Items { get; set; } = [];
+
+        /// <summary>
+        /// When the draft was first saved.
+        /// </summary>
+        public DateTime Created { get; set; }
+
+        /// <summary>
+        /// When the draft was last saved.
+        /// </summary>
+        public DateTime LastModified { get; set; }
+    }
+
+    /// <summary>
+    /// An item in a wizard draft's preview.
+    /// </summary>
+    [Serializable]
+    public class WizardDraftItem
+    {
+        /// <summary>
+        /// The Jellyfin item ID.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Display name, kept so the draft can be shown without looking items up.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Artist display name.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Artist { get; set; }
+
+        /// <summary>
+        /// Album display name.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Album { get; set; }
+
+        /// <summary>
+        /// Runtime in ticks.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public long? RuntimeTicks { get; set; }
+
+        /// <summary>
+        /// How the item was added (rules, browse, search, seed, import, clone).
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Source { get; set; }
+
+        /// <summary>
+        /// Whether the item was pinned in the preview.
+        /// </summary>
+        public bool Pinned { get; set; }
+    }
+}
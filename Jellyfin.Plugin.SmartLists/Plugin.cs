@@ -187,6 +187,12 @@ namespace Jellyfin.Plugin.SmartLists
                     Name = "user-wizard.js",
                     EmbeddedResourcePath = GetType().Namespace + ".Configuration.user-wizard.js",
                 },
+                // Playlist file import parsers (wizard)
+                new PluginPageInfo
+                {
+                    Name = "user-import.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.user-import.js",
+                },
                 // User settings page
                 new PluginPageInfo
                 {
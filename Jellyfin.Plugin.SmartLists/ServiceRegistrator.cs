@@ -43,6 +43,18 @@ namespace Jellyfin.Plugin.SmartLists
                 var logger = sp.GetService<Microsoft.Extensions.Logging.ILogger<IgnoreStore>>();
                 return new IgnoreStore(fileSystem, logger);
             });
+            serviceCollection.AddSingleton<UserSettingsStore>(sp =>
+            {
+                var fileSystem = sp.GetRequiredService<ISmartListFileSystem>();
+                var logger = sp.GetService<Microsoft.Extensions.Logging.ILogger<UserSettingsStore>>();
+                return new UserSettingsStore(fileSystem, logger);
+            });
+            serviceCollection.AddSingleton<WizardDraftStore>(sp =>
+            {
+                var fileSystem = sp.GetRequiredService<ISmartListFileSystem>();
+                var logger = sp.GetService<Microsoft.Extensions.Logging.ILogger<WizardDraftStore>>();
+                return new WizardDraftStore(fileSystem, logger);
+            });
             serviceCollection.AddScoped<UserPlaylistService>();
 
             // Register RefreshQueueService as singleton
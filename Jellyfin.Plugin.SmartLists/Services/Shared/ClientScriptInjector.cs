@@ -254,25 +254,136 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             if (this.DEBUG) console.log.apply(console, ['[SmartLists]'].concat(Array.prototype.slice.call(arguments)));
         },
 
-        // Get user's default ignore days from localStorage settings
-        getDefaultIgnoreDays: function() {
+        // User settings loaded from the server (null until loaded)
+        settings: null,
+
+        // Load the user's settings from the server, migrating any legacy localStorage values first
+        loadSettings: function() {
+            var self = this;
+            var headers = self.getAuthHeaders();
+            if (!headers.Authorization) return;
+
+            fetch('/Plugins/SmartLists/User/settings', { headers: headers })
+                .then(function(response) {
+                    if (!response.ok) throw new Error('Failed to load settings');
+                    return response.json();
+                })
+                .then(function(settings) {
+                    self.settings = settings;
+                    return self.migrateLegacySettings(settings);
+                })
+                .catch(function(err) {
+                    self.log('Error loading settings:', err);
+                });
+        },
+
+        // One-time migration of settings saved in this browser before they were stored server-side
+        migrateLegacySettings: function(serverSettings) {
+            var self = this;
+            var legacy = null;
             try {
                 var stored = localStorage.getItem('smartlists_user_settings');
-                if (stored) {
-                    var settings = JSON.parse(stored);
-                    if (typeof settings.defaultIgnoreDays === 'number') {
-                        return settings.defaultIgnoreDays;
-                    }
-                }
+                if (stored) legacy = JSON.parse(stored);
             } catch (e) {
-                console.error('[SmartLists] Error reading settings:', e);
+                console.error('[SmartLists] Error reading legacy settings:', e);
+            }
+            if (!legacy) return;
+
+            // Server values win if the user has already saved settings there
+            if (serverSettings.LastModified) {
+                localStorage.removeItem('smartlists_user_settings');
+                return;
+            }
+
+            var body = {};
+            if (typeof legacy.defaultIgnoreDays === 'number') body.DefaultIgnoreDays = legacy.defaultIgnoreDays;
+            if (typeof legacy.ignoreShortcut === 'string') body.IgnoreShortcut = legacy.ignoreShortcut;
+
+            var headers = self.getAuthHeaders();
+            headers['Content-Type'] = 'application/json';
+
+            return fetch('/Plugins/SmartLists/User/settings', {
+                method: 'PUT',
+                headers: headers,
+                body: JSON.stringify(body)
+            })
+                .then(function(response) {
+                    if (!response.ok) throw new Error('Failed to migrate settings');
+                    return response.json();
+                })
+                .then(function(settings) {
+                    self.settings = settings;
+                    localStorage.removeItem('smartlists_user_settings');
+                    self.log('Migrated local settings to server');
+                });
+        },
+
+        // Get default ignore days: the smart playlist's own default, falling back to the user's setting
+        getDefaultIgnoreDays: function(playlist) {
+            if (playlist === undefined) playlist = this.currentSmartPlaylist;
+            if (playlist && typeof playlist.DefaultIgnoreDurationDays === 'number') {
+                return playlist.DefaultIgnoreDurationDays;
+            }
+            if (this.settings && typeof this.settings.DefaultIgnoreDays === 'number') {
+                return this.settings.DefaultIgnoreDays;
             }
             return 30; // Default fallback
         },
 
+        // Get user's ignore keyboard shortcut (empty string = disabled)
+        getIgnoreShortcut: function() {
+            if (this.settings && typeof this.settings.IgnoreShortcut === 'string') {
+                return this.settings.IgnoreShortcut;
+            }
+            return 'Shift+S'; // Default fallback
+        },
+
+        // Build a shortcut string like 'Ctrl+Shift+S' from a keydown event. This is the reference format:
+        // modifiers in the order Ctrl, Alt, Shift, Meta, then the physical letter or digit (from e.code)
+        // or the uppercased key. Configuration/user-settings.js records shortcuts with a copy of this
+        // function; keep both identical or saved shortcuts stop matching.
+        formatShortcut: function(e) {
+            var key = e.key;
+            if (!key || key === 'Control' || key === 'Shift' || key === 'Alt' || key === 'Meta') {
+                return null;
+            }
+            if (e.code && /^Key[A-Z]$/.test(e.code)) {
+                key = e.code.substring(3);
+            } else if (e.code && /^Digit[0-9]$/.test(e.code)) {
+                key = e.code.substring(5);
+            } else if (key.length === 1) {
+                key = key.toUpperCase();
+            }
+            var parts = [];
+            if (e.ctrlKey) parts.push('Ctrl');
+            if (e.altKey) parts.push('Alt');
+            if (e.shiftKey) parts.push('Shift');
+            if (e.metaKey) parts.push('Meta');
+            parts.push(key);
+            return parts.join('+');
+        },
+
+        // Global shortcut handler: ignore the playing item for the default period
+        handleShortcut: function(e) {
+            var shortcut = this.getIgnoreShortcut();
+            if (!shortcut) return;
+
+            // Don't hijack typing in form fields
+            var target = e.target;
+            if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+                return;
+            }
+
+            if (this.formatShortcut(e) !== shortcut || !this.getQueueContext()) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.ignoreNowPlaying(true);
+        },
+
         // Get display text for ignore period
-        getIgnoreText: function() {
-            var days = this.getDefaultIgnoreDays();
+        getIgnoreText: function(days) {
+            if (typeof days !== 'number') days = this.getDefaultIgnoreDays();
             if (days === 0) return 'Ignore Permanently';
             if (days === 1) return 'Ignore for 1 day';
             if (days === 365) return 'Ignore for 1 year';
@@ -423,12 +534,17 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             btn.className = 'listItem listItem-button actionSheetMenuItem';
             btn.type = 'button';
             btn.innerHTML = '<span class=""material-icons listItemIcon listItemIcon-transparent"">block</span>' +
-                            '<div class=""listItemBody actionSheetItemText""><div class=""listItemBodyText"">' + self.getIgnoreText() + '</div></div>';
+                            '<div class=""listItemBody actionSheetItemText""><div class=""listItemBodyText"">' +
+                            self.getIgnoreText(self.getDefaultIgnoreDays()) + '...</div></div>';
 
             btn.onclick = function(e) {
                 e.preventDefault();
                 e.stopPropagation();
-                self.ignoreItem();
+                var playlist = self.currentSmartPlaylist;
+                var itemId = self.currentItemId;
+                self.showIgnorePicker(function(days, reason, target) {
+                    self.ignoreItem(days, reason, { playlistId: playlist.Id, itemId: itemId, scope: target.scope, global: target.global });
+                }, playlist);
                 // Close the dialog using Jellyfin's dialogHelper
                 var dlg = actionSheet.closest('.dialog') || actionSheet;
                 if (window.require) {
@@ -463,26 +579,156 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             self.log('Injected ignore button');
         },
 
+        // Show duration picker (scope, playlist or everywhere, preset durations, custom days and optional reason)
+        // The playlist's default duration is listed first
+        // onSelect(days, reason, target) where target is { scope, global }
+        showIgnorePicker: function(onSelect, playlist) {
+            var self = this;
+            var defaultDays = self.getDefaultIgnoreDays(playlist);
+            var presets = [1, 7, 30, 90, 0].filter(function(days) { return days !== defaultDays; });
+            presets.unshift(defaultDays);
+
+            var existing = document.getElementById('smartlists-ignore-picker');
+            if (existing) existing.remove();
+
+            var overlay = document.createElement('div');
+            overlay.id = 'smartlists-ignore-picker';
+            overlay.style.cssText = 'position:fixed;top:0;left:0;right:0;bottom:0;background:rgba(0,0,0,0.6);z-index:10001;display:flex;align-items:center;justify-content:center;';
+
+            var btnStyle = 'display:block;width:100%;text-align:left;padding:10px 14px;margin:0 0 6px 0;background:#2a2a2a;color:#fff;border:1px solid #444;border-radius:4px;cursor:pointer;font-size:1em;';
+            var inputStyle = 'width:100%;box-sizing:border-box;padding:8px;background:#1a1a1a;color:#fff;border:1px solid #444;border-radius:4px;font-size:1em;';
+
+            var html = '<div style=""background:#202020;color:#fff;padding:20px;border-radius:8px;width:320px;max-width:90vw;box-shadow:0 4px 20px rgba(0,0,0,0.5);"">';
+            html += '<h3 style=""margin:0 0 12px 0;"">Ignore this item</h3>';
+            html += '<div style=""display:flex;gap:6px;margin:0 0 12px 0;"">';
+            [['Track', 'This track'], ['Artist', 'Artist'], ['Album', 'Album']].forEach(function(scope) {
+                html += '<button type=""button"" data-scope=""' + scope[0] + '"" style=""' + btnStyle + 'flex:1;margin:0;text-align:center;"">' + scope[1] + '</button>';
+            });
+            html += '</div>';
+            html += '<div style=""display:flex;gap:6px;margin:0 0 12px 0;"">';
+            html += '<button type=""button"" data-global=""false"" style=""' + btnStyle + 'flex:1;margin:0;text-align:center;"">This playlist</button>';
+            html += '<button type=""button"" data-global=""true"" style=""' + btnStyle + 'flex:1;margin:0;text-align:center;"">All playlists</button>';
+            html += '</div>';
+            presets.forEach(function(days) {
+                var label = self.getIgnoreText(days) + (days === defaultDays ? ' (default)' : '');
+                html += '<button type=""button"" data-days=""' + days + '"" style=""' + btnStyle + '"">' + label + '</button>';
+            });
+            html += '<div style=""display:flex;gap:6px;margin:4px 0 12px 0;"">';
+            html += '<input type=""number"" min=""1"" max=""3650"" placeholder=""Custom days"" data-custom-days style=""' + inputStyle + 'flex:1;"">';
+            html += '<button type=""button"" data-custom-apply style=""' + btnStyle + 'width:auto;margin:0;"">Ignore</button>';
+            html += '</div>';
+            html += '<input type=""text"" maxlength=""200"" placeholder=""Reason (optional)"" data-reason style=""' + inputStyle + '"">';
+            html += '<div style=""text-align:right;margin-top:12px;""><button type=""button"" data-cancel style=""' + btnStyle + 'display:inline-block;width:auto;margin:0;"">Cancel</button></div>';
+            html += '</div>';
+            overlay.innerHTML = html;
+
+            var reasonInput = overlay.querySelector('[data-reason]');
+            var customInput = overlay.querySelector('[data-custom-days]');
+            var selectedScope = 'Track';
+            var selectedGlobal = 'false';
+
+            function highlight(attr, value) {
+                overlay.querySelectorAll('[' + attr + ']').forEach(function(btn) {
+                    var active = btn.getAttribute(attr) === value;
+                    btn.style.background = active ? '#00a4dc' : '#2a2a2a';
+                    btn.style.borderColor = active ? '#00a4dc' : '#444';
+                });
+            }
+
+            function setScope(scope) {
+                selectedScope = scope;
+                highlight('data-scope', scope);
+            }
+
+            function setGlobal(value) {
+                selectedGlobal = value;
+                highlight('data-global', value);
+            }
+
+            function close() {
+                overlay.remove();
+                document.removeEventListener('keydown', onKeyDown, true);
+            }
+
+            function select(days) {
+                var reason = reasonInput.value.trim();
+                close();
+                onSelect(days, reason || null, { scope: selectedScope, global: selectedGlobal === 'true' });
+            }
+
+            function applyCustom() {
+                var days = parseInt(customInput.value, 10);
+                if (isNaN(days) || days < 1) {
+                    customInput.focus();
+                    return;
+                }
+                select(days);
+            }
+
+            function onKeyDown(e) {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    close();
+                }
+            }
+
+            overlay.addEventListener('click', function(e) {
+                var target = e.target;
+                if (target === overlay || target.hasAttribute('data-cancel')) {
+                    close();
+                } else if (target.hasAttribute('data-scope')) {
+                    setScope(target.getAttribute('data-scope'));
+                } else if (target.hasAttribute('data-global')) {
+                    setGlobal(target.getAttribute('data-global'));
+                } else if (target.hasAttribute('data-days')) {
+                    select(parseInt(target.getAttribute('data-days'), 10));
+                } else if (target.hasAttribute('data-custom-apply')) {
+                    applyCustom();
+                }
+            });
+
+            customInput.addEventListener('keydown', function(e) {
+                if (e.key === 'Enter') applyCustom();
+            });
+
+            setScope(selectedScope);
+            setGlobal(selectedGlobal);
+            document.addEventListener('keydown', onKeyDown, true);
+            document.body.appendChild(overlay);
+        },
+
         // Call API to ignore the item
-        ignoreItem: function() {
+        // options: { playlistId, itemId | itemIds, scope, global, skipToNext, refreshPage } - defaults to the current page context
+        // scope is 'Track' (default), 'Artist' or 'Album'; for the latter the items identify which artist/album to ignore
+        // global applies the ignore to all of the user's smart playlists
+        ignoreItem: function(days, reason, options) {
             var self = this;
-            if (!self.currentSmartPlaylist || !self.currentItemId) {
+            options = options || {};
+            var playlistId = options.playlistId || (self.currentSmartPlaylist && self.currentSmartPlaylist.Id);
+            var itemIds = options.itemIds || [options.itemId || self.currentItemId];
+            var shouldRefresh = options.refreshPage !== false;
+            itemIds = itemIds.filter(function(id) { return !!id; });
+            if (!playlistId || itemIds.length === 0) {
                 console.error('[SmartLists] Cannot ignore - missing playlist or item');
                 return;
             }
 
-            self.log('Ignoring item:', self.currentItemId, 'from playlist:', self.currentSmartPlaylist.Id);
+            self.log('Ignoring items:', itemIds, 'from playlist:', playlistId);
 
-            var ignoreDays = self.getDefaultIgnoreDays();
+            var ignoreDays = typeof days === 'number' ? days : self.getDefaultIgnoreDays();
+            var scope = options.scope || 'Track';
             var body = {
-                TrackIds: [self.currentItemId],
-                DurationDays: ignoreDays
+                TrackIds: itemIds,
+                DurationDays: ignoreDays,
+                Reason: reason || null,
+                Scope: scope,
+                Global: !!options.global
             };
 
             var headers = self.getAuthHeaders();
             headers['Content-Type'] = 'application/json';
 
-            fetch('/Plugins/SmartLists/User/' + self.currentSmartPlaylist.Id + '/ignores/bulk', {
+            fetch('/Plugins/SmartLists/User/' + playlistId + '/ignores/bulk', {
                 method: 'POST',
                 headers: headers,
                 body: JSON.stringify(body)
@@ -493,18 +739,24 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             })
             .then(function(result) {
                 self.log('Ignore successful:', result);
-                // Show notification
-                var msg = ignoreDays === 0 ? 'Item ignored permanently' : 'Item ignored for ' + ignoreDays + ' day' + (ignoreDays === 1 ? '' : 's');
-                self.showToast(msg);
-                // Refresh the page to show updated playlist
-                setTimeout(function() {
-                    // Try Jellyfin's router first, fallback to page reload
-                    if (window.Emby && window.Emby.Page && window.Emby.Page.refresh) {
-                        window.Emby.Page.refresh();
-                    } else {
-                        location.reload();
-                    }
-                }, 500);
+                if (options.skipToNext) {
+                    self.skipToNextTrack();
+                }
+                // Show notification with an undo window, refresh once it has closed
+                var subject = self.getIgnoreSubject(scope, scope === 'Track' ? itemIds.length : result.Added);
+                var msg = ignoreDays === 0 ? subject + ' ignored permanently' : subject + ' ignored for ' + ignoreDays + ' day' + (ignoreDays === 1 ? '' : 's');
+                if (options.global) msg += ' in all playlists';
+                var ignoreIds = result.IgnoreIds || [];
+                if (ignoreIds.length === 0) {
+                    self.showToast(msg);
+                    if (shouldRefresh) setTimeout(function() { self.refreshPage(); }, 500);
+                    return;
+                }
+                self.showUndoToast(msg, function() {
+                    self.undoIgnore(playlistId, ignoreIds, shouldRefresh);
+                }, function() {
+                    if (shouldRefresh) self.refreshPage();
+                });
             })
             .catch(function(err) {
                 console.error('[SmartLists] Ignore failed:', err);
@@ -512,6 +764,307 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             });
         },
 
+        // Describe what was ignored, e.g. 'Item', '3 items', 'Artist', '2 albums'
+        getIgnoreSubject: function(scope, count) {
+            var noun = scope === 'Artist' ? 'artist' : scope === 'Album' ? 'album' : 'item';
+            if (count === 1) return noun.charAt(0).toUpperCase() + noun.slice(1);
+            return count + ' ' + noun + 's';
+        },
+
+        // Remove ignores that were just created (undo)
+        undoIgnore: function(playlistId, ignoreIds, shouldRefresh) {
+            var self = this;
+            var headers = self.getAuthHeaders();
+            headers['Content-Type'] = 'application/json';
+
+            fetch('/Plugins/SmartLists/User/' + playlistId + '/ignores/bulk', {
+                method: 'DELETE',
+                headers: headers,
+                body: JSON.stringify({ IgnoreIds: ignoreIds })
+            })
+            .then(function(response) {
+                if (!response.ok) throw new Error('Failed to undo ignore');
+                return response.json();
+            })
+            .then(function(result) {
+                self.log('Undo successful:', result);
+                self.showToast('Ignore undone');
+                if (shouldRefresh !== false) setTimeout(function() { self.refreshPage(); }, 500);
+            })
+            .catch(function(err) {
+                console.error('[SmartLists] Undo failed:', err);
+                self.showToast('Failed to undo ignore');
+            });
+        },
+
+        // Refresh the current view to show the updated playlist
+        refreshPage: function() {
+            // Try Jellyfin's router first, fallback to page reload
+            if (window.Emby && window.Emby.Page && window.Emby.Page.refresh) {
+                window.Emby.Page.refresh();
+            } else {
+                location.reload();
+            }
+        },
+
+        // Toast with an Undo button; onClose runs when the undo window expires without undo
+        showUndoToast: function(message, onUndo, onClose) {
+            var UNDO_WINDOW_MS = 5000;
+            var existing = document.getElementById('smartlists-undo-toast');
+            if (existing) existing.remove();
+
+            var toast = document.createElement('div');
+            toast.id = 'smartlists-undo-toast';
+            toast.style.cssText = 'position:fixed;bottom:20px;left:50%;transform:translateX(-50%);background:#333;color:#fff;padding:10px 12px 10px 24px;border-radius:4px;z-index:10000;display:flex;align-items:center;gap:16px;box-shadow:0 2px 10px rgba(0,0,0,0.4);';
+
+            var text = document.createElement('span');
+            text.textContent = message;
+            toast.appendChild(text);
+
+            var undoBtn = document.createElement('button');
+            undoBtn.type = 'button';
+            undoBtn.textContent = 'Undo';
+            undoBtn.style.cssText = 'background:none;border:none;color:#00a4dc;font-weight:bold;text-transform:uppercase;cursor:pointer;padding:6px 10px;font-size:0.95em;';
+            toast.appendChild(undoBtn);
+
+            var done = false;
+            var timer = setTimeout(function() {
+                if (done) return;
+                done = true;
+                toast.remove();
+                onClose();
+            }, UNDO_WINDOW_MS);
+
+            undoBtn.onclick = function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                toast.remove();
+                onUndo();
+            };
+
+            document.body.appendChild(toast);
+        },
+
+        // ========== NOW PLAYING / OSD ==========
+        // Smart playlist the current queue was started from (set by handlePlayAction)
+        getQueueContext: function() {
+            try {
+                var stored = sessionStorage.getItem('smartlists_queue_context');
+                return stored ? JSON.parse(stored) : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        getDeviceId: function() {
+            if (window.ApiClient && typeof window.ApiClient.deviceId === 'function') {
+                return window.ApiClient.deviceId();
+            }
+            return localStorage.getItem('_deviceId2');
+        },
+
+        // Find this client's session (used for the now playing item and remote skip)
+        getOwnSession: function() {
+            var self = this;
+            var deviceId = self.getDeviceId();
+            if (!deviceId) return Promise.resolve(null);
+
+            return fetch('/Sessions?DeviceId=' + encodeURIComponent(deviceId), {
+                headers: self.getAuthHeaders()
+            })
+                .then(function(response) {
+                    if (!response.ok) throw new Error('Failed to load session');
+                    return response.json();
+                })
+                .then(function(sessions) {
+                    return sessions && sessions.length > 0 ? sessions[0] : null;
+                });
+        },
+
+        // Resolve the currently playing item ID, preferring Jellyfin's playbackManager
+        getNowPlayingItemId: function() {
+            var self = this;
+            return new Promise(function(resolve) {
+                if (window.require) {
+                    try {
+                        window.require(['playbackManager'], function(playbackManager) {
+                            var pm = playbackManager && playbackManager.default ? playbackManager.default : playbackManager;
+                            var item = pm && pm.currentItem ? pm.currentItem() : null;
+                            resolve(item ? item.Id : null);
+                        }, function() { resolve(null); });
+                        return;
+                    } catch (e) {}
+                }
+                resolve(null);
+            }).then(function(itemId) {
+                if (itemId) return itemId;
+                return self.getOwnSession().then(function(session) {
+                    return session && session.NowPlayingItem ? session.NowPlayingItem.Id : null;
+                });
+            });
+        },
+
+        skipToNextTrack: function() {
+            var self = this;
+            if (window.require) {
+                try {
+                    window.require(['playbackManager'], function(playbackManager) {
+                        var pm = playbackManager && playbackManager.default ? playbackManager.default : playbackManager;
+                        if (pm && pm.nextTrack) pm.nextTrack();
+                        else self.skipViaSession();
+                    }, function() { self.skipViaSession(); });
+                    return;
+                } catch (e) {}
+            }
+            self.skipViaSession();
+        },
+
+        skipViaSession: function() {
+            var self = this;
+            self.getOwnSession()
+                .then(function(session) {
+                    if (!session) throw new Error('No session found');
+                    return fetch('/Sessions/' + session.Id + '/Playing/NextTrack', {
+                        method: 'POST',
+                        headers: self.getAuthHeaders()
+                    });
+                })
+                .catch(function(err) {
+                    console.error('[SmartLists] Skip failed:', err);
+                });
+        },
+
+        // Ignore the currently playing item in the smart playlist the queue came from
+        // useDefault skips the picker and uses the default ignore period
+        ignoreNowPlaying: function(useDefault) {
+            var self = this;
+            var context = self.getQueueContext();
+            if (!context || !context.Id) {
+                self.showToast('Not playing from a smart playlist');
+                return;
+            }
+
+            self.getNowPlayingItemId().then(function(itemId) {
+                if (!itemId) {
+                    self.showToast('Could not determine the playing item');
+                    return;
+                }
+                var options = {
+                    playlistId: context.Id,
+                    itemId: itemId,
+                    skipToNext: true,
+                    refreshPage: false
+                };
+                if (useDefault) {
+                    self.ignoreItem(self.getDefaultIgnoreDays(context), null, options);
+                    return;
+                }
+                self.showIgnorePicker(function(days, reason, target) {
+                    options.scope = target.scope;
+                    options.global = target.global;
+                    self.ignoreItem(days, reason, options);
+                }, context);
+            }).catch(function(err) {
+                console.error('[SmartLists] Error resolving playing item:', err);
+                self.showToast('Could not determine the playing item');
+            });
+        },
+
+        // Add an ignore button to the now playing bar and full-screen player controls
+        injectPlayerButtons: function() {
+            var self = this;
+            var hasContext = !!self.getQueueContext();
+            var containers = document.querySelectorAll('.nowPlayingBar .nowPlayingBarRight, .nowPlayingPage .nowPlayingInfoButtons, .videoOsdBottom .buttons');
+
+            for (var i = 0; i < containers.length; i++) {
+                var container = containers[i];
+                var btn = container.querySelector('.btnSmartListsIgnore');
+                if (!btn) {
+                    if (!hasContext) continue;
+                    btn = document.createElement('button');
+                    btn.type = 'button';
+                    btn.setAttribute('is', 'paper-icon-button-light');
+                    btn.className = 'btnSmartListsIgnore autoSize paper-icon-button-light';
+                    btn.title = 'Ignore in smart playlist';
+                    btn.innerHTML = '<span class=""material-icons"" aria-hidden=""true"">snooze</span>';
+                    btn.onclick = function(e) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        self.ignoreNowPlaying();
+                    };
+                    var before = container.querySelector('.btnToggleContextMenu');
+                    if (before) {
+                        container.insertBefore(btn, before);
+                    } else {
+                        container.insertBefore(btn, container.firstChild);
+                    }
+                    self.log('Injected player ignore button');
+                }
+                btn.style.display = hasContext ? '' : 'none';
+            }
+        },
+
+        // ========== MULTI-SELECT ==========
+        // Item IDs checked in Jellyfin's multi-select mode
+        getSelectedItemIds: function() {
+            var ids = [];
+            var checked = document.querySelectorAll('.chkItemSelect:checked');
+            for (var i = 0; i < checked.length; i++) {
+                var el = checked[i].closest('[data-id]');
+                var id = el ? el.getAttribute('data-id') : null;
+                if (id && ids.indexOf(id) === -1) ids.push(id);
+            }
+            return ids;
+        },
+
+        // Add an ignore command to the multi-select command bar on smart playlist pages
+        injectSelectionCommand: function() {
+            var self = this;
+            var panel = document.querySelector('.selectionCommandsPanel');
+            if (!panel) return;
+
+            var btn = panel.querySelector('.btnSmartListsIgnoreSelected');
+            if (!self.currentSmartPlaylist) {
+                if (btn) btn.remove();
+                return;
+            }
+            if (btn) return;
+
+            btn = document.createElement('button');
+            btn.type = 'button';
+            btn.setAttribute('is', 'paper-icon-button-light');
+            btn.className = 'btnSmartListsIgnoreSelected autoSize paper-icon-button-light';
+            btn.title = 'Ignore selected';
+            btn.innerHTML = '<span class=""material-icons"" aria-hidden=""true"">snooze</span>';
+            btn.onclick = function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                var itemIds = self.getSelectedItemIds();
+                if (itemIds.length === 0) {
+                    self.showToast('No items selected');
+                    return;
+                }
+                var playlist = self.currentSmartPlaylist;
+                self.showIgnorePicker(function(days, reason, target) {
+                    // Leave selection mode before the page refreshes
+                    var closeBtn = document.querySelector('.btnCloseSelectionPanel');
+                    if (closeBtn) closeBtn.click();
+                    self.ignoreItem(days, reason, { playlistId: playlist.Id, itemIds: itemIds, scope: target.scope, global: target.global });
+                }, playlist);
+            };
+
+            var before = panel.querySelector('.btnSelectionPanelOptions');
+            if (before) {
+                before.parentNode.insertBefore(btn, before);
+            } else {
+                panel.appendChild(btn);
+            }
+            self.log('Injected multi-select ignore command');
+        },
+
         showToast: function(message) {
             // Try to use Jellyfin's toast, fallback to simple alert
             if (window.require) {
@@ -533,7 +1086,17 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         // Watch for action sheets appearing
         setupObserver: function() {
             var self = this;
+            var playerCheckPending = false;
             var observer = new MutationObserver(function(mutations) {
+                // Player controls and the selection bar are re-rendered often, so batch the check
+                if (!playerCheckPending) {
+                    playerCheckPending = true;
+                    setTimeout(function() {
+                        playerCheckPending = false;
+                        self.injectPlayerButtons();
+                        self.injectSelectionCommand();
+                    }, 200);
+                }
                 mutations.forEach(function(mutation) {
                     mutation.addedNodes.forEach(function(node) {
                         if (node.nodeType === 1) {
@@ -591,8 +1154,14 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 }
             }, true);
 
-            // Check for smart playlist on page changes
-            document.addEventListener('viewshow', function() { self.checkIfSmartPlaylist(); });
+            // Keyboard shortcut to ignore the playing item
+            document.addEventListener('keydown', function(e) { self.handleShortcut(e); }, true);
+
+            // Check for smart playlist on page changes (and pick up settings changes)
+            document.addEventListener('viewshow', function() {
+                self.checkIfSmartPlaylist();
+                self.loadSettings();
+            });
             window.addEventListener('hashchange', function() { self.checkIfSmartPlaylist(); });
 
             // Setup observer for action sheets
@@ -600,6 +1169,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
 
             // Initial check
             self.checkIfSmartPlaylist();
+            self.loadSettings();
 
             self.log('Context menu integration initialized');
         }
@@ -29,6 +29,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         string GetUserBasePath(string userId);
         string GetUserPlaylistsPath(string userId);
         string GetUserIgnoresPath(string userId);
+        string GetUserIgnoreHistoryPath(string userId);
+        string GetUserSettingsPath(string userId);
+        string GetUserDraftsPath(string userId);
         string GetUserPlaylistPath(string userId, string playlistId);
         string[] GetAllUserPlaylistFilePaths(string userId);
         string[] GetAllUserIds();
@@ -186,6 +189,51 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             return false;
         }
 
+        /// <summary>
+        /// Writes a value as JSON to a temp file that then replaces the target,
+        /// so a failed write never leaves a partial file.
+        /// </summary>
+        /// <typeparam name="T">The type of the value.</typeparam>
+        /// <param name="filePath">The file to write.</param>
+        /// <param name="value">The value to serialize.</param>
+        /// <returns>A task that completes when the file has been replaced.</returns>
+        public static async Task WriteJsonAtomicAsync<T>(string filePath, T value)
+        {
+            var tempPath = filePath + ".tmp";
+
+            try
+            {
+                await using (var writer = File.Create(tempPath))
+                {
+                    await JsonSerializer.SerializeAsync(writer, value, SharedJsonOptions).ConfigureAwait(false);
+                    await writer.FlushAsync().ConfigureAwait(false);
+                }
+
+                if (File.Exists(filePath))
+                {
+                    File.Replace(tempPath, filePath, null);
+                }
+                else
+                {
+                    File.Move(tempPath, filePath);
+                }
+            }
+            finally
+            {
+                try
+                {
+                    if (File.Exists(tempPath))
+                    {
+                        File.Delete(tempPath);
+                    }
+                }
+                catch
+                {
+                    // Ignore cleanup errors
+                }
+            }
+        }
+
         /// <summary>
         /// Reads all smart list files once and returns them grouped by type.
         /// This is more efficient than having each store read files separately.
@@ -293,6 +341,39 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             return Path.Combine(BasePath, "users", userId, "ignores.json");
         }
 
+        /// <summary>
+        /// Gets the path for a user's archive of expired ignores.
+        /// Structure: {BasePath}/users/{userId}/ignore-history.json
+        /// </summary>
+        public string GetUserIgnoreHistoryPath(string userId)
+        {
+            // Ensure user directory exists
+            GetUserBasePath(userId);
+            return Path.Combine(BasePath, "users", userId, "ignore-history.json");
+        }
+
+        /// <summary>
+        /// Gets the path for a user's settings file.
+        /// Structure: {BasePath}/users/{userId}/settings.json
+        /// </summary>
+        public string GetUserSettingsPath(string userId)
+        {
+            // Ensure user directory exists
+            GetUserBasePath(userId);
+            return Path.Combine(BasePath, "users", userId, "settings.json");
+        }
+
+        /// <summary>
+        /// Gets the path for a user's saved wizard drafts.
+        /// Structure: {BasePath}/users/{userId}/drafts.json
+        /// </summary>
+        public string GetUserDraftsPath(string userId)
+        {
+            // Ensure user directory exists
+            GetUserBasePath(userId);
+            return Path.Combine(BasePath, "users", userId, "drafts.json");
+        }
+
         /// <summary>
         /// Gets the path for a specific user smart playlist file.
         /// Structure: {BasePath}/users/{userId}/playlists/{playlistId}.json
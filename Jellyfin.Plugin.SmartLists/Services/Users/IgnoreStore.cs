@@ -4,6 +4,7 @@ using System.IO;
 using System.Linq;
 using System.Text.Json;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
 using Microsoft.Extensions.Logging;
@@ -13,14 +14,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
     /// <summary>
     /// Store implementation for user track ignore lists.
     /// Each user has a single ignores.json file containing all their ignored tracks.
+    /// Expired ignores are moved to ignore-history.json so snooze history can be reported.
     /// </summary>
     public class IgnoreStore
     {
+        /// <summary>
+        /// Maximum number of archived ignores kept per user; the oldest are dropped first.
+        /// </summary>
+        private const int MaxHistoryEntries = 5000;
+
         private readonly ISmartListFileSystem _fileSystem;
         private readonly ILogger<IgnoreStore>? _logger;
 
         // In-memory cache for performance (per-user)
         private readonly Dictionary<string, List<IgnoredTrack>> _cache = new(StringComparer.OrdinalIgnoreCase);
+
+        // Per-user snooze counts from the history archive, keyed by track ID; rebuilt after the archive changes
+        private readonly Dictionary<string, Dictionary<string, int>> _historyCountCache = new(StringComparer.OrdinalIgnoreCase);
         private readonly object _cacheLock = new();
 
         public IgnoreStore(ISmartListFileSystem fileSystem, ILogger<IgnoreStore>? logger = null)
@@ -78,7 +88,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
         }
 
         /// <summary>
-        /// Gets ignored tracks for a specific smart playlist.
+        /// Gets ignored tracks for a specific smart playlist, including the user's global ignores.
         /// </summary>
         /// <param name="userId">The user ID.</param>
         /// <param name="smartPlaylistId">The smart playlist ID.</param>
@@ -89,7 +99,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
 
             return allIgnores
-                .Where(i => string.Equals(i.SmartPlaylistId, smartPlaylistId, StringComparison.OrdinalIgnoreCase))
+                .Where(i => i.IsGlobal || string.Equals(i.SmartPlaylistId, smartPlaylistId, StringComparison.OrdinalIgnoreCase))
+                .Where(i => includeExpired || i.IsActive())
+                .ToList();
+        }
+
+        /// <summary>
+        /// Gets the user's global ignores, which apply to all of their smart playlists.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="includeExpired">Whether to include expired ignores.</param>
+        /// <returns>List of global ignores.</returns>
+        public async Task<List<IgnoredTrack>> GetGlobalAsync(string userId, bool includeExpired = false)
+        {
+            var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
+
+            return allIgnores
+                .Where(i => i.IsGlobal)
                 .Where(i => includeExpired || i.IsActive())
                 .ToList();
         }
@@ -104,7 +130,40 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
         public async Task<HashSet<string>> GetActiveIgnoredTrackIdsAsync(string userId, string smartPlaylistId)
         {
             var ignores = await GetForPlaylistAsync(userId, smartPlaylistId, includeExpired: false).ConfigureAwait(false);
-            return ignores.Select(i => i.TrackId).ToHashSet(StringComparer.OrdinalIgnoreCase);
+            return ignores
+                .Where(i => i.Scope == IgnoreScope.Track)
+                .Select(i => i.TrackId)
+                .ToHashSet(StringComparer.OrdinalIgnoreCase);
+        }
+
+        /// <summary>
+        /// Gets active (non-expired) artist and album scoped ignores for a specific smart playlist.
+        /// These are matched against track metadata rather than item IDs.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="smartPlaylistId">The smart playlist ID.</param>
+        /// <returns>List of active scoped ignore entries.</returns>
+        public async Task<List<IgnoredTrack>> GetActiveScopedIgnoresAsync(string userId, string smartPlaylistId)
+        {
+            var ignores = await GetForPlaylistAsync(userId, smartPlaylistId, includeExpired: false).ConfigureAwait(false);
+            return ignores.Where(i => i.Scope != IgnoreScope.Track).ToList();
+        }
+
+        /// <summary>
+        /// Gets active ignores that expire within the given window, soonest first.
+        /// Ignores the user chose to let lapse are left out.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="within">How far ahead to look.</param>
+        /// <returns>List of ignores that will expire within the window.</returns>
+        public async Task<List<IgnoredTrack>> GetExpiringAsync(string userId, TimeSpan within)
+        {
+            var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
+            var cutoff = DateTime.UtcNow.Add(within);
+            return allIgnores
+                .Where(i => i.IsActive() && !i.LetLapse && i.ExpiresAt.HasValue && i.ExpiresAt.Value <= cutoff)
+                .OrderBy(i => i.ExpiresAt)
+                .ToList();
         }
 
         /// <summary>
@@ -126,51 +185,146 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             ArgumentNullException.ThrowIfNull(ignoredTrack);
             ValidateUserId(ignoredTrack.UserId);
 
+            var allIgnores = await GetAllAsync(ignoredTrack.UserId).ConfigureAwait(false);
+            var archived = new List<IgnoredTrack>();
+            var saved = Upsert(allIgnores, ignoredTrack, archived);
+
+            await SaveAllAsync(ignoredTrack.UserId, allIgnores).ConfigureAwait(false);
+            await ArchiveAsync(ignoredTrack.UserId, archived).ConfigureAwait(false);
+
+            _logger?.LogDebug("Added/updated ignore for {Target} in playlist {PlaylistId} for user {UserId}",
+                saved.GetTargetKey(), ignoredTrack.SmartPlaylistId, ignoredTrack.UserId);
+
+            return saved;
+        }
+
+        /// <summary>
+        /// Adds several ignore entries for one user with a single write.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="ignoredTracks">The ignore entries to add.</param>
+        /// <returns>The added or updated ignore entries.</returns>
+        public async Task<List<IgnoredTrack>> AddRangeAsync(string userId, IReadOnlyCollection<IgnoredTrack> ignoredTracks)
+        {
+            ArgumentNullException.ThrowIfNull(ignoredTracks);
+            ValidateUserId(userId);
+
+            if (ignoredTracks.Count == 0)
+            {
+                return [];
+            }
+
+            var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
+            var archived = new List<IgnoredTrack>();
+            var saved = ignoredTracks.Select(i => Upsert(allIgnores, i, archived)).ToList();
+
+            await SaveAllAsync(userId, allIgnores).ConfigureAwait(false);
+            await ArchiveAsync(userId, archived).ConfigureAwait(false);
+
+            _logger?.LogDebug("Added/updated {Count} ignores for user {UserId}", saved.Count, userId);
+
+            return saved;
+        }
+
+        /// <summary>
+        /// Removes and adds ignore entries for one user with a single write, so staged changes
+        /// can't overwrite each other.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="removeIgnoreIds">The IDs of the ignore entries to remove.</param>
+        /// <param name="ignoredTracks">The ignore entries to add.</param>
+        /// <returns>The removed entries and the added or updated entries.</returns>
+        public async Task<(List<IgnoredTrack> Removed, List<IgnoredTrack> Saved)> ApplyChangesAsync(
+            string userId,
+            IReadOnlyCollection<string> removeIgnoreIds,
+            IReadOnlyCollection<IgnoredTrack> ignoredTracks)
+        {
+            ArgumentNullException.ThrowIfNull(removeIgnoreIds);
+            ArgumentNullException.ThrowIfNull(ignoredTracks);
+            ValidateUserId(userId);
+
+            var ids = new HashSet<string>(removeIgnoreIds, StringComparer.OrdinalIgnoreCase);
+            var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
+            var removed = allIgnores.Where(i => ids.Contains(i.Id)).ToList();
+            allIgnores.RemoveAll(i => ids.Contains(i.Id));
+
+            var archived = new List<IgnoredTrack>();
+            var saved = ignoredTracks.Select(i => Upsert(allIgnores, i, archived)).ToList();
+
+            if (removed.Count == 0 && saved.Count == 0)
+            {
+                return (removed, saved);
+            }
+
+            await SaveAllAsync(userId, allIgnores).ConfigureAwait(false);
+            await ArchiveAsync(userId, archived).ConfigureAwait(false);
+
+            _logger?.LogDebug("Removed {Removed} and added/updated {Saved} ignores for user {UserId}",
+                removed.Count, saved.Count, userId);
+
+            return (removed, saved);
+        }
+
+        /// <summary>
+        /// Adds an entry to the list, or updates the existing entry for the same target and playlist.
+        /// An expired entry that gets replaced is added to <paramref name="archived"/> first.
+        /// </summary>
+        private static IgnoredTrack Upsert(List<IgnoredTrack> allIgnores, IgnoredTrack ignoredTrack, List<IgnoredTrack> archived)
+        {
             // Generate ID if not set
             if (string.IsNullOrWhiteSpace(ignoredTrack.Id))
             {
                 ignoredTrack.Id = Guid.NewGuid().ToString();
             }
 
-            var allIgnores = await GetAllAsync(ignoredTrack.UserId).ConfigureAwait(false);
-
-            // Check if track is already ignored for this playlist
+            // Check if the same track, artist or album is already ignored for this playlist
+            var targetKey = ignoredTrack.GetTargetKey();
             var existing = allIgnores.FirstOrDefault(i =>
-                string.Equals(i.TrackId, ignoredTrack.TrackId, StringComparison.OrdinalIgnoreCase) &&
+                string.Equals(i.GetTargetKey(), targetKey, StringComparison.OrdinalIgnoreCase) &&
                 string.Equals(i.SmartPlaylistId, ignoredTrack.SmartPlaylistId, StringComparison.OrdinalIgnoreCase));
 
-            if (existing != null)
-            {
-                // Update existing entry
-                existing.IgnoredAt = ignoredTrack.IgnoredAt;
-                existing.DurationDays = ignoredTrack.DurationDays;
-                existing.ExpiresAt = ignoredTrack.ExpiresAt;
-                existing.TrackName = ignoredTrack.TrackName ?? existing.TrackName;
-                existing.ArtistName = ignoredTrack.ArtistName ?? existing.ArtistName;
-                existing.AlbumName = ignoredTrack.AlbumName ?? existing.AlbumName;
-                existing.Reason = ignoredTrack.Reason ?? existing.Reason;
-            }
-            else
+            if (existing == null)
             {
                 allIgnores.Add(ignoredTrack);
+                return ignoredTrack;
             }
 
-            await SaveAllAsync(ignoredTrack.UserId, allIgnores).ConfigureAwait(false);
+            // Snoozing again after the previous ignore expired is a new snooze, so keep the old one in history
+            if (existing.IsExpired())
+            {
+                archived.Add(existing.Clone());
+                existing.Id = ignoredTrack.Id;
+                existing.Reason = null;
+            }
 
-            _logger?.LogDebug("Added/updated ignore for track {TrackId} in playlist {PlaylistId} for user {UserId}",
-                ignoredTrack.TrackId, ignoredTrack.SmartPlaylistId, ignoredTrack.UserId);
+            // Update existing entry. A manual ignore replaces an automatic one, including its generated reason.
+            if (existing.IsAutomatic && !ignoredTrack.IsAutomatic)
+            {
+                existing.Reason = null;
+            }
 
-            return existing ?? ignoredTrack;
+            existing.IgnoredAt = ignoredTrack.IgnoredAt;
+            existing.LetLapse = false;
+            existing.DurationDays = ignoredTrack.DurationDays;
+            existing.ExpiresAt = ignoredTrack.ExpiresAt;
+            existing.TrackName = ignoredTrack.TrackName ?? existing.TrackName;
+            existing.ArtistName = ignoredTrack.ArtistName ?? existing.ArtistName;
+            existing.AlbumName = ignoredTrack.AlbumName ?? existing.AlbumName;
+            existing.Reason = ignoredTrack.Reason ?? existing.Reason;
+            existing.IsAutomatic = ignoredTrack.IsAutomatic;
+            return existing;
         }
 
         /// <summary>
-        /// Updates an ignore entry's duration.
+        /// Updates an ignore entry's duration and, optionally, its reason.
         /// </summary>
         /// <param name="userId">The user ID.</param>
         /// <param name="ignoreId">The ignore entry ID.</param>
         /// <param name="newDurationDays">New duration in days. Null for permanent.</param>
+        /// <param name="reason">New reason, an empty string to clear it, or null to leave it unchanged.</param>
+        /// <param name="countFromNow">Whether the duration counts from now rather than from when the entry was added.</param>
         /// <returns>The updated ignore entry, or null if not found.</returns>
-        public async Task<IgnoredTrack?> UpdateDurationAsync(string userId, string ignoreId, int? newDurationDays)
+        public async Task<IgnoredTrack?> UpdateAsync(string userId, string ignoreId, int? newDurationDays, string? reason = null, bool countFromNow = false)
         {
             ValidateUserId(userId);
 
@@ -183,15 +337,88 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
                 return null;
             }
 
-            ignore.UpdateDuration(newDurationDays);
+            if (countFromNow)
+            {
+                ignore.SetExpiresInDays(newDurationDays, DateTime.UtcNow);
+            }
+            else
+            {
+                ignore.UpdateDuration(newDurationDays);
+            }
+
+            if (reason != null)
+            {
+                ignore.Reason = string.IsNullOrWhiteSpace(reason) ? null : reason.Trim();
+            }
+
             await SaveAllAsync(userId, allIgnores).ConfigureAwait(false);
 
-            _logger?.LogDebug("Updated duration for ignore {IgnoreId} to {DurationDays} days for user {UserId}",
-                ignoreId, newDurationDays, userId);
+            _logger?.LogDebug("Updated ignore {IgnoreId} to {DurationDays} days for user {UserId}",
+                ignoreId, ignore.DurationDays, userId);
 
             return ignore;
         }
 
+        /// <summary>
+        /// Updates the duration of several ignore entries at once, saving only once.
+        /// The new duration counts from now, so no entry expires because of the change.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="ignoreIds">The ignore entry IDs.</param>
+        /// <param name="newDurationDays">Days from now until expiry, null or 0 for permanent.</param>
+        /// <returns>The number of entries updated.</returns>
+        public async Task<int> UpdateDurationRangeAsync(string userId, IReadOnlyCollection<string> ignoreIds, int? newDurationDays)
+        {
+            ValidateUserId(userId);
+
+            var ids = new HashSet<string>(ignoreIds, StringComparer.OrdinalIgnoreCase);
+            var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
+            var matching = allIgnores.Where(i => ids.Contains(i.Id)).ToList();
+
+            if (matching.Count == 0)
+            {
+                return 0;
+            }
+
+            var now = DateTime.UtcNow;
+            matching.ForEach(i => i.SetExpiresInDays(newDurationDays, now));
+            await SaveAllAsync(userId, allIgnores).ConfigureAwait(false);
+
+            _logger?.LogDebug("Updated duration for {Count} ignores to {DurationDays} days for user {UserId}",
+                matching.Count, newDurationDays, userId);
+
+            return matching.Count;
+        }
+
+        /// <summary>
+        /// Marks an ignore as one the user will let expire, so it stops showing up as returning soon.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="ignoreId">The ignore entry ID.</param>
+        /// <returns>True if the entry was found.</returns>
+        public async Task<bool> SetLetLapseAsync(string userId, string ignoreId)
+        {
+            ValidateUserId(userId);
+
+            var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
+            var ignore = allIgnores.FirstOrDefault(i =>
+                string.Equals(i.Id, ignoreId, StringComparison.OrdinalIgnoreCase));
+
+            if (ignore == null)
+            {
+                return false;
+            }
+
+            if (!ignore.LetLapse)
+            {
+                ignore.LetLapse = true;
+                await SaveAllAsync(userId, allIgnores).ConfigureAwait(false);
+                _logger?.LogDebug("Letting ignore {IgnoreId} lapse for user {UserId}", ignoreId, userId);
+            }
+
+            return true;
+        }
+
         /// <summary>
         /// Removes an ignore entry by ID.
         /// </summary>
@@ -217,7 +444,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
 
         /// <summary>
         /// Removes all ignores for a specific smart playlist.
-        /// Used when a smart playlist is deleted.
+        /// Used when a smart playlist is deleted. Global ignores are kept.
         /// </summary>
         /// <param name="userId">The user ID.</param>
         /// <param name="smartPlaylistId">The smart playlist ID.</param>
@@ -240,6 +467,27 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             return removed;
         }
 
+        /// <summary>
+        /// Removes all of a user's global ignores.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <returns>Number of ignores removed.</returns>
+        public async Task<int> RemoveAllGlobalAsync(string userId)
+        {
+            ValidateUserId(userId);
+
+            var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
+            var removed = allIgnores.RemoveAll(i => i.IsGlobal);
+
+            if (removed > 0)
+            {
+                await SaveAllAsync(userId, allIgnores).ConfigureAwait(false);
+                _logger?.LogDebug("Removed {Count} global ignores for user {UserId}", removed, userId);
+            }
+
+            return removed;
+        }
+
         /// <summary>
         /// Removes all expired ignores for a user.
         /// </summary>
@@ -250,11 +498,13 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             ValidateUserId(userId);
 
             var allIgnores = await GetAllAsync(userId).ConfigureAwait(false);
+            var expired = allIgnores.Where(i => i.IsExpired()).ToList();
             var removed = allIgnores.RemoveAll(i => i.IsExpired());
 
             if (removed > 0)
             {
                 await SaveAllAsync(userId, allIgnores).ConfigureAwait(false);
+                await ArchiveAsync(userId, expired).ConfigureAwait(false);
                 _logger?.LogDebug("Cleaned up {Count} expired ignores for user {UserId}", removed, userId);
             }
 
@@ -262,50 +512,127 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
         }
 
         /// <summary>
-        /// Saves all ignores for a user.
+        /// Gets the archive of expired ignores for a user.
         /// </summary>
-        private async Task SaveAllAsync(string userId, List<IgnoredTrack> ignores)
+        /// <param name="userId">The user ID.</param>
+        /// <returns>Archived ignore entries, oldest first.</returns>
+        public async Task<List<IgnoredTrack>> GetHistoryAsync(string userId)
         {
-            var filePath = _fileSystem.GetUserIgnoresPath(userId);
-            var tempPath = filePath + ".tmp";
+            ValidateUserId(userId);
+
+            var filePath = _fileSystem.GetUserIgnoreHistoryPath(userId);
+            if (!File.Exists(filePath))
+            {
+                return [];
+            }
 
             try
             {
-                await using (var writer = File.Create(tempPath))
+                await using var stream = File.OpenRead(filePath);
+                var history = await JsonSerializer.DeserializeAsync<List<IgnoredTrack>>(
+                    stream, SmartListFileSystem.SharedJsonOptions).ConfigureAwait(false);
+                return history ?? [];
+            }
+            catch (Exception ex)
+            {
+                _logger?.LogError(ex, "Failed to load ignore history for user {UserId}", userId);
+                return [];
+            }
+        }
+
+        /// <summary>
+        /// Counts how often each track was snoozed, past and present, across all of the user's playlists.
+        /// The archive is only read again after it changes.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <returns>Snooze counts keyed by track ID without dashes.</returns>
+        public async Task<Dictionary<string, int>> GetSnoozeCountsAsync(string userId)
+        {
+            ValidateUserId(userId);
+
+            Dictionary<string, int>? historyCounts;
+            lock (_cacheLock)
+            {
+                _historyCountCache.TryGetValue(userId, out historyCounts);
+            }
+
+            if (historyCounts == null)
+            {
+                historyCounts = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+                AddSnoozeCounts(historyCounts, await GetHistoryAsync(userId).ConfigureAwait(false));
+
+                lock (_cacheLock)
                 {
-                    await JsonSerializer.SerializeAsync(writer, ignores, SmartListFileSystem.SharedJsonOptions)
-                        .ConfigureAwait(false);
-                    await writer.FlushAsync().ConfigureAwait(false);
+                    _historyCountCache[userId] = historyCounts;
                 }
+            }
+
+            var counts = new Dictionary<string, int>(historyCounts, StringComparer.OrdinalIgnoreCase);
+            AddSnoozeCounts(counts, await GetAllAsync(userId).ConfigureAwait(false));
+            return counts;
+        }
 
-                if (File.Exists(filePath))
+        private static void AddSnoozeCounts(Dictionary<string, int> counts, IEnumerable<IgnoredTrack> ignores)
+        {
+            foreach (var ignore in ignores)
+            {
+                if (ignore.Scope == IgnoreScope.Track && Guid.TryParse(ignore.TrackId, out var trackGuid))
                 {
-                    File.Replace(tempPath, filePath, null);
+                    var key = trackGuid.ToString("N");
+                    counts[key] = counts.GetValueOrDefault(key) + 1;
                 }
-                else
+            }
+        }
+
+        /// <summary>
+        /// Appends expired ignores to a user's history archive.
+        /// </summary>
+        private async Task ArchiveAsync(string userId, List<IgnoredTrack> expired)
+        {
+            if (expired.Count == 0)
+            {
+                return;
+            }
+
+            try
+            {
+                var history = await GetHistoryAsync(userId).ConfigureAwait(false);
+                history.AddRange(expired);
+
+                if (history.Count > MaxHistoryEntries)
                 {
-                    File.Move(tempPath, filePath);
+                    history = history
+                        .OrderBy(i => i.IgnoredAt)
+                        .Skip(history.Count - MaxHistoryEntries)
+                        .ToList();
                 }
 
-                // Update cache
+                await SmartListFileSystem.WriteJsonAtomicAsync(_fileSystem.GetUserIgnoreHistoryPath(userId), history).ConfigureAwait(false);
                 lock (_cacheLock)
                 {
-                    _cache[userId] = new List<IgnoredTrack>(ignores);
+                    _historyCountCache.Remove(userId);
                 }
+
+                _logger?.LogDebug("Archived {Count} expired ignores for user {UserId}", expired.Count, userId);
             }
-            finally
+            catch (Exception ex)
             {
-                try
-                {
-                    if (File.Exists(tempPath))
-                    {
-                        File.Delete(tempPath);
-                    }
-                }
-                catch
-                {
-                    // Ignore cleanup errors
-                }
+                // History is informational only; never fail the ignore operation because of it
+                _logger?.LogWarning(ex, "Failed to archive expired ignores for user {UserId}", userId);
+            }
+        }
+
+        /// <summary>
+        /// Saves all ignores for a user.
+        /// </summary>
+        private async Task SaveAllAsync(string userId, List<IgnoredTrack> ignores)
+        {
+            await SmartListFileSystem.WriteJsonAtomicAsync(_fileSystem.GetUserIgnoresPath(userId), ignores).ConfigureAwait(false);
+
+            // Update cache
+            lock (_cacheLock)
+            {
+                _cache[userId] = new List<IgnoredTrack>(ignores);
             }
         }
 
@@ -320,10 +647,12 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
                 if (userId == null)
                 {
                     _cache.Clear();
+                    _historyCountCache.Clear();
                 }
                 else
                 {
                     _cache.Remove(userId);
+                    _historyCountCache.Remove(userId);
                 }
             }
         }
@@ -7,6 +7,7 @@ using System.Threading.Tasks;
 using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists.Core;
 using Jellyfin.Plugin.SmartLists.Core.Constants;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
 using Jellyfin.Plugin.SmartLists.Utilities;
@@ -105,12 +106,27 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
                 var filteredItems = ApplyRulesFiltering(dto, allUserMedia, user, progressCallback);
                 _logger.LogDebug("After rules filtering: {FilteredCount} items", filteredItems.Count);
 
-                // Apply ignore list filtering
-                var finalItems = await ApplyIgnoreListFilteringAsync(dto, filteredItems).ConfigureAwait(false);
+                // Snooze overplayed tracks, then apply ignore list filtering
+                var mediaLookup = allUserMedia.ToDictionary(m => m.Id, m => m);
+                await ApplyAutoSnoozeAsync(dto, user, filteredItems, mediaLookup).ConfigureAwait(false);
+                var finalItems = await ApplyIgnoreListFilteringAsync(dto, filteredItems, mediaLookup).ConfigureAwait(false);
                 _logger.LogDebug("After ignore list filtering: {FinalCount} items", finalItems.Count);
 
+                // Pinned items survive rules, limits and ignores, and count toward the limits
+                finalItems = AddPinnedItems(dto, finalItems, mediaLookup);
+
+                // Put hand-arranged items in the user's order
+                if (UsesManualOrder(dto))
+                {
+                    finalItems = ApplyManualOrder(finalItems, dto.ManualOrder);
+                }
+
+                if (dto.PinnedFirst)
+                {
+                    finalItems = MovePinnedItemsFirst(dto, finalItems);
+                }
+
                 // Create LinkedChild array
-                var mediaLookup = allUserMedia.ToDictionary(m => m.Id, m => m);
                 var newLinkedChildren = finalItems
                     .Where(itemId => mediaLookup.ContainsKey(itemId))
                     .Select(itemId => new LinkedChild { ItemId = itemId, Path = mediaLookup[itemId].Path })
@@ -231,10 +247,106 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             return resultItems.Distinct().ToList();
         }
 
+        /// <summary>
+        /// Creates ignores for tracks that match the playlist's auto-snooze rule.
+        /// Tracks that are already ignored, or that have not been played since their last
+        /// auto-snooze was created or removed by the user, are left alone.
+        /// </summary>
+        private async Task ApplyAutoSnoozeAsync(
+            UserSmartPlaylistDto dto,
+            User user,
+            List<Guid> items,
+            Dictionary<Guid, BaseItem> mediaLookup)
+        {
+            var rule = dto.AutoSnooze;
+            if (rule == null || !rule.Enabled || string.IsNullOrEmpty(dto.UserId) || string.IsNullOrEmpty(dto.Id))
+            {
+                return;
+            }
+
+            var now = DateTime.UtcNow;
+            rule.PruneDismissals(rule.GetWindowStart(now));
+
+            var playlistIgnores = await _ignoreStore.GetForPlaylistAsync(dto.UserId, dto.Id, includeExpired: true).ConfigureAwait(false);
+            var activeIgnores = playlistIgnores.Where(i => i.IsActive()).ToList();
+            var lastAutoSnoozes = await GetLastAutoSnoozesAsync(dto, playlistIgnores).ConfigureAwait(false);
+            var ignoredIds = activeIgnores
+                .Where(i => i.Scope == IgnoreScope.Track && Guid.TryParse(i.TrackId, out _))
+                .Select(i => Guid.Parse(i.TrackId))
+                .ToHashSet();
+            var scopedIgnores = activeIgnores.Where(i => i.Scope != IgnoreScope.Track).ToList();
+            var pinnedIds = GetPinnedItemIds(dto);
+
+            var snoozes = new List<IgnoredTrack>();
+            foreach (var itemId in items.Distinct())
+            {
+                if (ignoredIds.Contains(itemId) || pinnedIds.Contains(itemId) || !mediaLookup.TryGetValue(itemId, out var item) ||
+                    FindScopedIgnore(item, scopedIgnores) != null)
+                {
+                    continue;
+                }
+
+                var userData = _userDataManager.GetUserData(user, item);
+                var trackId = itemId.ToString("N");
+                DateTime? lastAutoSnoozedAt = lastAutoSnoozes.TryGetValue(itemId, out var snoozedAt) ? snoozedAt : null;
+                if (userData == null ||
+                    !rule.ShouldSnooze(trackId, userData.PlayCount, userData.LastPlayedDate, lastAutoSnoozedAt, now))
+                {
+                    continue;
+                }
+
+                var lastPlayed = userData.LastPlayedDate!.Value;
+                var audio = item as MediaBrowser.Controller.Entities.Audio.Audio;
+                var snooze = IgnoredTrack.Create(
+                    trackId,
+                    dto.Id,
+                    dto.UserId,
+                    rule.SnoozeDays > 0 ? rule.SnoozeDays : null,
+                    item.Name,
+                    audio != null ? string.Join(", ", audio.Artists) : null,
+                    audio?.Album,
+                    $"Auto-snoozed: played {userData.PlayCount} times, last on {lastPlayed:yyyy-MM-dd}");
+                snooze.IsAutomatic = true;
+                snoozes.Add(snooze);
+            }
+
+            if (snoozes.Count == 0)
+            {
+                return;
+            }
+
+            await _ignoreStore.AddRangeAsync(dto.UserId, snoozes).ConfigureAwait(false);
+            _logger.LogInformation("Auto-snoozed {Count} overplayed tracks in playlist {PlaylistName} for {SnoozeDays} days",
+                snoozes.Count, dto.Name, rule.SnoozeDays);
+        }
+
+        /// <summary>
+        /// Gets when each track was last auto-snoozed in a playlist, from its current
+        /// (possibly expired) ignores and the user's snooze history.
+        /// </summary>
+        private async Task<Dictionary<Guid, DateTime>> GetLastAutoSnoozesAsync(UserSmartPlaylistDto dto, List<IgnoredTrack> playlistIgnores)
+        {
+            var history = await _ignoreStore.GetHistoryAsync(dto.UserId).ConfigureAwait(false);
+
+            return playlistIgnores
+                .Concat(history)
+                .Where(i => i.IsAutomatic && i.Scope == IgnoreScope.Track &&
+                    string.Equals(i.SmartPlaylistId, dto.Id, StringComparison.OrdinalIgnoreCase))
+                .Select(i => (Parsed: Guid.TryParse(i.TrackId, out var trackGuid), TrackGuid: trackGuid, i.IgnoredAt))
+                .Where(i => i.Parsed)
+                .GroupBy(i => i.TrackGuid)
+                .ToDictionary(g => g.Key, g => g.Max(i => i.IgnoredAt));
+        }
+
         /// <summary>
         /// Applies ignore list filtering to remove ignored tracks.
+        /// Track ignores match by item ID; artist and album ignores match against
+        /// the item's metadata, so tracks added to the library later are covered too.
         /// </summary>
-        private async Task<List<Guid>> ApplyIgnoreListFilteringAsync(UserSmartPlaylistDto dto, List<Guid> items)
+        private async Task<List<Guid>> ApplyIgnoreListFilteringAsync(
+            UserSmartPlaylistDto dto,
+            List<Guid> items,
+            Dictionary<Guid, BaseItem> mediaLookup)
         {
             if (string.IsNullOrEmpty(dto.UserId) || string.IsNullOrEmpty(dto.Id))
             {
@@ -247,6 +359,19 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             _logger.LogInformation("Found {Count} ignored track IDs for playlist {PlaylistId}: {TrackIds}",
                 ignoredTrackIds.Count, dto.Id, string.Join(", ", ignoredTrackIds.Take(5)));
 
+            // Artist and album ignores are matched against item metadata
+            var scopedIgnores = await _ignoreStore.GetActiveScopedIgnoresAsync(dto.UserId, dto.Id).ConfigureAwait(false);
+            if (scopedIgnores.Count > 0)
+            {
+                var beforeCount = items.Count;
+                items = items
+                    .Where(id => !mediaLookup.TryGetValue(id, out var item) || FindScopedIgnore(item, scopedIgnores) == null)
+                    .ToList();
+
+                _logger.LogInformation("Removed {RemovedCount} items matching {ScopeCount} artist/album ignores",
+                    beforeCount - items.Count, scopedIgnores.Count);
+            }
+
             if (ignoredTrackIds.Count == 0)
             {
                 _logger.LogDebug("No ignored tracks to filter");
@@ -282,6 +407,168 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             return filtered;
         }
 
+        /// <summary>
+        /// Finds the first artist or album scoped ignore that covers an item.
+        /// </summary>
+        /// <returns>The matching ignore entry, or null if the item is not covered.</returns>
+        internal static IgnoredTrack? FindScopedIgnore(BaseItem item, IReadOnlyCollection<IgnoredTrack> scopedIgnores)
+        {
+            if (scopedIgnores.Count == 0 || item is not MediaBrowser.Controller.Entities.Audio.Audio audio)
+            {
+                return null;
+            }
+
+            var artists = audio.Artists.Concat(audio.AlbumArtists).ToList();
+            var itemId = item.Id.ToString("N");
+            return scopedIgnores.FirstOrDefault(i => i.Matches(itemId, artists, audio.Album));
+        }
+
+        /// <summary>
+        /// Sort name used when the user arranges playlist items by hand.
+        /// </summary>
+        internal const string ManualSortBy = "Manual";
+
+        /// <summary>
+        /// Whether the playlist's primary sort is the user's manual order.
+        /// </summary>
+        internal static bool UsesManualOrder(UserSmartPlaylistDto dto)
+        {
+            return dto.Order?.SortOptions is { Count: > 0 } sortOptions &&
+                string.Equals(sortOptions[0].SortBy, ManualSortBy, StringComparison.OrdinalIgnoreCase);
+        }
+
+        /// <summary>
+        /// Orders items by the saved manual order. Items missing from it keep their
+        /// relative order and are placed after the arranged ones.
+        /// </summary>
+        internal static List<Guid> ApplyManualOrder(List<Guid> items, List<string>? manualOrder)
+        {
+            if (manualOrder == null || manualOrder.Count == 0)
+            {
+                return items;
+            }
+
+            var positions = new Dictionary<Guid, int>();
+            foreach (var id in manualOrder)
+            {
+                if (Guid.TryParse(id, out var guid))
+                {
+                    positions.TryAdd(guid, positions.Count);
+                }
+            }
+
+            // OrderBy is stable, so unlisted items stay in their original order
+            return items
+                .OrderBy(id => positions.TryGetValue(id, out var position) ? position : int.MaxValue)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Gets the playlist's pinned item IDs.
+        /// </summary>
+        internal static HashSet<Guid> GetPinnedItemIds(UserSmartPlaylistDto dto)
+        {
+            return dto.PinnedItemIds == null
+                ? []
+                : dto.PinnedItemIds
+                    .Where(id => Guid.TryParse(id, out _))
+                    .Select(id => Guid.Parse(id))
+                    .ToHashSet();
+        }
+
+        /// <summary>
+        /// Whether an item is pinned in the playlist.
+        /// </summary>
+        internal static bool IsPinned(UserSmartPlaylistDto dto, string itemId)
+        {
+            return Guid.TryParse(itemId, out var guid) && GetPinnedItemIds(dto).Contains(guid);
+        }
+
+        /// <summary>
+        /// Adds pinned items that were dropped by rules, limits or ignores back to the end of the list.
+        /// Pinned items that are no longer in the user's library are skipped.
+        /// Pins count toward MaxItems and MaxPlayTimeMinutes: every pin is kept and the other items
+        /// only fill the slots and minutes that are left, in their current order.
+        /// </summary>
+        private List<Guid> AddPinnedItems(UserSmartPlaylistDto dto, List<Guid> items, Dictionary<Guid, BaseItem> mediaLookup)
+        {
+            var pinnedIds = GetPinnedItemIds(dto);
+            pinnedIds.RemoveWhere(id => !mediaLookup.ContainsKey(id));
+            if (pinnedIds.Count == 0)
+            {
+                return items;
+            }
+
+            var present = items.ToHashSet();
+            var missing = pinnedIds.Where(id => !present.Contains(id)).ToList();
+            if (missing.Count > 0)
+            {
+                _logger.LogDebug("Restoring {Count} pinned items to playlist {PlaylistName}", missing.Count, dto.Name);
+            }
+
+            var maxItems = dto.MaxItems ?? 0;
+            var maxMinutes = dto.MaxPlayTimeMinutes ?? 0;
+            if (maxItems <= 0 && maxMinutes <= 0)
+            {
+                return missing.Count == 0 ? items : items.Concat(missing).ToList();
+            }
+
+            double GetMinutes(Guid id) => mediaLookup.TryGetValue(id, out var item) && item.RunTimeTicks.HasValue
+                ? TimeSpan.FromTicks(item.RunTimeTicks.Value).TotalMinutes
+                : 0.0;
+
+            var itemsLeft = maxItems - pinnedIds.Count;
+            var minutesLeft = maxMinutes - pinnedIds.Sum(GetMinutes);
+            var result = new List<Guid>();
+            var limitReached = false;
+            foreach (var id in items)
+            {
+                if (pinnedIds.Contains(id))
+                {
+                    result.Add(id);
+                    continue;
+                }
+
+                if (limitReached)
+                {
+                    continue;
+                }
+
+                var minutes = maxMinutes > 0 ? GetMinutes(id) : 0.0;
+                if ((maxItems > 0 && itemsLeft <= 0) || (maxMinutes > 0 && minutes > minutesLeft))
+                {
+                    // Like the rules' own limits, stop at the first item that doesn't fit
+                    limitReached = true;
+                    continue;
+                }
+
+                result.Add(id);
+                itemsLeft--;
+                minutesLeft -= minutes;
+            }
+
+            result.AddRange(missing);
+
+            if (result.Count < items.Count + missing.Count)
+            {
+                _logger.LogDebug("Pinned items left room for {Count} other items in playlist {PlaylistName}",
+                    result.Count - pinnedIds.Count, dto.Name);
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Moves pinned items to the top, keeping the order of both the pinned and the other items.
+        /// </summary>
+        private static List<Guid> MovePinnedItemsFirst(UserSmartPlaylistDto dto, List<Guid> items)
+        {
+            var pinnedIds = GetPinnedItemIds(dto);
+            return items.Where(pinnedIds.Contains)
+                .Concat(items.Where(id => !pinnedIds.Contains(id)))
+                .ToList();
+        }
+
         /// <summary>
         /// Updates an existing Jellyfin playlist or creates a new one.
         /// </summary>
@@ -0,0 +1,144 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Users
+{
+    /// <summary>
+    /// Store implementation for per-user settings.
+    /// Each user has a single settings.json file.
+    /// </summary>
+    public class UserSettingsStore
+    {
+        private readonly ISmartListFileSystem _fileSystem;
+        private readonly ILogger<UserSettingsStore>? _logger;
+
+        // In-memory cache for performance (per-user)
+        private readonly Dictionary<string, UserSettings> _cache = new(StringComparer.OrdinalIgnoreCase);
+        private readonly object _cacheLock = new();
+
+        public UserSettingsStore(ISmartListFileSystem fileSystem, ILogger<UserSettingsStore>? logger = null)
+        {
+            _fileSystem = fileSystem;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets the settings for a user, or defaults if none have been saved.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <returns>The user's settings.</returns>
+        public async Task<UserSettings> GetAsync(string userId)
+        {
+            ValidateUserId(userId);
+
+            // Check cache first
+            lock (_cacheLock)
+            {
+                if (_cache.TryGetValue(userId, out var cached))
+                {
+                    return Clone(cached);
+                }
+            }
+
+            // Load from file
+            var filePath = _fileSystem.GetUserSettingsPath(userId);
+            if (!File.Exists(filePath))
+            {
+                return new UserSettings();
+            }
+
+            try
+            {
+                await using var stream = File.OpenRead(filePath);
+                var settings = await JsonSerializer.DeserializeAsync<UserSettings>(
+                    stream, SmartListFileSystem.SharedJsonOptions).ConfigureAwait(false);
+
+                var result = settings ?? new UserSettings();
+
+                // Update cache
+                lock (_cacheLock)
+                {
+                    _cache[userId] = Clone(result);
+                }
+
+                return result;
+            }
+            catch (Exception ex)
+            {
+                _logger?.LogError(ex, "Failed to load settings for user {UserId}", userId);
+                return new UserSettings();
+            }
+        }
+
+        /// <summary>
+        /// Saves the settings for a user.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="settings">The settings to save.</param>
+        /// <returns>The saved settings.</returns>
+        public async Task<UserSettings> SaveAsync(string userId, UserSettings settings)
+        {
+            ArgumentNullException.ThrowIfNull(settings);
+            ValidateUserId(userId);
+
+            settings.LastModified = DateTime.UtcNow;
+
+            await SmartListFileSystem.WriteJsonAtomicAsync(_fileSystem.GetUserSettingsPath(userId), settings).ConfigureAwait(false);
+
+            // Update cache
+            lock (_cacheLock)
+            {
+                _cache[userId] = Clone(settings);
+            }
+
+            _logger?.LogDebug("Saved settings for user {UserId}", userId);
+
+            return settings;
+        }
+
+        /// <summary>
+        /// Clears the in-memory cache for a user.
+        /// </summary>
+        /// <param name="userId">The user ID, or null to clear all.</param>
+        public void ClearCache(string? userId = null)
+        {
+            lock (_cacheLock)
+            {
+                if (userId == null)
+                {
+                    _cache.Clear();
+                }
+                else
+                {
+                    _cache.Remove(userId);
+                }
+            }
+        }
+
+        private static UserSettings Clone(UserSettings settings)
+        {
+            return new UserSettings
+            {
+                DefaultIgnoreDays = settings.DefaultIgnoreDays,
+                IgnoreShortcut = settings.IgnoreShortcut,
+                TrackColumns = settings.TrackColumns?.ToList() ?? [],
+                LastModified = settings.LastModified
+            };
+        }
+
+        private static void ValidateUserId(string userId)
+        {
+            if (string.IsNullOrWhiteSpace(userId) || !Guid.TryParse(userId, out _))
+            {
+                throw new ArgumentException("User ID must be a valid GUID", nameof(userId));
+            }
+        }
+    }
+}
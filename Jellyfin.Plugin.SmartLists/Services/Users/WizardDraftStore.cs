@@ -0,0 +1,203 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Users
+{
+    /// <summary>
+    /// Store implementation for wizard drafts.
+    /// Each user has a single drafts.json file containing all their drafts.
+    /// </summary>
+    public class WizardDraftStore
+    {
+        /// <summary>
+        /// Maximum number of drafts kept per user; the least recently saved are dropped first.
+        /// </summary>
+        private const int MaxDrafts = 20;
+
+        private readonly ISmartListFileSystem _fileSystem;
+        private readonly ILogger<WizardDraftStore>? _logger;
+
+        // In-memory cache for performance (per-user)
+        private readonly Dictionary<string, List<WizardDraft>> _cache = new(StringComparer.OrdinalIgnoreCase);
+        private readonly object _cacheLock = new();
+
+        public WizardDraftStore(ISmartListFileSystem fileSystem, ILogger<WizardDraftStore>? logger = null)
+        {
+            _fileSystem = fileSystem;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets all drafts for a user, most recently saved first.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <returns>List of drafts.</returns>
+        public async Task<List<WizardDraft>> GetAllAsync(string userId)
+        {
+            ValidateUserId(userId);
+
+            // Check cache first
+            lock (_cacheLock)
+            {
+                if (_cache.TryGetValue(userId, out var cached))
+                {
+                    return new List<WizardDraft>(cached);
+                }
+            }
+
+            // Load from file
+            var filePath = _fileSystem.GetUserDraftsPath(userId);
+            if (!File.Exists(filePath))
+            {
+                return [];
+            }
+
+            try
+            {
+                await using var stream = File.OpenRead(filePath);
+                var drafts = await JsonSerializer.DeserializeAsync<List<WizardDraft>>(
+                    stream, SmartListFileSystem.SharedJsonOptions).ConfigureAwait(false);
+
+                var result = (drafts ?? []).OrderByDescending(d => d.LastModified).ToList();
+
+                // Update cache
+                lock (_cacheLock)
+                {
+                    _cache[userId] = new List<WizardDraft>(result);
+                }
+
+                return result;
+            }
+            catch (Exception ex)
+            {
+                _logger?.LogError(ex, "Failed to load wizard drafts for user {UserId}", userId);
+                return [];
+            }
+        }
+
+        /// <summary>
+        /// Gets a single draft.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="draftId">The draft ID.</param>
+        /// <returns>The draft, or null if not found.</returns>
+        public async Task<WizardDraft?> GetByIdAsync(string userId, string draftId)
+        {
+            var drafts = await GetAllAsync(userId).ConfigureAwait(false);
+            return drafts.FirstOrDefault(d => string.Equals(d.Id, draftId, StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// Adds or replaces a draft. A new ID is assigned when the draft has none or it is unknown.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="draft">The draft to save.</param>
+        /// <returns>The saved draft.</returns>
+        public async Task<WizardDraft> SaveAsync(string userId, WizardDraft draft)
+        {
+            ArgumentNullException.ThrowIfNull(draft);
+            ValidateUserId(userId);
+
+            var drafts = await GetAllAsync(userId).ConfigureAwait(false);
+            var now = DateTime.UtcNow;
+            var existing = string.IsNullOrEmpty(draft.Id)
+                ? null
+                : drafts.FirstOrDefault(d => string.Equals(d.Id, draft.Id, StringComparison.OrdinalIgnoreCase));
+
+            if (existing != null)
+            {
+                draft.Id = existing.Id;
+                draft.Created = existing.Created;
+                drafts.Remove(existing);
+            }
+            else
+            {
+                draft.Id = Guid.NewGuid().ToString("N");
+                draft.Created = now;
+            }
+
+            draft.LastModified = now;
+            drafts.Insert(0, draft);
+
+            if (drafts.Count > MaxDrafts)
+            {
+                _logger?.LogDebug("Dropping {Count} oldest wizard drafts for user {UserId}", drafts.Count - MaxDrafts, userId);
+                drafts.RemoveRange(MaxDrafts, drafts.Count - MaxDrafts);
+            }
+
+            await SaveAllAsync(userId, drafts).ConfigureAwait(false);
+
+            _logger?.LogDebug("Saved wizard draft {DraftId} ({ItemCount} items) for user {UserId}",
+                draft.Id, draft.Items.Count, userId);
+
+            return draft;
+        }
+
+        /// <summary>
+        /// Deletes a draft.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="draftId">The draft ID.</param>
+        /// <returns>True if the draft was found and deleted.</returns>
+        public async Task<bool> DeleteAsync(string userId, string draftId)
+        {
+            var drafts = await GetAllAsync(userId).ConfigureAwait(false);
+            var removed = drafts.RemoveAll(d => string.Equals(d.Id, draftId, StringComparison.OrdinalIgnoreCase));
+            if (removed == 0)
+            {
+                return false;
+            }
+
+            await SaveAllAsync(userId, drafts).ConfigureAwait(false);
+
+            _logger?.LogDebug("Deleted wizard draft {DraftId} for user {UserId}", draftId, userId);
+
+            return true;
+        }
+
+        /// <summary>
+        /// Clears the in-memory cache for a user.
+        /// </summary>
+        /// <param name="userId">The user ID, or null to clear all.</param>
+        public void ClearCache(string? userId = null)
+        {
+            lock (_cacheLock)
+            {
+                if (userId == null)
+                {
+                    _cache.Clear();
+                }
+                else
+                {
+                    _cache.Remove(userId);
+                }
+            }
+        }
+
+        private async Task SaveAllAsync(string userId, List<WizardDraft> drafts)
+        {
+            await SmartListFileSystem.WriteJsonAtomicAsync(_fileSystem.GetUserDraftsPath(userId), drafts).ConfigureAwait(false);
+
+            // Update cache
+            lock (_cacheLock)
+            {
+                _cache[userId] = new List<WizardDraft>(drafts);
+            }
+        }
+
+        private static void ValidateUserId(string userId)
+        {
+            if (string.IsNullOrWhiteSpace(userId) || !Guid.TryParse(userId, out _))
+            {
+                throw new ArgumentException("User ID must be a valid GUID", nameof(userId));
+            }
+        }
+    }
+}